@@ -150,7 +150,7 @@ const PORT = process.env.PORT || 9000;
 // Initialize WebSocket server
 const server = http.createServer((req, res) => {
     const filePath = req.url === '/' ? '/index.html' : req.url;
-    const fullPath = path.join(__dirname, filePath);
+    const fullPath = path.join(__dirname, 'public', path.normalize(filePath));
     
     // Simple static file server
     fs.readFile(fullPath, (err, data) => {
@@ -305,11 +305,17 @@ process.on('SIGINT', () => {
 EOF
     fi
     
-    # Copy app.js if it exists
-    if [ -f "app.js" ]; then
-        cp app.js "$APP_DIR/Contents/Resources/"
+    # Copy server modules
+    if [ -d "lib" ]; then
+        cp -R lib "$APP_DIR/Contents/Resources/"
+    fi
+    
+    # Copy the browser client (the server only serves files from public/)
+    if [ -d "public" ]; then
+        cp -R public "$APP_DIR/Contents/Resources/"
     else
-        print_warning "app.js not found, it should be created"
+        print_warning "public/ not found, it should be created"
+        mkdir -p "$APP_DIR/Contents/Resources/public"
     fi
     
     # Create package.json with only required dependencies
@@ -320,14 +326,17 @@ EOF
   "description": "Remote Desktop with WebRTC",
   "main": "server.js",
   "dependencies": {
+    "js-yaml": "^4.3.2",
+    "node-turn": "^0.0.6",
+    "selfsigned": "^2.4.1",
     "ws": "^8.13.0"
   }
 }
 EOF
 
     # Create index.html if it doesn't exist
-    if [ ! -f "index.html" ]; then
-        cat > "$APP_DIR/Contents/Resources/index.html" << EOF
+    if [ ! -f "public/index.html" ]; then
+        cat > "$APP_DIR/Contents/Resources/public/index.html" << EOF
 <!DOCTYPE html>
 <html lang="en">
 <head>
@@ -522,8 +531,6 @@ EOF
 </body>
 </html>
 EOF
-    else
-        cp index.html "$APP_DIR/Contents/Resources/"
     fi
     
     # Create a logs directory
@@ -0,0 +1,186 @@
+// Admin REST API: authenticated JSON endpoints for monitoring and cleanup
+//
+//   GET  /api/health
+//   GET  /api/sessions
+//   POST /api/sessions/:id/kick             optional body { "clientId": n }
+//   POST /api/sessions/:id/revoke-control
+//   GET  /api/sessions/:id/audit            ?format=csv for CSV, ?instance= for
+//                                           one registration of the code
+//   GET  /api/audit/verify
+//   GET  /api/input/actions                 what the mock input backend recorded
+//
+// Every request needs `Authorization: Bearer <token>`. The server supplies the
+// actions; this module only deals with routing, authentication and JSON.
+
+const crypto = require('crypto');
+
+// Largest request body accepted (the only body is a tiny kick request)
+const MAX_BODY_BYTES = 16 * 1024;
+
+const ROUTES = [
+    { method: 'GET', pattern: /^\/api\/health$/, action: 'getHealth' },
+    { method: 'GET', pattern: /^\/api\/sessions$/, action: 'listSessions' },
+    { method: 'POST', pattern: /^\/api\/sessions\/([^/]+)\/kick$/, action: 'kickSession', body: true },
+    { method: 'POST', pattern: /^\/api\/sessions\/([^/]+)\/revoke-control$/, action: 'revokeControl' },
+    { method: 'GET', pattern: /^\/api\/sessions\/([^/]+)\/audit$/, action: 'exportAudit', query: true },
+    { method: 'GET', pattern: /^\/api\/audit\/verify$/, action: 'verifyAudit' },
+    { method: 'GET', pattern: /^\/api\/input\/actions$/, action: 'listInputActions' }
+];
+
+function sendJson(res, status, body, headers = {}) {
+    const json = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(json),
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    res.end(json);
+}
+
+function sendApiError(res, status, code, message, headers) {
+    sendJson(res, status, { code, message }, headers);
+}
+
+// Compare a candidate token with the admin token in constant time
+function isTokenValid(candidate, token) {
+    const expected = crypto.createHash('sha256').update(token).digest();
+    const actual = crypto.createHash('sha256').update(candidate).digest();
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function isAuthorized(req, token) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers['authorization'] || '');
+    return Boolean(match) && isTokenValid(match[1], token);
+}
+
+// Read a JSON request body; an empty body is an empty object
+function readJsonBody(req, callback) {
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES && !failed) {
+            failed = true;
+            callback({ status: 413, code: 'body-too-large', message: `Request bodies must be at most ${MAX_BODY_BYTES} bytes` });
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+        if (failed) return;
+
+        const text = Buffer.concat(chunks).toString('utf8').trim();
+        if (!text) {
+            callback(null, {});
+            return;
+        }
+
+        try {
+            const body = JSON.parse(text);
+            if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                throw new Error('not an object');
+            }
+            callback(null, body);
+        } catch (error) {
+            callback({ status: 400, code: 'invalid-json', message: 'Request body must be a JSON object' });
+        }
+    });
+}
+
+// Run an action (which may return a promise) and send its result: null means
+// the session does not exist, an `error` field carries a not-found code for
+// something inside it, and a `text` field is sent as-is with its content type
+function sendResult(res, log, action, args) {
+    const fail = (error) => {
+        log.error('Admin API action failed', { error });
+        sendApiError(res, 500, 'internal-error', 'The action failed; see the server log');
+    };
+
+    let pending;
+    try {
+        pending = Promise.resolve(action(...args));
+    } catch (error) {
+        fail(error);
+        return;
+    }
+
+    pending.then((result) => {
+        if (result === null) {
+            sendApiError(res, 404, 'session-not-found', 'No session with that ID');
+        } else if (result.error) {
+            sendApiError(res, result.status || 404, result.error, result.message);
+        } else if (result.text !== undefined) {
+            res.writeHead(200, { 'Content-Type': result.contentType, 'Cache-Control': 'no-store' });
+            res.end(result.text);
+        } else {
+            sendJson(res, 200, result);
+        }
+    }, fail);
+}
+
+// Create the API request handler. `handle(req, res)` returns false for URLs
+// outside the admin API so the caller can serve them itself.
+function createAdminApi({ token, actions, log }) {
+    function handle(req, res) {
+        let pathname;
+        try {
+            pathname = new URL(req.url, 'http://localhost').pathname;
+        } catch (error) {
+            return false;
+        }
+
+        const matching = ROUTES.filter((route) => route.pattern.test(pathname));
+        if (matching.length === 0) return false;
+
+        if (!isAuthorized(req, token)) {
+            sendApiError(res, 401, 'unauthorized', 'A valid admin token is required',
+                { 'WWW-Authenticate': 'Bearer realm="remote-desktop-admin"' });
+            return true;
+        }
+
+        const route = matching.find((candidate) => candidate.method === req.method);
+        if (!route) {
+            sendApiError(res, 405, 'method-not-allowed', `Use ${matching.map((candidate) => candidate.method).join(', ')}`,
+                { Allow: matching.map((candidate) => candidate.method).join(', ') });
+            return true;
+        }
+
+        let params;
+        try {
+            params = route.pattern.exec(pathname).slice(1).map(decodeURIComponent);
+        } catch (error) {
+            sendApiError(res, 400, 'bad-request', 'Malformed URL');
+            return true;
+        }
+
+        if (route.query) {
+            params.push(Object.fromEntries(new URL(req.url, 'http://localhost').searchParams));
+        }
+
+        if (!route.body) {
+            sendResult(res, log, actions[route.action], params);
+            return true;
+        }
+
+        readJsonBody(req, (error, body) => {
+            if (error) {
+                sendApiError(res, error.status, error.code, error.message);
+                return;
+            }
+            sendResult(res, log, actions[route.action], [...params, body]);
+        });
+        return true;
+    }
+
+    return { handle };
+}
+
+module.exports = {
+    createAdminApi,
+    isTokenValid
+};
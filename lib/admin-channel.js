@@ -0,0 +1,149 @@
+// Admin WebSocket channel feeding the /admin dashboard
+//
+// A dashboard connects to the admin path and must send
+// `{ "type": "auth", "token": "..." }` first (browsers cannot set headers on a
+// WebSocket). Once authenticated it receives a `snapshot` every interval and
+// may send actions, each answered with an `action-result`:
+//
+//   { "type": "kick-client", "clientId": 12 }
+//   { "type": "end-session", "sessionId": "XKQ-482-PLM" }
+//   { "type": "revoke-control", "sessionId": "XKQ-482-PLM" }
+
+const WebSocket = require('ws');
+const { isTokenValid } = require('./admin-api');
+
+// Unauthenticated sockets are closed after this long
+const AUTH_TIMEOUT_MS = 10000;
+
+// Admin messages are tiny; anything bigger is not from the dashboard
+const MAX_ADMIN_MESSAGE_BYTES = 4 * 1024;
+
+// Close codes in the private range so the dashboard can tell them apart
+const CLOSE_UNAUTHORIZED = 4003;
+const CLOSE_AUTH_TIMEOUT = 4008;
+
+const ACTIONS = {
+    'kick-client': { field: 'clientId', valid: (value) => Number.isInteger(value) && value > 0 },
+    'end-session': { field: 'sessionId', valid: (value) => typeof value === 'string' && value.length <= 32 },
+    'revoke-control': { field: 'sessionId', valid: (value) => typeof value === 'string' && value.length <= 32 }
+};
+
+// Create the channel. `getSnapshot()` returns the state pushed to dashboards;
+// `actions` maps each action type to a function of its ID field that returns
+// `{ ok, message }`.
+function createAdminChannel({ token, getSnapshot, actions, log, intervalMs = 1000 }) {
+    const wss = new WebSocket.Server({ noServer: true, maxPayload: MAX_ADMIN_MESSAGE_BYTES });
+    const dashboards = new Set();
+
+    function send(ws, data) {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(data));
+        }
+    }
+
+    function broadcastSnapshot() {
+        if (dashboards.size === 0) return;
+
+        const snapshot = JSON.stringify({ type: 'snapshot', ...getSnapshot() });
+        dashboards.forEach((ws) => {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(snapshot);
+            }
+        });
+    }
+
+    function handleAction(ws, data) {
+        const action = ACTIONS[data.type];
+        if (!action) {
+            send(ws, { type: 'action-result', action: String(data.type).slice(0, 32), ok: false, message: 'Unknown action' });
+            return;
+        }
+
+        const target = data[action.field];
+        if (!action.valid(target)) {
+            send(ws, { type: 'action-result', action: data.type, ok: false, message: `${action.field} is missing or invalid` });
+            return;
+        }
+
+        let result;
+        try {
+            result = actions[data.type](target);
+        } catch (error) {
+            log.error(`[Admin] ${data.type} failed`, { error });
+            result = { ok: false, message: 'The action failed; see the server log' };
+        }
+        send(ws, { type: 'action-result', action: data.type, ...result });
+
+        // Show the effect right away instead of on the next tick
+        if (result.ok) {
+            broadcastSnapshot();
+        }
+    }
+
+    wss.on('connection', (ws, req) => {
+        const ip = req.socket.remoteAddress;
+        let authenticated = false;
+
+        const authTimer = setTimeout(() => ws.close(CLOSE_AUTH_TIMEOUT, 'Authentication timed out'), AUTH_TIMEOUT_MS);
+
+        ws.on('message', (message, isBinary) => {
+            let data;
+            try {
+                data = isBinary ? null : JSON.parse(message);
+            } catch (error) {
+                data = null;
+            }
+            if (!data || typeof data !== 'object' || typeof data.type !== 'string') {
+                send(ws, { type: 'error', code: 'malformed-message', message: 'Messages must be JSON objects with a string type' });
+                return;
+            }
+
+            if (!authenticated) {
+                if (data.type !== 'auth' || typeof data.token !== 'string' || !isTokenValid(data.token, token)) {
+                    log.warn(`[Admin] Rejected dashboard connection from ${ip}`);
+                    ws.close(CLOSE_UNAUTHORIZED, 'Invalid admin token');
+                    return;
+                }
+
+                authenticated = true;
+                clearTimeout(authTimer);
+                dashboards.add(ws);
+                log.info(`[Admin] Dashboard connected from ${ip}`);
+
+                send(ws, { type: 'authenticated', intervalMs });
+                send(ws, { type: 'snapshot', ...getSnapshot() });
+                return;
+            }
+
+            handleAction(ws, data);
+        });
+
+        ws.on('close', () => {
+            clearTimeout(authTimer);
+            if (dashboards.delete(ws)) {
+                log.info(`[Admin] Dashboard from ${ip} disconnected`);
+            }
+        });
+
+        ws.on('error', (error) => {
+            log.warn(`[Admin] Dashboard socket error from ${ip}: ${error.message}`);
+        });
+    });
+
+    const timer = setInterval(broadcastSnapshot, intervalMs);
+
+    return {
+        handleUpgrade(req, socket, head) {
+            wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+        },
+        close() {
+            clearInterval(timer);
+            dashboards.forEach((ws) => ws.close(1001, 'Server shutting down'));
+            wss.close();
+        }
+    };
+}
+
+module.exports = {
+    createAdminChannel
+};
@@ -0,0 +1,231 @@
+// Tamper-evident audit log of remote-control sessions
+//
+// One JSON object per line, appended and never rewritten:
+//
+//   {"seq":12,"time":"...","event":"control-granted","sessionId":"XKQ-482-PLM",
+//    "sessionInstance":"9f3c01ab","clientId":7,"ip":"192.168.1.20",...,
+//    "prevHash":"<hash of entry 11>","hash":"..."}
+//
+// A session code can come back (the headless host keeps its code, random codes
+// repeat eventually), so entries also name the registration they belong to in
+// sessionInstance.
+//
+// Each hash is the SHA-256 of the entry without its `hash` field, and every
+// entry carries the previous entry's hash, so editing, removing or reordering
+// an entry breaks the chain from that point on. Record the last hash printed by
+// `verify` somewhere else to also detect entries cut off the end.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+
+// prevHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Enough to hold the last entry when resuming the chain at startup
+const TAIL_BYTES = 64 * 1024;
+
+function hashEntry(body) {
+    return crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+}
+
+// Read the last entry of an existing log so new entries continue its chain
+function readLastEntry(file) {
+    let fd;
+    try {
+        fd = fs.openSync(file, 'r');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    try {
+        const size = fs.fstatSync(fd).size;
+        const length = Math.min(size, TAIL_BYTES);
+        const buffer = Buffer.alloc(length);
+        fs.readSync(fd, buffer, 0, length, size - length);
+
+        const lines = buffer.toString('utf8').split('\n').filter((line) => line.trim());
+        if (lines.length === 0) return null;
+
+        const last = JSON.parse(lines[lines.length - 1]);
+        if (!Number.isInteger(last.seq) || typeof last.hash !== 'string') {
+            throw new Error('the last entry has no seq or hash');
+        }
+        return last;
+    } catch (error) {
+        throw new Error(`Audit log ${file} ends with a damaged entry (${error.message}); check it with the audit verify command`);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Open the audit log for appending. `record(event, fields)` writes one entry
+// synchronously, so the log on disk is never behind what the server did.
+function createAuditLog({ file, log }) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    const last = readLastEntry(file);
+    let seq = last ? last.seq : 0;
+    let prevHash = last ? last.hash : GENESIS_HASH;
+    const fd = fs.openSync(file, 'a', 0o600);
+
+    return {
+        record(event, fields = {}) {
+            const body = { seq: seq + 1, time: new Date().toISOString(), event };
+            for (const [name, value] of Object.entries(fields)) {
+                if (value !== undefined && value !== null) body[name] = value;
+            }
+            body.prevHash = prevHash;
+
+            const hash = hashEntry(body);
+            try {
+                fs.writeSync(fd, JSON.stringify({ ...body, hash }) + '\n');
+            } catch (error) {
+                log.error(`Could not write audit entry '${event}'`, { error });
+                return;
+            }
+
+            seq = body.seq;
+            prevHash = hash;
+        },
+        close() {
+            fs.closeSync(fd);
+        }
+    };
+}
+
+// Stream every entry of the log to onEntry(entry, lineNumber)
+async function forEachEntry(file, onEntry) {
+    const input = fs.createReadStream(file, { encoding: 'utf8' });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    let lineNumber = 0;
+    for await (const line of lines) {
+        lineNumber++;
+        if (!line.trim()) continue;
+        if (onEntry(line, lineNumber) === false) {
+            lines.close();
+            input.destroy();
+            break;
+        }
+    }
+}
+
+// Check the whole chain. Resolves to { valid, entries, lastHash } or, for a
+// broken log, { valid: false, entries, line, seq, problem }. A missing file
+// fails too, as deleting the whole log must not pass.
+async function verifyAuditLog(file) {
+    let entries = 0;
+    let expectedSeq = 1;
+    let prevHash = GENESIS_HASH;
+    let failure = null;
+
+    if (!fs.existsSync(file)) {
+        return { valid: false, entries: 0, problem: 'log file not found' };
+    }
+
+    await forEachEntry(file, (line, lineNumber) => {
+        const fail = (problem, seq) => {
+            failure = { line: lineNumber, seq, problem };
+            return false;
+        };
+
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            return fail('not valid JSON');
+        }
+
+        const { hash, ...body } = entry;
+        if (body.seq !== expectedSeq) {
+            return fail(`expected seq ${expectedSeq}, found ${body.seq}`, body.seq);
+        }
+        if (body.prevHash !== prevHash) {
+            return fail('prevHash does not match the previous entry', body.seq);
+        }
+        if (hashEntry(body) !== hash) {
+            return fail('hash does not match the entry contents', body.seq);
+        }
+
+        entries++;
+        expectedSeq++;
+        prevHash = hash;
+        return true;
+    });
+
+    if (failure) {
+        return { valid: false, entries, ...failure };
+    }
+    return { valid: true, entries, lastHash: prevHash };
+}
+
+// Collect the entries belonging to one session code, or only to one
+// registration of it when sessionInstance is given
+async function readSessionEntries(file, sessionId, sessionInstance = null) {
+    const entries = [];
+    if (!fs.existsSync(file)) return entries;
+
+    await forEachEntry(file, (line) => {
+        try {
+            const entry = JSON.parse(line);
+            if (entry.sessionId === sessionId && (!sessionInstance || entry.sessionInstance === sessionInstance)) {
+                entries.push(entry);
+            }
+        } catch (error) {
+            // Damaged lines are reported by verifyAuditLog
+        }
+    });
+    return entries;
+}
+
+// The registrations found among a session code's entries, oldest first:
+// [{ sessionInstance, from, to, entries }]. Refusals of a code nobody hosted
+// at the time belong to none.
+function listSessionInstances(entries) {
+    const instances = new Map();
+    entries.forEach((entry) => {
+        if (!entry.sessionInstance) return;
+
+        const instance = instances.get(entry.sessionInstance);
+        if (instance) {
+            instance.to = entry.time;
+            instance.entries++;
+        } else {
+            instances.set(entry.sessionInstance, { sessionInstance: entry.sessionInstance, from: entry.time, to: entry.time, entries: 1 });
+        }
+    });
+    return [...instances.values()];
+}
+
+const CSV_COLUMNS = ['seq', 'time', 'event', 'sessionId', 'sessionInstance', 'clientId', 'ip', 'name', 'role', 'details', 'hash'];
+
+function csvCell(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Render entries as CSV; fields without a column of their own go to `details`
+function toCsv(entries) {
+    const rows = entries.map((entry) => {
+        const details = {};
+        Object.entries(entry).forEach(([name, value]) => {
+            if (!CSV_COLUMNS.includes(name) && name !== 'prevHash') details[name] = value;
+        });
+
+        const row = { ...entry, details: Object.keys(details).length ? JSON.stringify(details) : '' };
+        return CSV_COLUMNS.map((column) => csvCell(row[column])).join(',');
+    });
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+    GENESIS_HASH,
+    createAuditLog,
+    verifyAuditLog,
+    readSessionEntries,
+    listSessionInstances,
+    toCsv
+};
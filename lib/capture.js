@@ -0,0 +1,81 @@
+// Screen capture sources for the headless host (lib/headless-host.js)
+//
+// A source has one method, capture(), which returns the current picture as
+//
+//   { width, height, stride, data }
+//
+// where data holds 4 bytes per pixel in BGRA order and stride is the number of
+// bytes per row. Every call returns a new buffer.
+
+// Capture the primary display with RobotJS
+function createRobotCapture() {
+    let robot;
+    try {
+        robot = require('robotjs');
+    } catch (error) {
+        throw new Error(`RobotJS is needed to capture the screen: ${error.message}`);
+    }
+
+    return {
+        capture() {
+            const bitmap = robot.screen.capture();
+            // On HiDPI displays the bitmap has more pixels than width and
+            // height say, so measure the buffer itself
+            const stride = bitmap.byteWidth;
+            return {
+                width: Math.floor(stride / bitmap.bytesPerPixel),
+                height: Math.floor(bitmap.image.length / stride),
+                stride,
+                data: bitmap.image
+            };
+        }
+    };
+}
+
+// A fake screen for tests and machines without a display: a fixed gradient
+// with a square that moves on every capture, so only a few tiles change
+function createTestPattern({ width = 640, height = 360, squareSize = 48 } = {}) {
+    let frame = 0;
+
+    return {
+        capture() {
+            const data = Buffer.alloc(width * height * 4);
+            const squareX = (frame * 16) % (width - squareSize);
+            const squareY = Math.floor((height - squareSize) / 2);
+            frame++;
+
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const offset = (y * width + x) * 4;
+                    const inSquare = x >= squareX && x < squareX + squareSize && y >= squareY && y < squareY + squareSize;
+                    data[offset] = inSquare ? 255 : Math.floor((x / width) * 255);
+                    data[offset + 1] = inSquare ? 255 : Math.floor((y / height) * 255);
+                    data[offset + 2] = inSquare ? 255 : 96;
+                    data[offset + 3] = 255;
+                }
+            }
+            return { width, height, stride: width * 4, data };
+        }
+    };
+}
+
+const SOURCES = {
+    robotjs: createRobotCapture,
+    'test-pattern': createTestPattern
+};
+
+// Create a capture source by name; throws when it cannot be used here
+function createCaptureSource(name) {
+    const create = SOURCES[name];
+    if (!create) {
+        throw new Error(`Unknown capture source '${name}'`);
+    }
+    return create();
+}
+
+module.exports = {
+    CAPTURE_SOURCES: Object.keys(SOURCES),
+    createCaptureSource,
+    createRobotCapture,
+    createTestPattern
+};
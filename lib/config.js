@@ -0,0 +1,648 @@
+// Server configuration: built-in defaults, overridden in turn by a JSON or
+// YAML config file, environment variables and command-line flags
+//
+//   node server.js --config config.yaml --port 8443 --https --no-input
+//
+// OPTIONS lists every setting that can also come from the environment or the
+// command line; the few structured settings (scroll scaling, event priorities,
+// rate limits, ICE servers, TURN realm, quality presets) can only be set in a
+// config file.
+
+const fs = require('fs');
+const path = require('path');
+const { LEVELS, parseSubsystemLevels } = require('./logger');
+const { createIpFilter } = require('./ip-filter');
+const { PERMISSION_LEVELS } = require('./protocol');
+const { CAPTURE_SOURCES } = require('./capture');
+const { INPUT_BACKENDS, parseScreenSize } = require('./input');
+
+const DEFAULTS = {
+    port: 9000,
+    host: '0.0.0.0',
+    tls: {
+        enabled: false,
+        cert: null,
+        key: null,
+        dir: path.join(__dirname, '..', 'certs')
+    },
+    input: {
+        // Off runs the server without injecting input, as without RobotJS
+        enabled: true,
+        // 'robotjs', 'xdotool', 'ydotool' (needs the ydotoold daemon) or
+        // 'mock', which only records what it would inject
+        backend: 'robotjs',
+        // e.g. '2560x1440'; detected by robotjs and xdotool, 1920x1080 for
+        // the others when unset
+        screenSize: null,
+        // Mouse moves smaller than this many pixels are not executed
+        mouseThresholdPx: 2,
+        // Binary mouse moves arriving faster than this are dropped
+        mouseMoveIntervalMs: 5,
+        // Wheel deltas are divided by the scale for their delta mode to get
+        // wheel notches (browsers report about 100 pixels or 3 lines per
+        // notch) and capped at maxStep notches per event
+        scroll: {
+            pixelScale: 100,
+            lineScale: 3,
+            pageScale: 1,
+            maxStep: 5
+        },
+        // Queued control events run lowest number first
+        eventPriorities: {
+            mousemove: 1,
+            wheel: 2,
+            mousedown: 3,
+            mouseup: 3,
+            click: 4,
+            rightclick: 4,
+            keydown: 5,
+            keyup: 5
+        }
+    },
+    // Origins allowed to open a WebSocket, e.g. "https://desk.example.com";
+    // empty allows any origin
+    allowedOrigins: [],
+    // ICE servers handed to clients besides the embedded relay; set [] on
+    // networks without internet access
+    iceServers: [
+        {
+            urls: [
+                'stun:stun.l.google.com:19302',
+                'stun:stun1.l.google.com:19302',
+                'stun:stun2.l.google.com:19302',
+                'stun:stun3.l.google.com:19302',
+                'stun:stun4.l.google.com:19302'
+            ]
+        }
+    ],
+    // WebRTC settings handed to both roles on registration and from
+    // GET /api/client-config
+    media: {
+        // 'relay' sends all media through TURN servers
+        iceTransportPolicy: 'all',
+        // Video bitrate cap in kbps; 0 leaves it to the browser
+        maxBitrate: 25000,
+        // Video codecs tried first, in order; the rest follow in browser order
+        codecPreferences: ['VP9', 'VP8', 'H264'],
+        // Capture preset used unless the host picks another
+        defaultQuality: 'high',
+        // Capture size and frame rate by name; replaced as a whole when set
+        qualityPresets: {
+            ultra: { width: 3840, height: 2160, frameRate: 60 },
+            high: { width: 1920, height: 1080, frameRate: 60 },
+            medium: { width: 1280, height: 720, frameRate: 30 },
+            low: { width: 854, height: 480, frameRate: 24 }
+        },
+        // When a viewer's peer connection fails, the host streams JPEG/WebP
+        // tiles over the WebSocket instead of retrying WebRTC
+        fallback: {
+            enabled: true,
+            // Upper bound; hosts slow down while their socket is backed up
+            maxFrameRate: 15,
+            // Image quality between 0 and 1
+            quality: 0.7
+        }
+    },
+    // Embedded STUN/TURN relay, see lib/turn.js
+    turn: {
+        enabled: false,
+        port: 3478,
+        // Addresses to listen on; empty listens on every interface
+        listenIps: [],
+        // Local addresses relayed traffic leaves from; empty picks automatically
+        relayIps: [],
+        // Public address to advertise for relayed candidates behind NAT
+        externalIp: null,
+        // Host name clients use in stun:/turn: URLs; defaults to the host
+        // they reached this server by
+        publicHost: null,
+        minPort: 49152,
+        maxPort: 65535,
+        realm: 'remote-desktop',
+        // Credentials are revoked when their client leaves and expire after this
+        credentialTtlMs: 24 * 60 * 60 * 1000
+    },
+    // Unattended host inside the server process, see lib/headless-host.js
+    headless: {
+        enabled: false,
+        // Session code viewers enter, e.g. LAB-204-PCX; random when unset
+        sessionCode: null,
+        // Shown on the admin dashboard; the machine's host name when unset
+        name: null,
+        // Without a PIN anyone who knows the session code gets in
+        pin: null,
+        // Permission level every admitted viewer gets; anything above 'view'
+        // needs a PIN
+        permission: 'view',
+        // 'robotjs' captures the primary display; 'test-pattern' draws a
+        // moving square, for tests and machines without a display
+        capture: 'robotjs',
+        frameRate: 5
+    },
+    // Client addresses, applied to HTTP requests and WebSocket upgrades
+    access: {
+        // Addresses or CIDR ranges; empty allows every address not denied
+        allow: [],
+        deny: [],
+        // Also allow loopback, private and link-local ranges (and, with an
+        // empty allow list, nothing else)
+        lanOnly: false,
+        // Off admits addresses outside the allowed set but flags them to the
+        // host; denied addresses are always refused
+        enforce: true
+    },
+    logging: {
+        level: 'info',
+        subsystems: {},
+        format: 'text',
+        file: null,
+        maxFileBytes: 10 * 1024 * 1024,
+        maxFiles: 5,
+        logKeys: false
+    },
+    sessions: {
+        // 0 means unlimited
+        maxSessions: 0,
+        maxViewersPerSession: 0,
+        resumeGraceMs: 30000,
+        pinMaxAttempts: 5,
+        pinLockoutMs: 5 * 60 * 1000
+    },
+    limits: {
+        // Larger frames are refused by the WebSocket layer
+        maxMessageBytes: 64 * 1024,
+        // Concurrent signaling sockets from one IP (0 = unlimited)
+        maxConnectionsPerIp: 20,
+        // Control events a client may have waiting for execution
+        maxQueueLength: 200,
+        // Frame-stream bytes waiting to be sent to a viewer before its frames
+        // are dropped until the next keyframe
+        streamBufferBytes: 1024 * 1024,
+        // Token buckets: `burst` messages at once, refilled at `perSecond`.
+        // `messages` covers every frame of a client, `types` each message
+        // type; types not listed share the `default` bucket. Clients that
+        // exceed a limit are disconnected.
+        messages: { perSecond: 300, burst: 600 },
+        types: {
+            default: { perSecond: 20, burst: 40 },
+            control: { perSecond: 150, burst: 300 },
+            'binary-mousemove': { perSecond: 250, burst: 500 },
+            'ice-candidate': { perSecond: 50, burst: 100 },
+            'stream-frame': { perSecond: 60, burst: 120 }
+        }
+    },
+    heartbeat: {
+        intervalMs: 15000,
+        maxMissed: 2
+    },
+    audit: {
+        // Hash-chained record of who controlled what, see lib/audit.js
+        enabled: true,
+        file: path.join(__dirname, '..', 'audit', 'audit.jsonl'),
+        // How often a controlling viewer's input counts are written
+        activityIntervalMs: 60000
+    },
+    admin: {
+        token: null
+    },
+    metrics: {
+        token: null
+    }
+};
+
+// Settings reachable from the environment and the command line. Boolean flags
+// also accept a --no- prefix (e.g. --no-input).
+const OPTIONS = [
+    { key: 'port', flag: 'port', env: 'PORT', type: 'integer', min: 0, max: 65535, help: 'HTTP and WebSocket port' },
+    { key: 'host', flag: 'host', env: 'HOST', type: 'string', help: 'Address to bind, e.g. 127.0.0.1 for this machine only' },
+    { key: 'tls.enabled', flag: 'https', env: 'HTTPS', type: 'boolean', help: 'Serve HTTPS/WSS' },
+    { key: 'tls.cert', flag: 'tls-cert', env: 'TLS_CERT', type: 'path', help: 'PEM certificate (implies --https)' },
+    { key: 'tls.key', flag: 'tls-key', env: 'TLS_KEY', type: 'path', help: 'PEM private key' },
+    { key: 'tls.dir', flag: 'tls-dir', env: 'TLS_DIR', type: 'path', help: 'Where the self-signed certificate is stored' },
+    { key: 'input.enabled', flag: 'input', env: 'INPUT_ENABLED', type: 'boolean', help: 'Inject remote input on this machine' },
+    { key: 'input.backend', flag: 'input-backend', env: 'INPUT_BACKEND', type: 'enum', values: INPUT_BACKENDS, help: 'How remote input is injected' },
+    { key: 'input.screenSize', flag: 'screen-size', env: 'SCREEN_SIZE', type: 'string', help: 'Screen size for remote input, e.g. 2560x1440 (default: detected)' },
+    { key: 'input.mouseThresholdPx', flag: 'mouse-threshold', env: 'MOUSE_THRESHOLD_PX', type: 'integer', min: 0, help: 'Smallest mouse move executed, in pixels' },
+    { key: 'input.mouseMoveIntervalMs', flag: 'mouse-interval', env: 'MOUSE_MOVE_INTERVAL_MS', type: 'integer', min: 0, help: 'Minimum time between binary mouse moves' },
+    { key: 'allowedOrigins', flag: 'allowed-origins', env: 'ALLOWED_ORIGINS', type: 'list', help: 'Comma-separated origins allowed to connect' },
+    { key: 'media.iceTransportPolicy', flag: 'ice-transport-policy', env: 'ICE_TRANSPORT_POLICY', type: 'enum', values: ['all', 'relay'], help: 'ICE candidates clients may use (relay = TURN only)' },
+    { key: 'media.maxBitrate', flag: 'max-bitrate', env: 'MAX_BITRATE', type: 'integer', min: 0, help: 'Video bitrate cap in kbps (0 = browser default)' },
+    { key: 'media.codecPreferences', flag: 'codecs', env: 'CODEC_PREFERENCES', type: 'list', empty: '(browser order)', help: 'Comma-separated video codecs to prefer, e.g. VP9,H264' },
+    { key: 'media.defaultQuality', flag: 'default-quality', env: 'DEFAULT_QUALITY', type: 'string', help: 'Capture quality preset used by default' },
+    { key: 'media.fallback.enabled', flag: 'frame-fallback', env: 'FRAME_FALLBACK', type: 'boolean', help: 'Stream frames over the WebSocket when WebRTC fails' },
+    { key: 'media.fallback.maxFrameRate', flag: 'fallback-max-fps', env: 'FALLBACK_MAX_FPS', type: 'integer', min: 1, max: 60, help: 'Highest frame rate of the WebSocket fallback' },
+    { key: 'headless.enabled', flag: 'headless', env: 'HEADLESS', type: 'boolean', help: "Share this machine's screen without a browser" },
+    { key: 'headless.sessionCode', flag: 'headless-session', env: 'HEADLESS_SESSION', type: 'string', help: 'Fixed session code of the headless host, e.g. LAB-204-PCX' },
+    { key: 'headless.name', flag: 'headless-name', env: 'HEADLESS_NAME', type: 'string', help: 'Name of the headless host (default: host name)' },
+    { key: 'headless.pin', flag: 'headless-pin', env: 'HEADLESS_PIN', type: 'secret', help: 'PIN viewers need to join the headless host' },
+    { key: 'headless.permission', flag: 'headless-permission', env: 'HEADLESS_PERMISSION', type: 'enum', values: PERMISSION_LEVELS, help: 'Permission level of viewers admitted by the headless host' },
+    { key: 'headless.capture', flag: 'headless-capture', env: 'HEADLESS_CAPTURE', type: 'enum', values: CAPTURE_SOURCES, help: 'Screen capture source of the headless host' },
+    { key: 'headless.frameRate', flag: 'headless-fps', env: 'HEADLESS_FPS', type: 'integer', min: 1, max: 30, help: 'Frame rate of the headless host' },
+    { key: 'turn.enabled', flag: 'turn', env: 'TURN_ENABLED', type: 'boolean', help: 'Run the embedded STUN/TURN relay' },
+    { key: 'turn.port', flag: 'turn-port', env: 'TURN_PORT', type: 'integer', min: 1, max: 65535, help: 'UDP port of the STUN/TURN relay' },
+    { key: 'turn.listenIps', flag: 'turn-listen-ips', env: 'TURN_LISTEN_IPS', type: 'list', empty: '(all interfaces)', help: 'Comma-separated addresses the relay listens on' },
+    { key: 'turn.relayIps', flag: 'turn-relay-ips', env: 'TURN_RELAY_IPS', type: 'list', empty: '(automatic)', help: 'Comma-separated local addresses used for relaying' },
+    { key: 'turn.externalIp', flag: 'turn-external-ip', env: 'TURN_EXTERNAL_IP', type: 'string', help: 'Public address advertised for relayed candidates behind NAT' },
+    { key: 'turn.publicHost', flag: 'turn-host', env: 'TURN_HOST', type: 'string', help: 'Host name in the stun:/turn: URLs given to clients' },
+    { key: 'turn.minPort', flag: 'turn-min-port', env: 'TURN_MIN_PORT', type: 'integer', min: 1, max: 65535, help: 'Lowest UDP port for relayed traffic' },
+    { key: 'turn.maxPort', flag: 'turn-max-port', env: 'TURN_MAX_PORT', type: 'integer', min: 1, max: 65535, help: 'Highest UDP port for relayed traffic' },
+    { key: 'turn.credentialTtlMs', flag: 'turn-credential-ttl', env: 'TURN_CREDENTIAL_TTL_MS', type: 'integer', min: 60000, help: 'Longest lifetime of a TURN credential' },
+    { key: 'access.allow', flag: 'allow-ips', env: 'ALLOW_IPS', type: 'list', help: 'Comma-separated addresses or CIDR ranges allowed to connect' },
+    { key: 'access.deny', flag: 'deny-ips', env: 'DENY_IPS', type: 'list', empty: '(none)', help: 'Comma-separated addresses or CIDR ranges always refused' },
+    { key: 'access.lanOnly', flag: 'lan-only', env: 'LAN_ONLY', type: 'boolean', help: 'Allow only private and link-local addresses' },
+    { key: 'access.enforce', flag: 'enforce-access', env: 'ACCESS_ENFORCE', type: 'boolean', help: 'Refuse addresses outside the allowed set (off flags them to the host)' },
+    { key: 'logging.level', flag: 'log-level', env: 'LOG_LEVEL', type: 'enum', values: Object.keys(LEVELS), help: 'Default log level' },
+    { key: 'logging.subsystems', flag: 'log-subsystems', env: 'LOG_SUBSYSTEMS', type: 'levels', help: 'Per-subsystem levels, e.g. control=debug,http=off' },
+    { key: 'logging.format', flag: 'log-format', env: 'LOG_FORMAT', type: 'enum', values: ['text', 'json'], help: 'Console log format' },
+    { key: 'logging.file', flag: 'log-file', env: 'LOG_FILE', type: 'path', help: 'Also write JSON logs to this file' },
+    { key: 'logging.maxFileBytes', flag: 'log-file-max-bytes', env: 'LOG_FILE_MAX_BYTES', type: 'integer', min: 1024, help: 'Rotate the log file at this size' },
+    { key: 'logging.maxFiles', flag: 'log-file-max-files', env: 'LOG_FILE_MAX_FILES', type: 'integer', min: 1, help: 'Rotated log files to keep' },
+    { key: 'logging.logKeys', flag: 'log-keys', env: 'LOG_KEYS', type: 'boolean', help: 'Log pressed keys instead of redacting them' },
+    { key: 'sessions.maxSessions', flag: 'max-sessions', env: 'MAX_SESSIONS', type: 'integer', min: 0, help: 'Concurrent host sessions (0 = unlimited)' },
+    { key: 'sessions.maxViewersPerSession', flag: 'max-viewers', env: 'MAX_VIEWERS_PER_SESSION', type: 'integer', min: 0, help: 'Viewers per session, pending included (0 = unlimited)' },
+    { key: 'sessions.resumeGraceMs', flag: 'resume-grace', env: 'RESUME_GRACE_MS', type: 'integer', min: 0, help: 'How long a disconnected client may resume' },
+    { key: 'sessions.pinMaxAttempts', flag: 'pin-max-attempts', env: 'PIN_MAX_ATTEMPTS', type: 'integer', min: 1, help: 'Wrong PINs before an IP is locked out' },
+    { key: 'sessions.pinLockoutMs', flag: 'pin-lockout', env: 'PIN_LOCKOUT_MS', type: 'integer', min: 0, help: 'How long a PIN lockout lasts' },
+    { key: 'limits.maxMessageBytes', flag: 'max-message-bytes', env: 'MAX_MESSAGE_BYTES', type: 'integer', min: 1024, help: 'Largest WebSocket frame accepted' },
+    { key: 'limits.maxConnectionsPerIp', flag: 'max-connections-per-ip', env: 'MAX_CONNECTIONS_PER_IP', type: 'integer', min: 0, help: 'Concurrent sockets per IP (0 = unlimited)' },
+    { key: 'limits.maxQueueLength', flag: 'max-queue-length', env: 'MAX_QUEUE_LENGTH', type: 'integer', min: 1, help: 'Queued control events per client before it is disconnected' },
+    { key: 'limits.streamBufferBytes', flag: 'stream-buffer-bytes', env: 'STREAM_BUFFER_BYTES', type: 'integer', min: 65536, help: 'Frame-stream bytes queued per viewer before frames are dropped' },
+    { key: 'heartbeat.intervalMs', flag: 'heartbeat-interval', env: 'HEARTBEAT_INTERVAL_MS', type: 'integer', min: 100, help: 'How often every socket is pinged' },
+    { key: 'heartbeat.maxMissed', flag: 'heartbeat-max-missed', env: 'HEARTBEAT_MAX_MISSED', type: 'integer', min: 1, help: 'Pings a socket may miss before it is dropped' },
+    { key: 'audit.enabled', flag: 'audit', env: 'AUDIT_ENABLED', type: 'boolean', help: 'Write the tamper-evident audit log' },
+    { key: 'audit.file', flag: 'audit-file', env: 'AUDIT_FILE', type: 'path', help: 'Audit log file' },
+    { key: 'audit.activityIntervalMs', flag: 'audit-activity-interval', env: 'AUDIT_ACTIVITY_INTERVAL_MS', type: 'integer', min: 1000, help: 'How often input activity counts are audited' },
+    { key: 'admin.token', flag: 'admin-token', env: 'ADMIN_TOKEN', type: 'secret', help: 'Admin API and dashboard token (random when unset)' },
+    { key: 'metrics.token', flag: 'metrics-token', env: 'METRICS_TOKEN', type: 'secret', help: 'Bearer token for /metrics (open when unset)' }
+];
+
+// Maps a config file replaces instead of merging into the defaults
+const REPLACED_MAPS = ['logging.subsystems', 'media.qualityPresets'];
+
+const TRUE_VALUES = ['1', 'true', 'yes', 'on'];
+const FALSE_VALUES = ['0', 'false', 'no', 'off'];
+
+function getPath(object, key) {
+    return key.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), object);
+}
+
+function setPath(object, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((value, part) => value[part], object);
+    parent[last] = value;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Convert a string from the environment or command line to the option's type
+function parseOptionValue(option, raw, baseDir) {
+    switch (option.type) {
+        case 'integer': {
+            if (!/^-?\d+$/.test(raw.trim())) {
+                throw new Error('must be an integer');
+            }
+            return parseInt(raw, 10);
+        }
+        case 'boolean': {
+            const value = raw.trim().toLowerCase();
+            if (TRUE_VALUES.includes(value)) return true;
+            if (FALSE_VALUES.includes(value)) return false;
+            throw new Error(`must be one of ${[...TRUE_VALUES, ...FALSE_VALUES].join(', ')}`);
+        }
+        case 'list':
+            return raw.split(',').map((item) => item.trim()).filter(Boolean);
+        case 'levels':
+            return parseSubsystemLevels(raw);
+        case 'path':
+            return raw ? path.resolve(baseDir, raw) : null;
+        case 'enum':
+            return raw.trim().toLowerCase();
+        default:
+            return raw || null;
+    }
+}
+
+// Check one value against its option; returns an error message or null
+function checkOptionValue(option, value) {
+    // Paths, tokens and settings without a default are optional
+    if (value === null && (option.type === 'path' || option.type === 'secret' || getPath(DEFAULTS, option.key) === null)) {
+        return null;
+    }
+
+    switch (option.type) {
+        case 'integer':
+            if (!Number.isInteger(value)) return 'must be an integer';
+            if (option.min !== undefined && value < option.min) return `must be at least ${option.min}`;
+            if (option.max !== undefined && value > option.max) return `must be at most ${option.max}`;
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'must be true or false';
+        case 'list':
+            return Array.isArray(value) && value.every((item) => typeof item === 'string') ? null : 'must be a list of strings';
+        case 'levels':
+            if (!isPlainObject(value)) return 'must map subsystems to levels';
+            try {
+                parseSubsystemLevels(Object.entries(value).map(([name, level]) => `${name}=${level}`).join(','));
+            } catch (error) {
+                return error.message;
+            }
+            return null;
+        case 'enum':
+            return option.values.includes(value) ? null : `must be one of ${option.values.join(', ')}`;
+        default:
+            return typeof value === 'string' && value ? null : 'must be a non-empty string';
+    }
+}
+
+function readConfigFile(filePath) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read config file ${filePath}: ${error.message}`);
+    }
+
+    const extension = path.extname(filePath).toLowerCase();
+    let data;
+    try {
+        if (extension === '.yaml' || extension === '.yml') {
+            // Loaded lazily so JSON-only setups do not need the dependency
+            data = require('js-yaml').load(text);
+        } else if (extension === '.json') {
+            data = JSON.parse(text);
+        } else {
+            throw new Error('use a .json, .yaml or .yml file');
+        }
+    } catch (error) {
+        throw new Error(`Invalid config file ${filePath}: ${error.message}`);
+    }
+
+    if (data === undefined || data === null) return {};
+    if (!isPlainObject(data)) {
+        throw new Error(`Invalid config file ${filePath}: the top level must be an object`);
+    }
+    return data;
+}
+
+// Merge a config file over the defaults, rejecting unknown keys so that a typo
+// does not silently leave a setting at its default
+function mergeFile(config, data, sources, baseDir, prefix = '') {
+    for (const [name, value] of Object.entries(data)) {
+        const key = prefix ? `${prefix}.${name}` : name;
+        const current = getPath(DEFAULTS, key);
+
+        // Rate limits may be given for any message type
+        if (current === undefined && prefix === 'limits.types') {
+            setPath(config, key, value);
+            sources[key] = 'file';
+            continue;
+        }
+        if (current === undefined) {
+            throw new Error(`Unknown config setting '${key}'`);
+        }
+
+        // Nested sections merge; maps that are settings themselves are replaced
+        if (isPlainObject(current) && !REPLACED_MAPS.includes(key)) {
+            if (!isPlainObject(value)) {
+                throw new Error(`Config setting '${key}' must be an object`);
+            }
+            mergeFile(config, value, sources, baseDir, key);
+            continue;
+        }
+
+        const option = OPTIONS.find((candidate) => candidate.key === key);
+        setPath(config, key, option && option.type === 'path' && typeof value === 'string' ? path.resolve(baseDir, value) : value);
+        sources[key] = 'file';
+    }
+}
+
+// Parse argv into { configPath, help, values: [[option, raw]] }
+function parseArgs(argv) {
+    const result = { configPath: null, help: false, values: [] };
+
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        if (arg === '--help' || arg === '-h') {
+            result.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            throw new Error(`Unexpected argument '${arg}'`);
+        }
+
+        let [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        const takeValue = () => {
+            if (inlineValue !== undefined) return inlineValue;
+            if (index + 1 >= argv.length || argv[index + 1].startsWith('--')) {
+                throw new Error(`Missing value for --${name}`);
+            }
+            return argv[++index];
+        };
+
+        if (name === 'config') {
+            result.configPath = takeValue();
+            continue;
+        }
+
+        let option = OPTIONS.find((candidate) => candidate.flag === name);
+        if (!option && name.startsWith('no-')) {
+            option = OPTIONS.find((candidate) => candidate.flag === name.slice(3) && candidate.type === 'boolean');
+            if (option) {
+                result.values.push([option, 'false']);
+                continue;
+            }
+        }
+        if (!option) {
+            throw new Error(`Unknown option --${name}; see --help`);
+        }
+
+        result.values.push([option, option.type === 'boolean' && inlineValue === undefined ? 'true' : takeValue()]);
+    }
+
+    return result;
+}
+
+function validateStructured(config) {
+    const scroll = config.input.scroll;
+    for (const [name, value] of Object.entries(scroll)) {
+        if (typeof value !== 'number' || !(value > 0)) {
+            throw new Error(`Config setting 'input.scroll.${name}' must be a positive number`);
+        }
+    }
+
+    for (const [action, value] of Object.entries(config.input.eventPriorities)) {
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error(`Config setting 'input.eventPriorities.${action}' must be a positive integer`);
+        }
+    }
+
+    if (config.input.screenSize !== null && !parseScreenSize(config.input.screenSize)) {
+        throw new Error("Config setting 'input.screenSize' must be a size like 2560x1440");
+    }
+
+    if (!Array.isArray(config.iceServers)) {
+        throw new Error("Config setting 'iceServers' must be a list");
+    }
+    config.iceServers.forEach((server, index) => {
+        const urls = isPlainObject(server) ? [].concat(server.urls) : [];
+        if (urls.length === 0 || !urls.every((url) => typeof url === 'string' && /^(stun|stuns|turn|turns):/.test(url))) {
+            throw new Error(`Config setting 'iceServers[${index}]' needs urls starting with stun:, stuns:, turn: or turns:`);
+        }
+    });
+    const presets = config.media.qualityPresets;
+    if (!isPlainObject(presets) || Object.keys(presets).length === 0) {
+        throw new Error("Config setting 'media.qualityPresets' must name at least one preset");
+    }
+    for (const [name, preset] of Object.entries(presets)) {
+        const fields = isPlainObject(preset) ? ['width', 'height', 'frameRate'].map((field) => preset[field]) : [];
+        if (fields.length === 0 || !fields.every((value) => Number.isInteger(value) && value > 0) || Object.keys(preset).length !== 3) {
+            throw new Error(`Config setting 'media.qualityPresets.${name}' needs positive integer width, height and frameRate`);
+        }
+    }
+    if (!Object.prototype.hasOwnProperty.call(presets, config.media.defaultQuality)) {
+        throw new Error(`Config setting 'media.defaultQuality' must be one of ${Object.keys(presets).join(', ')}`);
+    }
+    const quality = config.media.fallback.quality;
+    if (typeof quality !== 'number' || !(quality > 0 && quality <= 1)) {
+        throw new Error("Config setting 'media.fallback.quality' must be a number above 0 and at most 1");
+    }
+
+    const sessionCode = config.headless.sessionCode;
+    if (sessionCode !== null && String(sessionCode).toUpperCase().replace(/[^A-Z0-9]/g, '').length !== 9) {
+        throw new Error("Config setting 'headless.sessionCode' needs 9 letters and digits, e.g. LAB-204-PCX");
+    }
+    const pin = config.headless.pin;
+    if (pin !== null && (String(pin).trim().length < 4 || String(pin).trim().length > 32)) {
+        throw new Error("Config setting 'headless.pin' must be between 4 and 32 characters");
+    }
+    // Nobody is at the machine to turn an intruder away
+    if (config.headless.enabled && pin === null && config.headless.permission !== 'view') {
+        throw new Error(`Config setting 'headless.permission' '${config.headless.permission}' needs a headless.pin, or anyone who knows the session code controls this machine`);
+    }
+
+    if (config.turn.minPort > config.turn.maxPort) {
+        throw new Error("Config setting 'turn.minPort' must not be above 'turn.maxPort'");
+    }
+
+    for (const list of ['allow', 'deny']) {
+        try {
+            createIpFilter({ [list]: config.access[list] });
+        } catch (error) {
+            throw new Error(`Config setting 'access.${list}': ${error.message}`);
+        }
+    }
+
+    const buckets = [['limits.messages', config.limits.messages]];
+    if (!isPlainObject(config.limits.types) || !isPlainObject(config.limits.types.default)) {
+        throw new Error("Config setting 'limits.types' must include a default rate");
+    }
+    for (const [type, bucket] of Object.entries(config.limits.types)) {
+        buckets.push([`limits.types.${type}`, bucket]);
+    }
+    for (const [name, bucket] of buckets) {
+        if (!isPlainObject(bucket) || !(bucket.perSecond > 0) || !(bucket.burst >= 1)) {
+            throw new Error(`Config setting '${name}' needs a positive perSecond and a burst of at least 1`);
+        }
+    }
+}
+
+// Build the effective configuration. Returns { config, sources, configPath,
+// help }, where sources maps each changed setting to file, env or cli.
+// Throws an Error with a readable message for any invalid setting.
+function loadConfig({ argv = process.argv.slice(2), env = process.env, cwd = process.cwd() } = {}) {
+    const args = parseArgs(argv);
+    const config = JSON.parse(JSON.stringify(DEFAULTS));
+    const sources = {};
+
+    const configPath = args.configPath || env.CONFIG_FILE || null;
+    if (configPath) {
+        const resolved = path.resolve(cwd, configPath);
+        mergeFile(config, readConfigFile(resolved), sources, path.dirname(resolved));
+    }
+
+    const apply = (option, raw, source) => {
+        let value;
+        try {
+            value = parseOptionValue(option, raw, cwd);
+        } catch (error) {
+            const name = source === 'env' ? option.env : `--${option.flag}`;
+            throw new Error(`Invalid ${name} '${raw}': ${error.message}`);
+        }
+        setPath(config, option.key, value);
+        sources[option.key] = source;
+    };
+
+    OPTIONS.forEach((option) => {
+        if (env[option.env] !== undefined && env[option.env] !== '') {
+            apply(option, env[option.env], 'env');
+        }
+    });
+    args.values.forEach(([option, raw]) => apply(option, raw, 'cli'));
+
+    OPTIONS.forEach((option) => {
+        const problem = checkOptionValue(option, getPath(config, option.key));
+        if (problem) {
+            throw new Error(`Config setting '${option.key}' ${problem}`);
+        }
+    });
+    validateStructured(config);
+
+    // Giving a certificate means HTTPS, as TLS_CERT always did
+    if (config.tls.cert && !config.tls.enabled) {
+        config.tls.enabled = true;
+        sources['tls.enabled'] = sources['tls.cert'];
+    }
+
+    return { config, sources, configPath: configPath ? path.resolve(cwd, configPath) : null, help: args.help };
+}
+
+// Lines describing the effective configuration, secrets masked
+function describeConfig(config, sources) {
+    return OPTIONS.map((option) => {
+        let value = getPath(config, option.key);
+        if (option.type === 'secret') {
+            value = value ? '(set)' : '(not set)';
+        } else if (option.type === 'list') {
+            value = value.length ? value.join(', ') : option.empty || '(any)';
+        } else if (option.type === 'levels') {
+            value = Object.keys(value).length ? Object.entries(value).map(([name, level]) => `${name}=${level}`).join(', ') : '(default)';
+        } else if (value === null) {
+            value = '(none)';
+        }
+
+        const source = sources[option.key] ? `  [${sources[option.key]}]` : '';
+        return `${option.key.padEnd(30)} ${value}${source}`;
+    });
+}
+
+function usage() {
+    const lines = [
+        'Usage: node server.js [--config file.json|file.yaml] [options]',
+        '',
+        'Settings are read from the defaults, then the config file (--config or',
+        'CONFIG_FILE), then environment variables, then these flags.',
+        '',
+        'Options:'
+    ];
+
+    OPTIONS.forEach((option) => {
+        const value = option.type === 'boolean' ? '' : ` <${option.type === 'enum' ? option.values.join('|') : option.type === 'secret' ? 'token' : option.type}>`;
+        const flag = option.type === 'boolean' ? `--[no-]${option.flag}` : `--${option.flag}${value}`;
+        lines.push(`  ${flag.padEnd(38)} ${option.help} (${option.env})`);
+    });
+    lines.push(`  ${'--config <path>'.padEnd(38)} JSON or YAML config file (CONFIG_FILE)`);
+    lines.push(`  ${'-h, --help'.padEnd(38)} Show this help`);
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    DEFAULTS,
+    OPTIONS,
+    loadConfig,
+    describeConfig,
+    usage
+};
@@ -0,0 +1,255 @@
+// Unattended host running inside the server process
+//
+// The agent registers as a host over an in-process loopback socket and speaks
+// the same signaling protocol as the page host: it sets the session PIN,
+// admits every viewer that gets past it, and streams its capture to them as
+// PNG tiles over the WebSocket frame stream (see lib/protocol.js), encoded on
+// a worker thread (lib/tile-encoder.js). It never negotiates WebRTC. Remote
+// input needs nothing here, because the server executes a controlling
+// viewer's input on this machine for any host.
+//
+// If the server drops the agent (an administrator ended its session), it
+// registers again after restartDelayMs.
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const protocol = require('./protocol');
+const { createTileEncoder } = require('./tile-encoder');
+
+// The server's end of an in-process socket, covering what server.js uses of a
+// ws WebSocket. `deliver` receives every message the server sends, parsed;
+// `onClose` runs once when either side closes it.
+function createLoopbackSocket({ deliver, onClose }) {
+    const socket = new EventEmitter();
+    socket.headless = true;
+    socket.readyState = WebSocket.OPEN;
+    socket.bufferedAmount = 0;
+    socket.binaryType = 'nodebuffer';
+
+    // Messages travel on later ticks, as they would over a network
+    socket.send = (data) => {
+        if (socket.readyState !== WebSocket.OPEN) return;
+        setImmediate(() => deliver(JSON.parse(data)));
+    };
+    socket.ping = () => {
+        setImmediate(() => socket.emit('pong'));
+    };
+    socket.close = () => {
+        if (socket.readyState === WebSocket.CLOSED) return;
+        socket.readyState = WebSocket.CLOSED;
+        setImmediate(() => {
+            socket.emit('close', 1000);
+            onClose();
+        });
+    };
+    socket.terminate = socket.close;
+
+    // Text messages arrive as a Buffer and binary ones as an ArrayBuffer,
+    // like the server's real sockets
+    socket.receive = (message) => {
+        if (socket.readyState !== WebSocket.OPEN) return;
+        setImmediate(() => socket.emit('message', message));
+    };
+
+    return socket;
+}
+
+// Create the agent; call start() once the server accepts connections.
+// `connect(socket)` hands a loopback socket to the server as a new connection,
+// `capture` is a source from lib/capture.js.
+function createHeadlessHost({ connect, capture, pin, permission, frameRate, restartDelayMs = 5000, log }) {
+    let socket = null;
+    let stopped = true;
+    let restartTimer = null;
+    let limits = { maxMessageBytes: protocol.MAX_MESSAGE_BYTES, streamMessagesPerSecond: 60 };
+
+    // Viewers receiving the frame stream, and the capture loop feeding them
+    const viewers = new Set();
+    let encoder = null;
+    let capturing = false;
+    let captureTimer = null;
+    let frameNumber = 0;
+    let keyframeNeeded = false;
+
+    function send(data) {
+        if (socket) socket.receive(Buffer.from(JSON.stringify(data)));
+    }
+
+    function open() {
+        viewers.clear();
+        encoder.reset();
+        socket = createLoopbackSocket({ deliver: handleMessage, onClose: handleClose });
+        connect(socket);
+        send({ type: 'register', role: 'host', protocolVersion: protocol.PROTOCOL_VERSION });
+    }
+
+    function handleClose() {
+        socket = null;
+        viewers.clear();
+        if (stopped) return;
+
+        log.warn(`Headless host was disconnected, registering again in ${restartDelayMs / 1000}s`);
+        restartTimer = setTimeout(open, restartDelayMs);
+    }
+
+    function handleMessage(data) {
+        switch (data.type) {
+            case 'registered':
+                limits = data.limits || limits;
+                if (pin) send({ type: 'set-pin', pin });
+                // Nobody is at this machine to hand out control
+                send({ type: 'set-control-policy', policy: 'auto' });
+                send({ type: 'host-ready' });
+                log.info(`Headless host sharing session ${data.sessionId}`);
+                break;
+
+            case 'join-request':
+                log.info(`Admitting ${data.name} (${data.ip}) with '${permission}' permission`);
+                send({ type: 'join-response', clientId: data.clientId, decision: 'accept', permission });
+                break;
+
+            case 'client-joined':
+                viewers.add(data.clientId);
+                send({ type: 'stream-start', targetId: data.clientId });
+                keyframeNeeded = true;
+                startCapture();
+                break;
+
+            case 'client-left':
+                viewers.delete(data.clientId);
+                break;
+
+            case 'stream-keyframe':
+                keyframeNeeded = true;
+                break;
+
+            case 'control-requested':
+                // Only asked while another viewer holds the floor
+                send({ type: 'control-deny', clientId: data.clientId });
+                break;
+
+            case 'pin-failed':
+                log.warn(`Wrong PIN from ${data.ip} (${data.attempts} failures)`);
+                break;
+
+            case 'error':
+                log.warn(`Server refused a headless host message: ${data.message}`, { code: data.code });
+                break;
+        }
+    }
+
+    function startCapture() {
+        if (capturing) return;
+        capturing = true;
+        captureTimer = setTimeout(captureFrame, 0);
+    }
+
+    // One tick of the capture loop; it stops once no viewer is left. Like the
+    // page host, it keeps its message count below the server's rate limit.
+    async function captureFrame() {
+        captureTimer = null;
+        if (viewers.size === 0 || !socket || stopped) {
+            capturing = false;
+            if (encoder) encoder.reset();
+            return;
+        }
+
+        const startedAt = Date.now();
+        let messages = 0;
+        try {
+            messages = await encodeFrame();
+        } catch (error) {
+            // Stopping the host ends the encoder under a frame
+            if (!stopped) log.error('Screen capture failed', { error });
+        }
+
+        const pacingMs = (messages * 1000) / (limits.streamMessagesPerSecond * 0.8);
+        const delayMs = Math.max(1000 / frameRate, pacingMs) - (Date.now() - startedAt);
+        captureTimer = setTimeout(captureFrame, Math.max(0, delayMs));
+    }
+
+    // Capture the screen and send the tiles that changed since the last
+    // picture (all of them for a keyframe). Returns the number of messages sent.
+    async function encodeFrame() {
+        const picture = capture.capture();
+        const keyframeWanted = keyframeNeeded;
+        keyframeNeeded = false;
+        const { keyframe, tiles } = await encoder.encode(picture, keyframeWanted);
+        if (tiles.length === 0 || !socket) return 0;
+
+        frameNumber++;
+        return sendTiles(tiles, keyframe, picture.width, picture.height);
+    }
+
+    // Pack tiles into messages of at most limits.maxMessageBytes; a tile too
+    // big for that goes alone, as the loopback socket has no size limit
+    function sendTiles(tiles, keyframe, width, height) {
+        const batches = [];
+        let size = Infinity;
+        tiles.forEach((tile) => {
+            const tileSize = protocol.STREAM_TILE_HEADER_BYTES + tile.bytes.length;
+            if (size + tileSize > limits.maxMessageBytes) {
+                batches.push([]);
+                size = protocol.STREAM_FRAME_HEADER_BYTES;
+            }
+            batches[batches.length - 1].push(tile);
+            size += tileSize;
+        });
+
+        batches.forEach((batch) => {
+            const length = batch.reduce(
+                (total, tile) => total + protocol.STREAM_TILE_HEADER_BYTES + tile.bytes.length,
+                protocol.STREAM_FRAME_HEADER_BYTES
+            );
+            const message = new ArrayBuffer(length);
+            const buffer = Buffer.from(message);
+
+            buffer.writeUInt8(protocol.STREAM_FRAME_KIND, 0);
+            buffer.writeUInt8(keyframe ? protocol.STREAM_FLAG_KEYFRAME : 0, 1);
+            buffer.writeUInt16BE(width, 2);
+            buffer.writeUInt16BE(height, 4);
+            buffer.writeUInt32BE(frameNumber, 6);
+            buffer.writeUInt16BE(batch.length, 10);
+
+            let offset = protocol.STREAM_FRAME_HEADER_BYTES;
+            batch.forEach((tile) => {
+                buffer.writeUInt16BE(tile.x, offset);
+                buffer.writeUInt16BE(tile.y, offset + 2);
+                buffer.writeUInt16BE(tile.width, offset + 4);
+                buffer.writeUInt16BE(tile.height, offset + 6);
+                buffer.writeUInt32BE(tile.bytes.length, offset + 8);
+                tile.bytes.copy(buffer, offset + protocol.STREAM_TILE_HEADER_BYTES);
+                offset += protocol.STREAM_TILE_HEADER_BYTES + tile.bytes.length;
+            });
+
+            socket.receive(message);
+        });
+        return batches.length;
+    }
+
+    return {
+        start() {
+            if (!stopped) return;
+            stopped = false;
+            encoder = createTileEncoder();
+            open();
+        },
+
+        stop() {
+            stopped = true;
+            clearTimeout(restartTimer);
+            clearTimeout(captureTimer);
+            capturing = false;
+            if (socket) socket.close();
+            if (encoder) {
+                encoder.close();
+                encoder = null;
+            }
+        }
+    };
+}
+
+module.exports = {
+    createLoopbackSocket,
+    createHeadlessHost
+};
@@ -0,0 +1,364 @@
+// Input injection backends: how a controlling viewer's mouse and keyboard
+// reach this machine
+//
+// A backend has these methods:
+//
+//   getScreenSize()              { width, height } in pixels
+//   getMousePos()                { x, y }, as far as the backend knows
+//   moveMouse(x, y)              absolute position in pixels
+//   mouseToggle(direction, button)   'down' or 'up'; 'left', 'middle' or 'right'
+//   scrollMouse(x, y)            wheel notches, maybe fractional; positive
+//                                scrolls right and down
+//   keyToggle(key, direction)    'down' or 'up'
+//   typeString(text)             type text that has no key of its own
+//
+// Backends that can only turn the wheel by whole notches carry the fraction
+// over to the next call, so slow trackpad scrolling still arrives.
+//
+// Keys use RobotJS's names: 'backspace', 'enter', 'left', 'pageup', 'f1',
+// 'control', 'alt', 'shift', 'command', or the character printed on the key
+// of a US keyboard. Backends may throw; the command-line ones run their
+// commands in order in the background and report failures to onError.
+
+const { execFile, execFileSync, spawnSync } = require('child_process');
+
+const DEFAULT_SCREEN_SIZE = { width: 1920, height: 1080 };
+const COMMAND_TIMEOUT_MS = 2000;
+// Commands waiting beyond this are dropped rather than run seconds late
+const MAX_PENDING_COMMANDS = 200;
+const MAX_MOCK_ACTIONS = 10000;
+// xdotool waits 100 ms between repeated clicks unless told otherwise
+const CLICK_DELAY_MS = 10;
+// RobotJS scrolls by one wheel click per unit on X11, by wheel delta units
+// (120 per notch) on Windows and by pixels on macOS, where a notch scrolls
+// about three lines
+const ROBOT_UNITS_PER_NOTCH = process.platform === 'win32' ? 120 : process.platform === 'darwin' ? 30 : 1;
+
+const MOUSE_BUTTONS = ['left', 'middle', 'right'];
+const NAMED_KEYS = [
+    'backspace', 'tab', 'enter', 'escape', 'space', 'left', 'up', 'right', 'down',
+    'delete', 'home', 'end', 'pageup', 'pagedown', 'capslock',
+    'control', 'alt', 'shift', 'command'
+];
+
+// X keysyms of the named keys and of printable characters that are not
+// keysym names themselves (letters and digits are)
+const X_KEYSYMS = {
+    backspace: 'BackSpace', tab: 'Tab', enter: 'Return', escape: 'Escape', space: 'space',
+    left: 'Left', up: 'Up', right: 'Right', down: 'Down',
+    delete: 'Delete', home: 'Home', end: 'End', pageup: 'Prior', pagedown: 'Next', capslock: 'Caps_Lock',
+    control: 'Control_L', alt: 'Alt_L', shift: 'Shift_L', command: 'Super_L',
+    ' ': 'space', '!': 'exclam', '"': 'quotedbl', '#': 'numbersign', '$': 'dollar', '%': 'percent',
+    '&': 'ampersand', "'": 'apostrophe', '(': 'parenleft', ')': 'parenright', '*': 'asterisk',
+    '+': 'plus', ',': 'comma', '-': 'minus', '.': 'period', '/': 'slash', ':': 'colon',
+    ';': 'semicolon', '<': 'less', '=': 'equal', '>': 'greater', '?': 'question', '@': 'at',
+    '[': 'bracketleft', '\\': 'backslash', ']': 'bracketright', '^': 'asciicircum', '_': 'underscore',
+    '`': 'grave', '{': 'braceleft', '|': 'bar', '}': 'braceright', '~': 'asciitilde'
+};
+
+// Linux input event codes (linux/input-event-codes.h) of a US keyboard.
+// Shifted characters share the key of their unshifted one; the viewer's
+// shift key is already held when they arrive.
+const LINUX_KEY_CODES = {
+    escape: 1, backspace: 14, tab: 15, enter: 28, control: 29, shift: 42, alt: 56,
+    space: 57, ' ': 57, capslock: 58, '\\': 43,
+    f1: 59, f2: 60, f3: 61, f4: 62, f5: 63, f6: 64, f7: 65, f8: 66, f9: 67, f10: 68, f11: 87, f12: 88,
+    home: 102, up: 103, pageup: 104, left: 105, right: 106, end: 107, down: 108, pagedown: 109,
+    delete: 111, command: 125
+};
+[[2, '1234567890-='], [16, 'qwertyuiop[]'], [30, "asdfghjkl;'`"], [44, 'zxcvbnm,./']].forEach(([first, row]) => {
+    [...row].forEach((character, index) => {
+        LINUX_KEY_CODES[character] = first + index;
+    });
+});
+const SHIFTED_CHARACTERS = { '!': '1', '@': '2', '#': '3', '$': '4', '%': '5', '^': '6', '&': '7', '*': '8', '(': '9', ')': '0',
+    '_': '-', '+': '=', '{': '[', '}': ']', '|': '\\', ':': ';', '"': "'", '<': ',', '>': '.', '?': '/', '~': '`' };
+
+// Parse '2560x1440'; null when it is not a size
+function parseScreenSize(value) {
+    const match = /^\s*(\d+)\s*x\s*(\d+)\s*$/i.exec(String(value));
+    if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) return null;
+    return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+function isKnownKey(key) {
+    return NAMED_KEYS.includes(key) || /^f([1-9]|1[0-2])$/.test(key) || /^[\x20-\x7e]$/.test(key);
+}
+
+function checkKey(backend, key) {
+    if (typeof key !== 'string' || !isKnownKey(key)) {
+        // Without the key: error messages are logged unredacted
+        throw new Error(`The ${backend} input backend has no such key`);
+    }
+}
+
+function checkButton(backend, button) {
+    if (!MOUSE_BUTTONS.includes(button)) {
+        throw new Error(`The ${backend} input backend has no mouse button '${button}'`);
+    }
+}
+
+// Split fractional notches into whole ones now and a remainder for later:
+// take(x, y) returns whole { x, y }
+function createNotchCounter() {
+    const remainder = { x: 0, y: 0 };
+    return function take(x, y) {
+        remainder.x += x;
+        remainder.y += y;
+        const whole = { x: Math.trunc(remainder.x), y: Math.trunc(remainder.y) };
+        remainder.x -= whole.x;
+        remainder.y -= whole.y;
+        return whole;
+    };
+}
+
+// How a command failed, without its arguments or output: those may name
+// pressed keys or typed text, and failures are logged unredacted
+function describeFailure(error) {
+    if (error.killed) return `timed out after ${COMMAND_TIMEOUT_MS} ms`;
+    if (typeof error.code === 'number') return `exit status ${error.code}`;
+    return error.code || error.signal;
+}
+
+// Run a command-line tool once per call, one invocation at a time and in
+// call order. A move still waiting to run is replaced by the next one.
+function createCommandRunner(command, onError) {
+    const queue = [];
+    let running = false;
+
+    function next() {
+        const item = queue.shift();
+        if (!item) {
+            running = false;
+            return;
+        }
+        running = true;
+        execFile(command, item.args, { timeout: COMMAND_TIMEOUT_MS }, (error) => {
+            if (error) {
+                onError(new Error(`${command} ${item.args[0]} failed: ${describeFailure(error)}`));
+            }
+            next();
+        });
+    }
+
+    return function run(args, { move = false } = {}) {
+        const last = queue[queue.length - 1];
+        if (move && last && last.move) {
+            last.args = args;
+            return;
+        }
+        if (queue.length >= MAX_PENDING_COMMANDS) {
+            onError(new Error(`${command} is falling behind; dropped ${args[0]}`));
+            return;
+        }
+        queue.push({ args, move });
+        if (!running) next();
+    };
+}
+
+// Call RobotJS in-process. The default, on Windows, macOS and X11.
+function createRobotBackend({ screenSize = null } = {}) {
+    let robot;
+    try {
+        robot = require('robotjs');
+    } catch (error) {
+        throw new Error(`RobotJS is not installed (npm install robotjs): ${error.message}`);
+    }
+    const takeNotches = createNotchCounter();
+
+    return {
+        name: 'robotjs',
+        getScreenSize: () => screenSize || robot.getScreenSize(),
+        getMousePos: () => robot.getMousePos(),
+        moveMouse: (x, y) => robot.moveMouse(x, y),
+        mouseToggle: (direction, button) => robot.mouseToggle(direction, button),
+        scrollMouse(x, y) {
+            // RobotJS scrolls up and left for positive values
+            const units = ROBOT_UNITS_PER_NOTCH === 1 ? takeNotches(x, y) : { x: Math.round(x * ROBOT_UNITS_PER_NOTCH), y: Math.round(y * ROBOT_UNITS_PER_NOTCH) };
+            if (units.x !== 0 || units.y !== 0) robot.scrollMouse(-units.x, -units.y);
+        },
+        keyToggle: (key, direction) => robot.keyToggle(key, direction),
+        typeString: (text) => robot.typeString(text)
+    };
+}
+
+// Run xdotool, which sends X11 test events; for X servers RobotJS does not
+// build against. A notch is one wheel click.
+function createXdotoolBackend({ screenSize = null, onError = () => {} } = {}) {
+    let geometry;
+    let location;
+    try {
+        geometry = execFileSync('xdotool', ['getdisplaygeometry'], { timeout: COMMAND_TIMEOUT_MS, encoding: 'utf8' });
+        location = execFileSync('xdotool', ['getmouselocation', '--shell'], { timeout: COMMAND_TIMEOUT_MS, encoding: 'utf8' });
+    } catch (error) {
+        throw new Error(`xdotool cannot reach the X display: ${error.message}`);
+    }
+
+    const [width, height] = geometry.trim().split(/\s+/).map(Number);
+    const size = screenSize || { width, height };
+    const position = {
+        x: Number((/^X=(\d+)/m.exec(location) || [])[1]) || 0,
+        y: Number((/^Y=(\d+)/m.exec(location) || [])[1]) || 0
+    };
+    const run = createCommandRunner('xdotool', onError);
+    const takeNotches = createNotchCounter();
+
+    function click(button, notches) {
+        if (notches > 0) run(['click', '--repeat', String(notches), '--delay', String(CLICK_DELAY_MS), String(button)]);
+    }
+
+    return {
+        name: 'xdotool',
+        getScreenSize: () => size,
+        getMousePos: () => ({ ...position }),
+        moveMouse(x, y) {
+            position.x = x;
+            position.y = y;
+            run(['mousemove', String(x), String(y)], { move: true });
+        },
+        mouseToggle(direction, button) {
+            checkButton('xdotool', button);
+            run([direction === 'down' ? 'mousedown' : 'mouseup', String(MOUSE_BUTTONS.indexOf(button) + 1)]);
+        },
+        scrollMouse(x, y) {
+            // Buttons 4 and 5 scroll up and down, 6 and 7 left and right
+            const notches = takeNotches(x, y);
+            click(notches.y < 0 ? 4 : 5, Math.abs(notches.y));
+            click(notches.x < 0 ? 6 : 7, Math.abs(notches.x));
+        },
+        keyToggle(key, direction) {
+            checkKey('xdotool', key);
+            const keysym = X_KEYSYMS[key] || (/^f\d+$/.test(key) ? key.toUpperCase() : key);
+            run([direction === 'down' ? 'keydown' : 'keyup', keysym]);
+        },
+        typeString(text) {
+            run(['type', '--', text]);
+        }
+    };
+}
+
+// Run ydotool, which writes to a virtual device through the kernel's uinput
+// module, so it also works under Wayland and on the console. Every command
+// goes through the ydotoold daemon, which must be running. The kernel cannot tell where the pointer is or how big
+// the screen is: absolute moves go to the top-left corner and from there by
+// the given pixels (turn pointer acceleration off), and the screen size
+// comes from input.screenSize. A notch is one wheel click.
+function createYdotoolBackend({ screenSize = null, onError = () => {} } = {}) {
+    const probe = spawnSync('ydotool', ['help'], { timeout: COMMAND_TIMEOUT_MS });
+    if (probe.error) {
+        throw new Error(`The ydotool command is not available: ${probe.error.message}`);
+    }
+
+    const size = screenSize || DEFAULT_SCREEN_SIZE;
+    const position = { x: 0, y: 0 };
+    const run = createCommandRunner('ydotool', onError);
+    const takeNotches = createNotchCounter();
+
+    return {
+        name: 'ydotool',
+        getScreenSize: () => size,
+        getMousePos: () => ({ ...position }),
+        moveMouse(x, y) {
+            position.x = x;
+            position.y = y;
+            run(['mousemove', '--absolute', '-x', String(x), '-y', String(y)], { move: true });
+        },
+        mouseToggle(direction, button) {
+            checkButton('ydotool', button);
+            // Low bits pick the button (0 left, 1 right, 2 middle), 0x40
+            // presses it and 0x80 releases it
+            const code = ['left', 'right', 'middle'].indexOf(button) | (direction === 'down' ? 0x40 : 0x80);
+            run(['click', `0x${code.toString(16)}`]);
+        },
+        scrollMouse(x, y) {
+            const notches = takeNotches(x, y);
+            if (notches.x === 0 && notches.y === 0) return;
+            // The kernel's wheel axis points up
+            run(['mousemove', '--wheel', '-x', String(notches.x), '-y', String(-notches.y)]);
+        },
+        keyToggle(key, direction) {
+            checkKey('ydotool', key);
+            const code = LINUX_KEY_CODES[SHIFTED_CHARACTERS[key] || key];
+            if (!code) {
+                throw new Error('The ydotool input backend has no such key');
+            }
+            run(['key', `${code}:${direction === 'down' ? 1 : 0}`]);
+        },
+        typeString(text) {
+            run(['type', '--', text]);
+        }
+    };
+}
+
+// Inject nothing and record every action, for tests and machines without a
+// display. `actions` holds the last MAX_MOCK_ACTIONS in order, e.g.
+// { action: 'moveMouse', x: 960, y: 540 }; clear() empties it.
+function createMockBackend({ screenSize = null, log = null } = {}) {
+    const size = screenSize || DEFAULT_SCREEN_SIZE;
+    const position = { x: 0, y: 0 };
+    const actions = [];
+
+    function record(action) {
+        actions.push(action);
+        if (actions.length > MAX_MOCK_ACTIONS) actions.shift();
+        if (log) log.debug(`[Mock] ${action.action}`, action);
+    }
+
+    return {
+        name: 'mock',
+        actions,
+        clear() {
+            actions.length = 0;
+        },
+        getScreenSize: () => size,
+        getMousePos: () => ({ ...position }),
+        moveMouse(x, y) {
+            position.x = x;
+            position.y = y;
+            record({ action: 'moveMouse', x, y });
+        },
+        mouseToggle(direction, button) {
+            checkButton('mock', button);
+            record({ action: 'mouseToggle', direction, button });
+        },
+        scrollMouse(x, y) {
+            record({ action: 'scrollMouse', x, y });
+        },
+        keyToggle(key, direction) {
+            checkKey('mock', key);
+            record({ action: 'keyToggle', key, direction });
+        },
+        typeString(text) {
+            record({ action: 'typeString', text });
+        }
+    };
+}
+
+const BACKENDS = {
+    robotjs: createRobotBackend,
+    xdotool: createXdotoolBackend,
+    ydotool: createYdotoolBackend,
+    mock: createMockBackend
+};
+
+// Create an input backend by name; throws when it cannot be used here.
+// Options: screenSize ({ width, height }) overrides what the backend
+// detects, onError receives failures of background commands, and log gets
+// the mock's actions at debug level.
+function createInputBackend(name, options = {}) {
+    const create = BACKENDS[name];
+    if (!create) {
+        throw new Error(`Unknown input backend '${name}'`);
+    }
+    return create(options);
+}
+
+module.exports = {
+    INPUT_BACKENDS: Object.keys(BACKENDS),
+    createInputBackend,
+    createRobotBackend,
+    createXdotoolBackend,
+    createYdotoolBackend,
+    createMockBackend,
+    parseScreenSize
+};
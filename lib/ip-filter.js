@@ -0,0 +1,117 @@
+// IP allow and deny lists
+//
+// Rules are single addresses or CIDR ranges, IPv4 or IPv6:
+//
+//   "192.168.1.20", "10.0.0.0/8", "fd00::/8"
+//
+// IPv4 clients seen through an IPv6 socket ("::ffff:192.168.1.20") are
+// matched against the IPv4 rules.
+
+const net = require('net');
+
+// Loopback, private and link-local ranges: the allowed set in LAN-only mode
+const LAN_RANGES = [
+    '127.0.0.0/8',
+    '10.0.0.0/8',
+    '172.16.0.0/12',
+    '192.168.0.0/16',
+    '169.254.0.0/16',
+    '::1/128',
+    'fc00::/7',
+    'fe80::/10'
+];
+
+const IPV4_MAPPED_PREFIX = Buffer.from([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff]);
+
+// Parse an address into its bytes: 4 for IPv4 (mapped IPv6 included), 16 for
+// IPv6. Returns null for anything else.
+function parseAddress(address) {
+    if (typeof address !== 'string') return null;
+
+    // Drop a zone index such as fe80::1%eth0
+    let text = address.replace(/%.*$/, '');
+    const version = net.isIP(text);
+    if (version === 4) {
+        return Buffer.from(text.split('.').map(Number));
+    }
+    if (version !== 6) return null;
+
+    // An embedded IPv4 tail (::ffff:1.2.3.4) stands for the last two groups
+    const tail = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (tail) {
+        const [a, b, c, d] = tail.slice(1).map(Number);
+        text = `${text.slice(0, -tail[0].length)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+
+    const [head, rest] = text.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const restGroups = rest ? rest.split(':') : [];
+    const zeros = rest === undefined ? 0 : 8 - headGroups.length - restGroups.length;
+    const groups = [...headGroups, ...new Array(zeros).fill('0'), ...restGroups];
+
+    const bytes = Buffer.alloc(16);
+    groups.forEach((group, index) => bytes.writeUInt16BE(parseInt(group, 16), index * 2));
+
+    if (bytes.subarray(0, 12).equals(IPV4_MAPPED_PREFIX)) {
+        return bytes.subarray(12);
+    }
+    return bytes;
+}
+
+// Parse an address or CIDR range into { bytes, prefix }. Throws on anything
+// that is neither.
+function parseRule(rule) {
+    const [address, prefixText, extra] = String(rule).trim().split('/');
+    const bytes = parseAddress(address);
+    const bits = bytes ? bytes.length * 8 : 0;
+
+    // A mapped range like ::ffff:10.0.0.0/104 counts its prefix over 128 bits
+    const mapped = bytes && bytes.length === 4 && net.isIP(address) === 6;
+    const prefix = prefixText === undefined ? bits : Number(prefixText) - (mapped ? 96 : 0);
+
+    const validPrefix = prefixText === undefined || /^\d+$/.test(prefixText);
+    if (!bytes || extra !== undefined || !validPrefix || prefix < 0 || prefix > bits) {
+        throw new Error(`'${rule}' is not an IP address or CIDR range`);
+    }
+    return { bytes, prefix };
+}
+
+function matches(bytes, rule) {
+    if (bytes.length !== rule.bytes.length) return false;
+
+    const whole = rule.prefix >> 3;
+    if (!bytes.subarray(0, whole).equals(rule.bytes.subarray(0, whole))) return false;
+
+    const remaining = rule.prefix & 7;
+    if (remaining === 0) return true;
+    const mask = (0xff << (8 - remaining)) & 0xff;
+    return (bytes[whole] & mask) === (rule.bytes[whole] & mask);
+}
+
+// Build the filter for the access settings. Deny rules always win; with no
+// allow rules and LAN-only off, every other address is allowed.
+function createIpFilter({ allow = [], deny = [], lanOnly = false }) {
+    const allowRules = [...allow, ...(lanOnly ? LAN_RANGES : [])].map(parseRule);
+    const denyRules = deny.map(parseRule);
+    const restricted = allowRules.length > 0 || denyRules.length > 0;
+
+    return {
+        // 'allowed', 'denied' (a deny rule matches) or 'outside' (no allow
+        // rule matches). Unparseable addresses are outside any restriction.
+        check(address) {
+            const bytes = parseAddress(address);
+            if (!bytes) return restricted ? 'outside' : 'allowed';
+
+            if (denyRules.some((rule) => matches(bytes, rule))) return 'denied';
+            if (allowRules.length === 0 || allowRules.some((rule) => matches(bytes, rule))) return 'allowed';
+            return 'outside';
+        }
+    };
+}
+
+module.exports = {
+    LAN_RANGES,
+    parseAddress,
+    parseRule,
+    createIpFilter
+};
@@ -0,0 +1,232 @@
+// Leveled, structured logging with per-subsystem levels and optional file
+// output with size-based rotation
+//
+// Each subsystem gets its own child logger:
+//
+//   const log = logger.child('signaling');
+//   log.info(`[Client ${id}] Connected`, { ip });
+//
+// The console shows human-readable lines (or JSON lines with format 'json');
+// the log file always gets one JSON object per line.
+
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    off: Infinity
+};
+
+// Subsystems whose level can be set on its own
+const SUBSYSTEMS = ['server', 'signaling', 'control', 'input', 'http', 'admin', 'turn', 'headless'];
+
+// Former subsystem names still accepted in settings; 'robot' was renamed
+// to 'input' when other input backends were added
+const SUBSYSTEM_ALIASES = { robot: 'input' };
+
+// Fields holding what a viewer typed; replaced unless key logging is enabled
+const KEY_FIELDS = ['key', 'keyCode', 'text'];
+const REDACTED = '[redacted]';
+
+const DEFAULT_MAX_FILE_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+function checkLevel(level, what) {
+    if (!Object.prototype.hasOwnProperty.call(LEVELS, level)) {
+        throw new Error(`Unknown log level '${level}' for ${what}; use one of ${Object.keys(LEVELS).join(', ')}`);
+    }
+    return level;
+}
+
+// Parse 'control=debug,http=off' into { control: 'debug', http: 'off' }
+function parseSubsystemLevels(spec) {
+    const levels = {};
+    for (const part of (spec || '').split(',')) {
+        if (!part.trim()) continue;
+
+        const [given, level] = part.split('=').map((piece) => (piece || '').trim().toLowerCase());
+        const name = SUBSYSTEM_ALIASES[given] || given;
+        if (!SUBSYSTEMS.includes(name)) {
+            throw new Error(`Unknown log subsystem '${name}'; use one of ${SUBSYSTEMS.join(', ')}`);
+        }
+        levels[name] = checkLevel(level || 'debug', `subsystem '${name}'`);
+    }
+    return levels;
+}
+
+// Errors do not survive JSON.stringify; keep what is useful in a log
+function serializeValue(value) {
+    if (value instanceof Error) {
+        return { message: value.message, code: value.code, stack: value.stack };
+    }
+    return value;
+}
+
+function prepareFields(fields, redactKeys) {
+    const prepared = {};
+    for (const [name, value] of Object.entries(fields)) {
+        if (value === undefined) continue;
+        prepared[name] = redactKeys && KEY_FIELDS.includes(name) ? REDACTED : serializeValue(value);
+    }
+    return prepared;
+}
+
+function formatText(entry, fields) {
+    let line = `${entry.time} ${entry.level.toUpperCase().padEnd(5)} [${entry.subsystem}] ${entry.msg}`;
+
+    let stack = '';
+    for (const [name, value] of Object.entries(fields)) {
+        if (value && typeof value === 'object' && value.stack) {
+            line += ` ${name}=${JSON.stringify(value.message)}`;
+            stack = `\n${value.stack}`;
+        } else {
+            line += ` ${name}=${typeof value === 'string' && !/\s|"/.test(value) ? value : JSON.stringify(value)}`;
+        }
+    }
+    return line + stack;
+}
+
+// Append-only file that is rotated once it would grow past maxBytes:
+// app.log -> app.log.1 -> app.log.2 ... keeping maxFiles old files
+function createRotatingFile(filePath, { maxBytes = DEFAULT_MAX_FILE_BYTES, maxFiles = DEFAULT_MAX_FILES } = {}) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    let size = 0;
+    let stream = null;
+    let reportedError = false;
+
+    // The descriptor is opened synchronously so that a rotation renames the
+    // file this stream writes to, even while writes are still queued
+    function open() {
+        stream = fs.createWriteStream(filePath, { fd: fs.openSync(filePath, 'a') });
+        stream.on('error', (error) => {
+            if (!reportedError) {
+                reportedError = true;
+                process.stderr.write(`Could not write log file ${filePath}: ${error.message}\n`);
+            }
+        });
+        size = fs.fstatSync(stream.fd).size;
+    }
+
+    function rotate() {
+        stream.end();
+
+        for (let index = maxFiles - 1; index >= 1; index--) {
+            const from = `${filePath}.${index}`;
+            if (fs.existsSync(from)) {
+                fs.renameSync(from, `${filePath}.${index + 1}`);
+            }
+        }
+        if (maxFiles >= 1) {
+            fs.renameSync(filePath, `${filePath}.1`);
+        } else {
+            fs.unlinkSync(filePath);
+        }
+
+        open();
+    }
+
+    open();
+
+    return {
+        write(line) {
+            const bytes = Buffer.byteLength(line);
+            if (size > 0 && size + bytes > maxBytes) {
+                try {
+                    rotate();
+                } catch (error) {
+                    process.stderr.write(`Could not rotate log file ${filePath}: ${error.message}\n`);
+                    if (!stream || stream.destroyed) open();
+                }
+            }
+            stream.write(line);
+            size += bytes;
+        },
+        close(callback) {
+            stream.end(callback);
+        }
+    };
+}
+
+// Create the root logger.
+//   level       default level for every subsystem
+//   subsystems  per-subsystem levels overriding it, e.g. { http: 'off' }
+//   format      'text' or 'json' for the console
+//   file        optional path of a rotated JSON log file
+//   redactKeys  replace pressed keys with '[redacted]' (on by default)
+function createLogger({
+    level = 'info',
+    subsystems = {},
+    format = 'text',
+    file = null,
+    maxFileBytes = DEFAULT_MAX_FILE_BYTES,
+    maxFiles = DEFAULT_MAX_FILES,
+    redactKeys = true
+} = {}) {
+    checkLevel(level, 'the default');
+    if (format !== 'text' && format !== 'json') {
+        throw new Error(`Unknown log format '${format}'; use text or json`);
+    }
+    Object.entries(subsystems).forEach(([name, subsystemLevel]) => checkLevel(subsystemLevel, `subsystem '${name}'`));
+    subsystems = Object.fromEntries(Object.entries(subsystems)
+        .map(([name, subsystemLevel]) => [SUBSYSTEM_ALIASES[name] || name, subsystemLevel]));
+
+    const output = file ? createRotatingFile(file, { maxBytes: maxFileBytes, maxFiles }) : null;
+    const children = new Map();
+
+    function write(subsystem, entryLevel, msg, fields) {
+        const prepared = prepareFields(fields, redactKeys);
+        const entry = { time: new Date().toISOString(), level: entryLevel, subsystem, msg };
+
+        const json = JSON.stringify({ ...entry, ...prepared });
+        const line = format === 'json' ? json : formatText(entry, prepared);
+        const target = LEVELS[entryLevel] >= LEVELS.warn ? process.stderr : process.stdout;
+        target.write(line + '\n');
+
+        if (output) {
+            output.write(json + '\n');
+        }
+    }
+
+    function child(subsystem) {
+        if (children.has(subsystem)) return children.get(subsystem);
+
+        const threshold = LEVELS[subsystems[subsystem] || level];
+        const enabled = (entryLevel) => LEVELS[entryLevel] >= threshold;
+        const at = (entryLevel) => (msg, fields = {}) => {
+            if (enabled(entryLevel)) write(subsystem, entryLevel, msg, fields);
+        };
+
+        const log = {
+            enabled,
+            debug: at('debug'),
+            info: at('info'),
+            warn: at('warn'),
+            error: at('error')
+        };
+        children.set(subsystem, log);
+        return log;
+    }
+
+    return {
+        child,
+        // Flush and close the log file; callback runs once it is written
+        close(callback = () => {}) {
+            if (output) {
+                output.close(callback);
+            } else {
+                process.nextTick(callback);
+            }
+        }
+    };
+}
+
+module.exports = {
+    LEVELS,
+    SUBSYSTEMS,
+    createLogger,
+    parseSubsystemLevels
+};
@@ -0,0 +1,148 @@
+// Minimal Prometheus metrics: counters, gauges and histograms rendered in the
+// text exposition format (https://prometheus.io/docs/instrumenting/exposition_formats/)
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Buckets suited to input injection, which normally takes well under a millisecond
+const DEFAULT_BUCKETS = [0.0001, 0.00025, 0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function escapeHelp(help) {
+    return help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+// Render `{a="1",b="2"}` for the given label names, or '' without labels
+function formatLabels(labelNames, values, extra = '') {
+    const pairs = labelNames.map((name, index) => `${name}="${escapeLabelValue(values[index])}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatNumber(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+// Samples are kept per label combination, keyed by the label values
+function labelKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map((name) => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function createCounter({ name, help, labelNames = [] }) {
+    const values = new Map();
+
+    return {
+        inc(labels = {}, amount = 1) {
+            const key = labelKey(labelNames, labels);
+            values.set(key, (values.get(key) || 0) + amount);
+        },
+        render() {
+            const lines = [`# HELP ${name} ${escapeHelp(help)}`, `# TYPE ${name} counter`];
+            values.forEach((value, key) => {
+                lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${formatNumber(value)}`);
+            });
+            return lines;
+        }
+    };
+}
+
+// `collect(gauge)` runs before each render so the gauge can read live state
+function createGauge({ name, help, labelNames = [], collect }) {
+    const values = new Map();
+
+    const gauge = {
+        set(labels, value) {
+            if (typeof labels === 'number') {
+                value = labels;
+                labels = {};
+            }
+            values.set(labelKey(labelNames, labels), value);
+        },
+        render() {
+            if (collect) {
+                values.clear();
+                collect(gauge);
+            }
+
+            const lines = [`# HELP ${name} ${escapeHelp(help)}`, `# TYPE ${name} gauge`];
+            values.forEach((value, key) => {
+                lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${formatNumber(value)}`);
+            });
+            return lines;
+        }
+    };
+
+    return gauge;
+}
+
+function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const upperBounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map(); // label key -> { counts, sum, count }
+
+    const histogram = {
+        observe(labels, value) {
+            const key = labelKey(labelNames, labels);
+            let entry = series.get(key);
+            if (!entry) {
+                entry = { counts: new Array(upperBounds.length).fill(0), sum: 0, count: 0 };
+                series.set(key, entry);
+            }
+
+            upperBounds.forEach((bound, index) => {
+                if (value <= bound) entry.counts[index]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+        // Start timing; call the returned function with labels to record seconds elapsed
+        startTimer() {
+            const start = process.hrtime.bigint();
+            return (labels = {}) => {
+                histogram.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+            };
+        },
+        render() {
+            const lines = [`# HELP ${name} ${escapeHelp(help)}`, `# TYPE ${name} histogram`];
+            series.forEach((entry, key) => {
+                const values = JSON.parse(key);
+                upperBounds.forEach((bound, index) => {
+                    lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${formatNumber(bound)}"`)} ${entry.counts[index]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${entry.count}`);
+                lines.push(`${name}_sum${formatLabels(labelNames, values)} ${entry.sum}`);
+                lines.push(`${name}_count${formatLabels(labelNames, values)} ${entry.count}`);
+            });
+            return lines;
+        }
+    };
+
+    return histogram;
+}
+
+// Create a registry; metrics are rendered in the order they were created
+function createRegistry() {
+    const metrics = [];
+
+    const register = (metric) => {
+        metrics.push(metric);
+        return metric;
+    };
+
+    return {
+        counter: (options) => register(createCounter(options)),
+        gauge: (options) => register(createGauge(options)),
+        histogram: (options) => register(createHistogram(options)),
+        render() {
+            return metrics.map((metric) => metric.render().join('\n')).join('\n') + '\n';
+        }
+    };
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    createRegistry
+};
@@ -0,0 +1,66 @@
+// Minimal PNG encoder for the headless host's frame-stream tiles: 8-bit RGB,
+// no filtering, compressed with the built-in zlib. Browsers decode PNG tiles
+// like the JPEG and WebP ones the page host sends.
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const deflate = promisify(zlib.deflate);
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = new Int32Array(256).map((_, index) => {
+    let crc = index;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return crc;
+});
+
+function crc32(buffers) {
+    let crc = -1;
+    buffers.forEach((buffer) => {
+        for (let index = 0; index < buffer.length; index++) {
+            crc = CRC_TABLE[(crc ^ buffer[index]) & 0xff] ^ (crc >>> 8);
+        }
+    });
+    return (crc ^ -1) >>> 0;
+}
+
+function chunk(type, data) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(data.length, 0);
+    header.write(type, 4, 'latin1');
+
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32([header.subarray(4), data]), 0);
+    return [header, data, crc];
+}
+
+// Encode width × height pixels given as packed RGB bytes, row after row
+async function encodePng(width, height, rgb) {
+    const rowBytes = width * 3;
+    const raw = Buffer.alloc((rowBytes + 1) * height);
+    for (let row = 0; row < height; row++) {
+        // Each scanline starts with its filter type, 0 for none
+        rgb.copy(raw, row * (rowBytes + 1) + 1, row * rowBytes, (row + 1) * rowBytes);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // colour type: RGB
+
+    const data = await deflate(raw, { level: zlib.constants.Z_BEST_SPEED });
+    return Buffer.concat([
+        SIGNATURE,
+        ...chunk('IHDR', header),
+        ...chunk('IDAT', data),
+        ...chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+module.exports = {
+    encodePng
+};
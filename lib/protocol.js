@@ -0,0 +1,394 @@
+// Signaling protocol: version negotiation and validation of inbound messages
+
+// Protocol versions this server speaks. A client announces the highest version
+// it supports in `register`; the server answers with the version both will use.
+const PROTOCOL_VERSION = 1;
+const MIN_PROTOCOL_VERSION = 1;
+
+// Default largest text frame accepted (SDP offers with many codecs stay well
+// below this); the server passes its limits.maxMessageBytes setting
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+// Binary frame-stream messages from a host, the fallback when a viewer's peer
+// connection fails (see parseStreamFrame). Viewers' 8-byte mouse moves carry
+// no kind byte.
+const STREAM_FRAME_KIND = 1;
+const STREAM_FRAME_HEADER_BYTES = 12;
+const STREAM_TILE_HEADER_BYTES = 12;
+const STREAM_FLAG_KEYFRAME = 1;
+
+// Error codes sent in `{ type: 'error', code, message }` replies
+const ERROR_CODES = {
+    MALFORMED_MESSAGE: 'malformed-message',
+    MESSAGE_TOO_LARGE: 'message-too-large',
+    UNKNOWN_TYPE: 'unknown-type',
+    INVALID_MESSAGE: 'invalid-message',
+    UNSUPPORTED_VERSION: 'unsupported-version',
+    NOT_REGISTERED: 'not-registered',
+    WRONG_ROLE: 'wrong-role'
+};
+
+const CONTROL_ACTIONS = ['mousemove', 'mousedown', 'mouseup', 'click', 'rightclick', 'wheel', 'keydown', 'keyup'];
+const POINTER_ACTIONS = ['mousemove', 'mousedown', 'mouseup', 'click', 'rightclick', 'wheel'];
+
+// Permission levels a host can give a viewer, from least to most input
+const PERMISSION_LEVELS = ['view', 'pointer', 'keyboard', 'full'];
+
+// Reusable field rules
+const clientId = { type: 'integer', min: 1 };
+const targetId = { type: 'integer', min: 1 };
+const coordinate = { type: 'number', min: 0, max: 1 };
+const wheelDelta = { type: 'number', min: -10000, max: 10000 };
+const flag = { type: 'boolean' };
+
+const sessionDescription = (sdpType) => ({
+    type: 'object',
+    required: true,
+    fields: {
+        type: { type: 'enum', values: [sdpType], required: true },
+        sdp: { type: 'string', maxLength: 32 * 1024, required: true }
+    }
+});
+
+// Schema for every message a client may send. `roles` limits who may send it;
+// `check` runs after the field rules for constraints that span several fields
+// and returns an error message or null.
+const MESSAGE_SCHEMAS = {
+    'register': {
+        roles: null,
+        fields: {
+            role: { type: 'enum', values: ['host', 'client'], required: true },
+            protocolVersion: { type: 'integer', min: 1, required: true }
+        }
+    },
+    // Reclaim a client after a reconnect, instead of registering a new one
+    'resume': {
+        roles: null,
+        fields: {
+            resumeToken: { type: 'string', maxLength: 128, required: true },
+            protocolVersion: { type: 'integer', min: 1, required: true }
+        }
+    },
+    // Application-level heartbeat, answered with a pong echoing `time`
+    'ping': {
+        roles: null,
+        fields: {
+            time: { type: 'number' }
+        }
+    },
+    'host-ready': { roles: ['host'], fields: {} },
+    'host-stopped': { roles: ['host'], fields: {} },
+    'connect-to-host': {
+        roles: ['client'],
+        fields: {
+            sessionId: { type: 'string', maxLength: 32, required: true },
+            name: { type: 'string', maxLength: 64 },
+            pin: { type: 'string', maxLength: 32 }
+        }
+    },
+    'join-response': {
+        roles: ['host'],
+        fields: {
+            clientId: { ...clientId, required: true },
+            decision: { type: 'enum', values: ['accept', 'accept-view-only', 'deny'], required: true },
+            permission: { type: 'enum', values: PERMISSION_LEVELS }
+        }
+    },
+    'set-pin': {
+        roles: ['host'],
+        fields: {
+            pin: { type: 'string', maxLength: 32 }
+        }
+    },
+    'control-request': { roles: ['client'], fields: {} },
+    'control-release': { roles: ['client'], fields: {} },
+    'control-grant': { roles: ['host'], fields: { clientId: { ...clientId, required: true } } },
+    'control-deny': { roles: ['host'], fields: { clientId: { ...clientId, required: true } } },
+    'control-revoke': { roles: ['host'], fields: {} },
+    'set-control-policy': {
+        roles: ['host'],
+        fields: {
+            policy: { type: 'enum', values: ['ask', 'auto'], required: true }
+        }
+    },
+    'set-permission': {
+        roles: ['host'],
+        fields: {
+            clientId: { ...clientId, required: true },
+            permission: { type: 'enum', values: PERMISSION_LEVELS, required: true }
+        }
+    },
+    'offer': {
+        roles: ['host', 'client'],
+        fields: { targetId, offer: sessionDescription('offer') }
+    },
+    'answer': {
+        roles: ['host', 'client'],
+        fields: { targetId, answer: sessionDescription('answer') }
+    },
+    'ice-candidate': {
+        roles: ['host', 'client'],
+        fields: {
+            targetId,
+            // null marks the end of candidates
+            candidate: {
+                type: 'object',
+                nullable: true,
+                required: true,
+                fields: {
+                    candidate: { type: 'string', maxLength: 1024 },
+                    sdpMid: { type: 'string', maxLength: 64, nullable: true },
+                    sdpMLineIndex: { type: 'integer', min: 0, max: 64, nullable: true },
+                    usernameFragment: { type: 'string', maxLength: 256, nullable: true }
+                }
+            }
+        }
+    },
+    // Frame-streaming fallback: the host switches a viewer to frames over the
+    // WebSocket and back, and a viewer asks for a full picture
+    'stream-start': {
+        roles: ['host'],
+        fields: { targetId: { ...targetId, required: true } }
+    },
+    'stream-stop': {
+        roles: ['host'],
+        fields: { targetId: { ...targetId, required: true } }
+    },
+    'stream-keyframe': {
+        roles: ['client'],
+        fields: { targetId }
+    },
+    'control': {
+        roles: ['client'],
+        fields: {
+            targetId,
+            action: { type: 'enum', values: CONTROL_ACTIONS, required: true },
+            x: coordinate,
+            y: coordinate,
+            relative: flag,
+            deltaX: wheelDelta,
+            deltaY: wheelDelta,
+            button: { type: 'integer', min: 0, max: 2 },
+            mode: { type: 'integer', min: 0, max: 2 },
+            key: { type: 'string', maxLength: 32 },
+            code: { type: 'string', maxLength: 32 },
+            keyCode: { type: 'integer', min: 0, max: 1024 },
+            shiftKey: flag,
+            ctrlKey: flag,
+            altKey: flag,
+            metaKey: flag
+        },
+        check(data) {
+            if (POINTER_ACTIONS.includes(data.action) && (data.x === undefined || data.y === undefined)) {
+                return `${data.action} requires x and y`;
+            }
+            if (data.action === 'mousemove' && data.relative) {
+                if (typeof data.deltaX !== 'number' || typeof data.deltaY !== 'number' ||
+                    Math.abs(data.deltaX) > 1 || Math.abs(data.deltaY) > 1) {
+                    return 'relative mousemove requires deltaX and deltaY between -1 and 1';
+                }
+            }
+            if ((data.action === 'keydown' || data.action === 'keyup') && !data.key) {
+                return `${data.action} requires key`;
+            }
+            return null;
+        }
+    }
+};
+
+// Check one value against a field rule, returning an error message or null
+function checkField(value, rule, path) {
+    if (value === undefined) {
+        return rule.required ? `${path} is required` : null;
+    }
+    if (value === null) {
+        return rule.nullable ? null : `${path} must not be null`;
+    }
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return `${path} must be a string`;
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return `${path} must be at most ${rule.maxLength} characters`;
+            }
+            return null;
+
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} must be a number`;
+            if (rule.type === 'integer' && !Number.isInteger(value)) return `${path} must be an integer`;
+            if (rule.min !== undefined && value < rule.min) return `${path} must be at least ${rule.min}`;
+            if (rule.max !== undefined && value > rule.max) return `${path} must be at most ${rule.max}`;
+            return null;
+
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${path} must be a boolean`;
+
+        case 'enum':
+            return rule.values.includes(value) ? null : `${path} must be one of: ${rule.values.join(', ')}`;
+
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) return `${path} must be an object`;
+            return checkFields(value, rule.fields || {}, `${path}.`);
+
+        default:
+            return `${path} has an unknown rule type`;
+    }
+}
+
+// Check every field rule of an object; unknown fields are ignored
+function checkFields(data, fields, prefix = '') {
+    for (const [name, rule] of Object.entries(fields)) {
+        const error = checkField(data[name], rule, prefix + name);
+        if (error) return error;
+    }
+    return null;
+}
+
+// Parse a text frame into a message object, or return a protocol error
+function parseMessage(raw, maxBytes = MAX_MESSAGE_BYTES) {
+    const size = typeof raw === 'string' ? Buffer.byteLength(raw) : raw.length;
+    if (size > maxBytes) {
+        return { error: { code: ERROR_CODES.MESSAGE_TOO_LARGE, message: `Messages must be at most ${maxBytes} bytes` } };
+    }
+
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch (error) {
+        return { error: { code: ERROR_CODES.MALFORMED_MESSAGE, message: 'Message is not valid JSON' } };
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data) || typeof data.type !== 'string') {
+        return { error: { code: ERROR_CODES.MALFORMED_MESSAGE, message: 'Message must be an object with a string type' } };
+    }
+
+    return { data };
+}
+
+// Validate a parsed message for a client with the given role (null before register)
+function validateMessage(data, role) {
+    // Own properties only: 'constructor' or '__proto__' are no message types
+    const schema = Object.prototype.hasOwnProperty.call(MESSAGE_SCHEMAS, data.type) ? MESSAGE_SCHEMAS[data.type] : null;
+    if (!schema) {
+        return { code: ERROR_CODES.UNKNOWN_TYPE, message: `Unknown message type: ${data.type.slice(0, 64)}` };
+    }
+
+    if (schema.roles) {
+        if (!role) {
+            return { code: ERROR_CODES.NOT_REGISTERED, message: `Register before sending ${data.type}` };
+        }
+        if (!schema.roles.includes(role)) {
+            return { code: ERROR_CODES.WRONG_ROLE, message: `${data.type} cannot be sent by a ${role}` };
+        }
+    }
+
+    const fieldError = checkFields(data, schema.fields);
+    if (fieldError) {
+        return { code: ERROR_CODES.INVALID_MESSAGE, message: fieldError };
+    }
+
+    const checkError = schema.check ? schema.check(data) : null;
+    if (checkError) {
+        return { code: ERROR_CODES.INVALID_MESSAGE, message: checkError };
+    }
+
+    return null;
+}
+
+// Validate a binary mouse-move frame: two float32 coordinates in [0, 1]
+function validateBinaryMouseMove(buffer) {
+    if (buffer.byteLength !== 8) {
+        return { code: ERROR_CODES.INVALID_MESSAGE, message: 'Binary frames must be 8 bytes (two float32 coordinates)' };
+    }
+
+    const view = new Float32Array(buffer);
+    const inRange = (value) => Number.isFinite(value) && value >= 0 && value <= 1;
+    if (!inRange(view[0]) || !inRange(view[1])) {
+        return { code: ERROR_CODES.INVALID_MESSAGE, message: 'Binary mouse coordinates must be between 0 and 1' };
+    }
+
+    return null;
+}
+
+// Parse a host's binary frame-stream message. All numbers are big-endian:
+//
+//   u8 kind (1), u8 flags (bit 0: keyframe), u16 picture width,
+//   u16 picture height, u32 frame number, u16 tile count
+//
+// followed by each tile: u16 x, u16 y, u16 width, u16 height, u32 length and
+// `length` bytes of JPEG or WebP. A keyframe covers the whole picture and may
+// span several messages with the same frame number.
+// Returns { frame } with the header fields, or { error }.
+function parseStreamFrame(buffer) {
+    const invalid = (message) => ({ error: { code: ERROR_CODES.INVALID_MESSAGE, message } });
+    if (buffer.byteLength < STREAM_FRAME_HEADER_BYTES) {
+        return invalid('Frame-stream messages need a 12-byte header');
+    }
+
+    const view = new DataView(buffer);
+    if (view.getUint8(0) !== STREAM_FRAME_KIND) {
+        return invalid(`Unknown binary message kind ${view.getUint8(0)}`);
+    }
+
+    const frame = {
+        keyframe: (view.getUint8(1) & STREAM_FLAG_KEYFRAME) !== 0,
+        width: view.getUint16(2),
+        height: view.getUint16(4),
+        frameNumber: view.getUint32(6),
+        tileCount: view.getUint16(10)
+    };
+    if (frame.width === 0 || frame.height === 0 || frame.tileCount === 0) {
+        return invalid('Frame-stream messages need a picture size and at least one tile');
+    }
+
+    let offset = STREAM_FRAME_HEADER_BYTES;
+    for (let index = 0; index < frame.tileCount; index++) {
+        if (offset + STREAM_TILE_HEADER_BYTES > buffer.byteLength) {
+            return invalid(`Tile ${index} is truncated`);
+        }
+        const x = view.getUint16(offset);
+        const y = view.getUint16(offset + 2);
+        const width = view.getUint16(offset + 4);
+        const height = view.getUint16(offset + 6);
+        const length = view.getUint32(offset + 8);
+        offset += STREAM_TILE_HEADER_BYTES + length;
+
+        if (width === 0 || height === 0 || x + width > frame.width || y + height > frame.height) {
+            return invalid(`Tile ${index} lies outside the ${frame.width}x${frame.height} picture`);
+        }
+        if (length === 0 || offset > buffer.byteLength) {
+            return invalid(`Tile ${index} is truncated`);
+        }
+    }
+    if (offset !== buffer.byteLength) {
+        return invalid('Frame-stream message has trailing bytes');
+    }
+
+    return { frame };
+}
+
+// Pick the protocol version to use with a client, or null if none is shared
+function negotiateVersion(requested) {
+    if (requested < MIN_PROTOCOL_VERSION) return null;
+    return Math.min(requested, PROTOCOL_VERSION);
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    MAX_MESSAGE_BYTES,
+    STREAM_FRAME_KIND,
+    STREAM_FRAME_HEADER_BYTES,
+    STREAM_TILE_HEADER_BYTES,
+    STREAM_FLAG_KEYFRAME,
+    ERROR_CODES,
+    CONTROL_ACTIONS,
+    POINTER_ACTIONS,
+    PERMISSION_LEVELS,
+    parseMessage,
+    validateMessage,
+    validateBinaryMouseMove,
+    parseStreamFrame,
+    negotiateVersion
+};
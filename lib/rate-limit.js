@@ -0,0 +1,56 @@
+// Token-bucket rate limits for flood protection
+//
+// A bucket holds up to `burst` tokens and refills at `perSecond` tokens a
+// second; every message takes one. Clients may send short bursts, but not
+// more than the sustained rate for long.
+
+function createTokenBucket({ perSecond, burst, now = Date.now }) {
+    let tokens = burst;
+    let last = now();
+
+    return {
+        take(count = 1) {
+            const time = now();
+            tokens = Math.min(burst, tokens + ((time - last) * perSecond) / 1000);
+            last = time;
+
+            if (tokens < count) return false;
+            tokens -= count;
+            return true;
+        }
+    };
+}
+
+// Limits for one client: a bucket for all of its messages plus one per
+// message type. Types missing from `types` share the `default` bucket, so
+// made-up types cannot create buckets without bound.
+//
+// checkFrame() charges a frame to the bucket for all messages and check(type)
+// charges its type's bucket. Both return null when the message is within the
+// limits, otherwise the name of the limit it exceeds. Charging the frame
+// before it is parsed keeps a flood from costing a full parse per frame.
+function createRateLimiter({ messages, types, now = Date.now }) {
+    const total = createTokenBucket({ ...messages, now });
+    const buckets = new Map();
+
+    return {
+        checkFrame() {
+            return total.take() ? null : 'messages';
+        },
+
+        check(type) {
+            const key = Object.prototype.hasOwnProperty.call(types, type) ? type : 'default';
+            let bucket = buckets.get(key);
+            if (!bucket) {
+                bucket = createTokenBucket({ ...types[key], now });
+                buckets.set(key, bucket);
+            }
+            return bucket.take() ? null : key;
+        }
+    };
+}
+
+module.exports = {
+    createTokenBucket,
+    createRateLimiter
+};
@@ -0,0 +1,218 @@
+// Static file serving for the browser client: fixed public root, no traversal
+// or dotfiles, full MIME table, conditional requests and compression
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.htm': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.bmp': 'image/bmp',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    '.eot': 'application/vnd.ms-fontobject',
+    '.wasm': 'application/wasm',
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+    '.ogg': 'audio/ogg',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.pdf': 'application/pdf',
+    '.zip': 'application/zip'
+};
+
+const DEFAULT_MIME_TYPE = 'application/octet-stream';
+
+// Types worth compressing; images, fonts and media are already compressed
+const COMPRESSIBLE = /^(text\/|application\/(json|javascript|xml|manifest\+json|wasm)|image\/(svg\+xml|x-icon|bmp)|font\/(ttf|otf))/;
+const MIN_COMPRESS_BYTES = 1024;
+
+// The client code has no versioned file names, so it must be revalidated on
+// every load; other assets can be cached for a day
+const REVALIDATE_TYPES = /^(text\/html|text\/javascript|text\/css)/;
+const ASSET_MAX_AGE_SECONDS = 24 * 60 * 60;
+
+function sendStatus(res, status, message, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8', ...headers });
+    res.end(message);
+}
+
+// Map a request path onto a file below root, or null if it must not be served
+function resolvePath(root, pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (error) {
+        return null;
+    }
+
+    if (decoded.includes('\0') || decoded.includes('\\')) {
+        return null;
+    }
+
+    // Rejects '..' as well as dotfiles and dot-directories such as .git or .env
+    const segments = decoded.split('/').filter(Boolean);
+    if (segments.some((segment) => segment.startsWith('.'))) {
+        return null;
+    }
+
+    const filePath = path.join(root, ...segments);
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+        return null;
+    }
+
+    return filePath;
+}
+
+// Pick brotli or gzip from Accept-Encoding, ignoring encodings with q=0
+function negotiateEncoding(acceptEncoding) {
+    const accepted = new Set();
+    for (const part of (acceptEncoding || '').split(',')) {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        const q = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+        if (name && !(q && parseFloat(q.slice(2)) === 0)) {
+            accepted.add(name);
+        }
+    }
+
+    if (accepted.has('br')) return 'br';
+    if (accepted.has('gzip') || accepted.has('*')) return 'gzip';
+    return null;
+}
+
+// Has the client's cached copy still got this ETag / modification time?
+function isNotModified(req, etag, mtime) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+        // Weak comparison: compressed and identity variants share one ETag
+        const strip = (tag) => tag.trim().replace(/^W\//, '');
+        return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some((tag) => strip(tag) === strip(etag));
+    }
+
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+    return !Number.isNaN(ifModifiedSince) && Math.floor(mtime.getTime() / 1000) * 1000 <= ifModifiedSince;
+}
+
+// Create a request handler serving files below root; errors go to `log`
+function createStaticHandler({ root, index = 'index.html', log }) {
+    const publicRoot = path.resolve(root);
+
+    return function serveStatic(req, res) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            sendStatus(res, 405, 'Method not allowed', { Allow: 'GET, HEAD' });
+            return;
+        }
+
+        let pathname;
+        try {
+            pathname = new URL(req.url, 'http://localhost').pathname;
+        } catch (error) {
+            sendStatus(res, 400, 'Bad request');
+            return;
+        }
+
+        let filePath = resolvePath(publicRoot, pathname);
+        if (!filePath) {
+            sendStatus(res, 404, 'Not found');
+            return;
+        }
+
+        fs.stat(filePath, (error, stats) => {
+            if (!error && stats.isDirectory()) {
+                filePath = path.join(filePath, index);
+                fs.stat(filePath, (indexError, indexStats) => sendFile(req, res, log, filePath, indexError, indexStats));
+                return;
+            }
+            sendFile(req, res, log, filePath, error, stats);
+        });
+    };
+}
+
+function sendFile(req, res, log, filePath, error, stats) {
+    if (error || !stats.isFile()) {
+        if (error && error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+            log.error(`Static file error for ${filePath}: ${error.code}`);
+            sendStatus(res, 500, 'Server error');
+            return;
+        }
+        sendStatus(res, 404, 'Not found');
+        return;
+    }
+
+    const contentType = MIME_TYPES[path.extname(filePath).toLowerCase()] || DEFAULT_MIME_TYPE;
+    const etag = `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+    const compressible = COMPRESSIBLE.test(contentType);
+
+    const headers = {
+        'Content-Type': contentType,
+        'ETag': etag,
+        'Last-Modified': stats.mtime.toUTCString(),
+        'Cache-Control': REVALIDATE_TYPES.test(contentType) ? 'no-cache' : `public, max-age=${ASSET_MAX_AGE_SECONDS}`,
+        'X-Content-Type-Options': 'nosniff'
+    };
+    if (compressible) {
+        headers['Vary'] = 'Accept-Encoding';
+    }
+
+    if (isNotModified(req, etag, stats.mtime)) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+    }
+
+    const encoding = compressible && stats.size >= MIN_COMPRESS_BYTES
+        ? negotiateEncoding(req.headers['accept-encoding'])
+        : null;
+
+    if (encoding) {
+        headers['Content-Encoding'] = encoding;
+    } else {
+        headers['Content-Length'] = stats.size;
+    }
+
+    res.writeHead(200, headers);
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+
+    const compressor = encoding === 'br'
+        ? zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_SIZE_HINT]: stats.size } })
+        : encoding === 'gzip' ? zlib.createGzip() : null;
+
+    // Headers are already sent, so a failure can only cut the response short;
+    // pipeline also closes the file when the client goes away mid-response
+    const streams = [fs.createReadStream(filePath), compressor, res].filter(Boolean);
+    pipeline(...streams, (streamError) => {
+        if (streamError && streamError.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            log.warn(`Static file error for ${filePath}: ${streamError.message}`);
+        }
+    });
+}
+
+module.exports = {
+    MIME_TYPES,
+    createStaticHandler
+};
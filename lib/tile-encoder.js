@@ -0,0 +1,155 @@
+// Frame-stream tile encoding for the headless host, on a worker thread
+//
+// Comparing a picture with the previous one and turning the changed tiles
+// into PNG takes long enough at full-screen sizes to stall every WebSocket
+// client, so it runs off the server's event loop. Capturing stays with the
+// caller: RobotJS cannot be loaded into a worker thread once the input
+// backend has loaded it.
+//
+// The worker keeps the previous picture. encode(picture, keyframe) resolves
+// to { keyframe, tiles } with the tiles that changed, or all of them for a
+// keyframe, a first picture or a new screen size; each tile is
+// { x, y, width, height, bytes }.
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { encodePng } = require('./png');
+
+const TILE_SIZE = 256;
+
+// Start the worker; close() stops it, reset() forgets the previous picture
+function createTileEncoder({ tileSize = TILE_SIZE } = {}) {
+    const worker = new Worker(__filename, { workerData: { tileEncoder: true, tileSize } });
+    // The server's own lifetime decides when the process ends
+    worker.unref();
+
+    let nextId = 1;
+    const pending = new Map();
+
+    function failAll(error) {
+        pending.forEach(({ reject }) => reject(error));
+        pending.clear();
+    }
+
+    worker.on('message', (message) => {
+        const request = pending.get(message.id);
+        if (!request) return;
+        pending.delete(message.id);
+
+        if (message.error) {
+            request.reject(new Error(message.error));
+            return;
+        }
+        request.resolve({
+            keyframe: message.keyframe,
+            tiles: message.tiles.map((tile) => ({ ...tile, bytes: Buffer.from(tile.bytes) }))
+        });
+    });
+    worker.on('error', failAll);
+    worker.on('exit', () => failAll(new Error('The tile encoder stopped')));
+
+    return {
+        encode(picture, keyframe) {
+            // A copy the worker can own; capture buffers may be shared or
+            // live outside the JavaScript heap
+            const data = new Uint8Array(picture.data.length);
+            data.set(picture.data);
+
+            const id = nextId++;
+            return new Promise((resolve, reject) => {
+                pending.set(id, { resolve, reject });
+                worker.postMessage({
+                    type: 'encode',
+                    id,
+                    keyframe,
+                    picture: { width: picture.width, height: picture.height, stride: picture.stride, data }
+                }, [data.buffer]);
+            });
+        },
+
+        reset() {
+            worker.postMessage({ type: 'reset' });
+        },
+
+        close() {
+            return worker.terminate();
+        }
+    };
+}
+
+function runWorker(tileSize) {
+    let previous = null;
+
+    async function encode(picture, keyframeNeeded) {
+        const keyframe = keyframeNeeded || !previous ||
+            previous.width !== picture.width || previous.height !== picture.height;
+
+        const tiles = [];
+        for (let y = 0; y < picture.height; y += tileSize) {
+            for (let x = 0; x < picture.width; x += tileSize) {
+                const tile = {
+                    x,
+                    y,
+                    width: Math.min(tileSize, picture.width - x),
+                    height: Math.min(tileSize, picture.height - y)
+                };
+                if (!keyframe && !isTileChanged(picture, previous, tile)) continue;
+
+                const png = await encodeTile(picture, tile);
+                // A Uint8Array of its own, so the bytes can be transferred
+                tile.bytes = new Uint8Array(png);
+                tiles.push(tile);
+            }
+        }
+        previous = picture;
+        return { keyframe, tiles };
+    }
+
+    parentPort.on('message', (message) => {
+        if (message.type === 'reset') {
+            previous = null;
+            return;
+        }
+
+        const picture = { ...message.picture, data: Buffer.from(message.picture.data.buffer) };
+        encode(picture, message.keyframe).then(({ keyframe, tiles }) => {
+            parentPort.postMessage({ id: message.id, keyframe, tiles }, tiles.map((tile) => tile.bytes.buffer));
+        }, (error) => {
+            parentPort.postMessage({ id: message.id, error: error.message });
+        });
+    });
+}
+
+function isTileChanged(picture, previous, tile) {
+    for (let row = tile.y; row < tile.y + tile.height; row++) {
+        const start = row * picture.stride + tile.x * 4;
+        const end = start + tile.width * 4;
+        if (picture.data.compare(previous.data, start, end, start, end) !== 0) return true;
+    }
+    return false;
+}
+
+// Encode one tile of a BGRA picture as PNG
+function encodeTile(picture, tile) {
+    const rgb = Buffer.alloc(tile.width * tile.height * 3);
+    let target = 0;
+    for (let row = tile.y; row < tile.y + tile.height; row++) {
+        let source = row * picture.stride + tile.x * 4;
+        for (let column = 0; column < tile.width; column++) {
+            rgb[target] = picture.data[source + 2];
+            rgb[target + 1] = picture.data[source + 1];
+            rgb[target + 2] = picture.data[source];
+            target += 3;
+            source += 4;
+        }
+    }
+    return encodePng(tile.width, tile.height, rgb);
+}
+
+if (!isMainThread && workerData && workerData.tileEncoder) {
+    runWorker(workerData.tileSize);
+}
+
+module.exports = {
+    TILE_SIZE,
+    createTileEncoder
+};
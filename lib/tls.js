@@ -0,0 +1,125 @@
+// TLS credentials for HTTPS/WSS mode: a provided cert/key pair, or a
+// self-signed certificate generated on first run and reused afterwards
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CERT_FILE = 'cert.pem';
+const KEY_FILE = 'key.pem';
+
+// Generated certificates are valid this long and replaced a week before expiry
+const CERT_VALID_DAYS = 825;
+const RENEW_BEFORE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Subject alternative names for every name and address the server answers on
+function buildAltNames(hostnames, ips) {
+    return [
+        ...hostnames.map((value) => ({ type: 2, value })), // DNS
+        ...ips.map((ip) => ({ type: 7, ip })) // IP address
+    ];
+}
+
+// SHA-256 fingerprint of the first (leaf) certificate, in the form browsers show
+function fingerprint(certPem) {
+    const match = /-----BEGIN CERTIFICATE-----([\s\S]*?)-----END CERTIFICATE-----/.exec(certPem.toString());
+    if (!match) return null;
+    const base64 = match[1].replace(/\s+/g, '');
+    const digest = crypto.createHash('sha256').update(Buffer.from(base64, 'base64')).digest('hex');
+    return digest.toUpperCase().match(/.{2}/g).join(':');
+}
+
+// Does the certificate still cover all the names and is it far from expiry?
+function isCertUsable(certPem, hostnames, ips) {
+    // Node 14 cannot parse certificates, so keep the existing one there
+    if (!crypto.X509Certificate) {
+        return true;
+    }
+
+    let cert;
+    try {
+        cert = new crypto.X509Certificate(certPem);
+    } catch (error) {
+        return false;
+    }
+
+    if (Date.parse(cert.validTo) - Date.now() < RENEW_BEFORE_MS) {
+        return false;
+    }
+
+    // Entries are compared whole, so DNS:foo.lan.evil does not cover foo.lan
+    const altNames = (cert.subjectAltName || '').split(', ');
+    return hostnames.every((name) => altNames.includes(`DNS:${name}`)) &&
+        ips.every((ip) => altNames.includes(`IP Address:${ip}`));
+}
+
+function generateSelfSigned(hostnames, ips) {
+    // Loaded lazily so plain HTTP mode does not need the dependency
+    const selfsigned = require('selfsigned');
+
+    const pems = selfsigned.generate([{ name: 'commonName', value: hostnames[0] }], {
+        days: CERT_VALID_DAYS,
+        keySize: 2048,
+        algorithm: 'sha256',
+        extensions: [
+            { name: 'basicConstraints', cA: false },
+            { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+            { name: 'extKeyUsage', serverAuth: true },
+            { name: 'subjectAltName', altNames: buildAltNames(hostnames, ips) }
+        ]
+    });
+
+    return { cert: pems.cert, key: pems.private };
+}
+
+// Load the credentials for the HTTPS server. `certPath`/`keyPath` take
+// precedence; otherwise a self-signed pair is kept in `dir`, regenerated when
+// it is about to expire or a new hostname or IP address appears.
+function loadCredentials({ certPath, keyPath, dir, hostnames, ips }) {
+    if (certPath || keyPath) {
+        if (!certPath || !keyPath) {
+            throw new Error('Both TLS_CERT and TLS_KEY (tls.cert and tls.key) must be set to use your own certificate');
+        }
+        const cert = fs.readFileSync(certPath);
+        return {
+            cert,
+            key: fs.readFileSync(keyPath),
+            selfSigned: false,
+            generated: false,
+            fingerprint: fingerprint(cert)
+        };
+    }
+
+    const certFile = path.join(dir, CERT_FILE);
+    const keyFile = path.join(dir, KEY_FILE);
+
+    if (fs.existsSync(certFile) && fs.existsSync(keyFile)) {
+        const cert = fs.readFileSync(certFile);
+        if (isCertUsable(cert, hostnames, ips)) {
+            return {
+                cert,
+                key: fs.readFileSync(keyFile),
+                selfSigned: true,
+                generated: false,
+                fingerprint: fingerprint(cert)
+            };
+        }
+    }
+
+    const { cert, key } = generateSelfSigned(hostnames, ips);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(keyFile, key, { mode: 0o600 });
+    fs.writeFileSync(certFile, cert);
+
+    return {
+        cert,
+        key,
+        selfSigned: true,
+        generated: true,
+        fingerprint: fingerprint(cert)
+    };
+}
+
+module.exports = {
+    loadCredentials
+};
@@ -0,0 +1,106 @@
+// Embedded STUN/TURN relay (node-turn, UDP) for networks where peers cannot
+// reach each other directly or reach public STUN servers.
+//
+// There is no shared TURN password. Every credential is issued for one client
+// as "<expiry>:<label>" with a random password, and it stops working when it is
+// revoked or expires. The username format follows the TURN REST API
+// convention.
+
+const crypto = require('crypto');
+
+// Map node-turn's debug levels onto ours; chattier levels are dropped
+const LOG_LEVELS = {
+    FATAL: 'error',
+    ERROR: 'error',
+    WARN: 'warn',
+    INFO: 'debug'
+};
+
+// Create the relay; call start() to bind its UDP port
+function createTurnRelay({ port, listenIps, relayIps, externalIp, minPort, maxPort, realm, credentialTtlMs, log }) {
+    // Only loaded when the relay is enabled
+    const Turn = require('node-turn');
+
+    const server = new Turn({
+        authMech: 'long-term',
+        listeningPort: port,
+        // Empty lets node-turn listen on every interface address
+        listeningIps: listenIps.length ? listenIps : undefined,
+        relayIps: relayIps,
+        externalIps: externalIp || null,
+        minPort: minPort,
+        maxPort: maxPort,
+        realm: realm,
+        debug(level, message) {
+            const method = LOG_LEVELS[level];
+            if (method) log[method](`TURN: ${message}`);
+        }
+    });
+
+    const credentials = new Map(); // Maps username to its expiry time
+    let sweepTimer = null;
+
+    function revoke(username) {
+        if (!username || !credentials.has(username)) return;
+        server.removeUser(username);
+        credentials.delete(username);
+    }
+
+    function sweep() {
+        const now = Date.now();
+        credentials.forEach((expiresAt, username) => {
+            if (expiresAt <= now) {
+                log.debug(`TURN credential ${username} expired`);
+                revoke(username);
+            }
+        });
+    }
+
+    return {
+        start() {
+            server.start();
+            sweepTimer = setInterval(sweep, Math.min(credentialTtlMs, 60000));
+            log.info(`STUN/TURN relay listening on UDP port ${port}`);
+        },
+
+        stop() {
+            clearInterval(sweepTimer);
+            server.stop();
+        },
+
+        // Issue a credential; the label names its owner, e.g. "ABC-234-XYZ.7"
+        issue(label) {
+            const expiresAt = Date.now() + credentialTtlMs;
+            const username = `${Math.floor(expiresAt / 1000)}:${label}`;
+            const password = crypto.randomBytes(18).toString('base64');
+
+            server.addUser(username, password);
+            credentials.set(username, expiresAt);
+            return { username, credential: password, expiresAt };
+        },
+
+        revoke,
+
+        // RTCIceServer entries for a client reaching the relay at `host`:
+        // STUN always, TURN when it holds a credential
+        iceServers(host, credential) {
+            const servers = [{ urls: `stun:${host}:${port}` }];
+            if (credential) {
+                servers.push({
+                    urls: `turn:${host}:${port}?transport=udp`,
+                    username: credential.username,
+                    credential: credential.credential
+                });
+            }
+            return servers;
+        },
+
+        activeCredentials() {
+            return credentials.size;
+        }
+    };
+}
+
+module.exports = {
+    createTurnRelay
+};
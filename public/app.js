@@ -1,18 +1,87 @@
+// Signaling protocol version this client speaks (negotiated in register)
+const PROTOCOL_VERSION = 1;
+
+// Error codes the server uses when it rejects a message as breaking the protocol
+const PROTOCOL_ERROR_CODES = ['malformed-message', 'message-too-large', 'unknown-type', 'invalid-message', 'not-registered', 'wrong-role'];
+
+// Viewer permission levels, from most to least input
+const PERMISSION_LABELS = {
+    full: 'Full control',
+    keyboard: 'Keyboard and mouse',
+    pointer: 'Pointer only',
+    view: 'View only'
+};
+
+// WebSocket frame-streaming fallback; lib/protocol.js documents the binary layout
+const STREAM_FRAME_KIND = 1;
+const STREAM_FLAG_KEYFRAME = 1;
+const STREAM_HEADER_BYTES = 12;
+const STREAM_TILE_HEADER_BYTES = 12;
+const STREAM_TILE_SIZE = 256;
+const STREAM_MAX_DIMENSION = 1920; // Longest side of the streamed picture
+// The host halves its frame rate while more than the high-water mark waits on
+// its socket and speeds up again below the low-water mark
+const STREAM_HIGH_WATER_BYTES = 512 * 1024;
+const STREAM_LOW_WATER_BYTES = 64 * 1024;
+const STREAM_MAX_INTERVAL_MS = 2000;
+
+// Keep a value within [min, max]
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
 // Remote Desktop Application
 class RemoteDesktopApp {
     constructor() {
         this.ws = null;
-        this.pc = null;
+        this.pc = null; // Viewer: single connection to the host
+        this.peers = new Map(); // Host: one RTCPeerConnection per viewer ID
+        this.viewers = new Map(); // Host: viewer ID -> { name, permission }
         this.localStream = null;
         this.remoteStream = null;
         this.role = null;
         this.clientId = null;
+        this.resumeToken = null; // Reclaims this client's ID and session after a reconnect
+        this.kicked = false; // Set once an administrator removes us, so we stop reconnecting
         this.connectedPeerId = null;
         this.isControlEnabled = false;
+        this.permission = 'view'; // Viewer: 'view', 'pointer', 'keyboard' or 'full'
         this.statsInterval = null;
         this.reconnectInterval = null;
+        this.heartbeatTimer = null;
+        this.heartbeatIntervalMs = 15000; // Replaced by the server's interval on register
+        this.lastMessageAt = 0;
         this.debugEnabled = true;
         
+        // Server limits the frame stream is packed and paced for; replaced on register
+        this.limits = { maxMessageBytes: 64 * 1024, streamMessagesPerSecond: 60 };
+        
+        // Frames over the WebSocket for viewers whose peer connection failed
+        this.frameStream = {
+            // Host: viewers receiving frames, and the capture being encoded
+            viewers: new Set(),
+            timer: null,
+            video: null,
+            canvas: null,
+            context: null,
+            tileCanvas: null,
+            tileContext: null,
+            format: null,
+            previous: null, // Pixels of the picture the viewers have
+            frameNumber: 0,
+            keyframeNeeded: false,
+            intervalMs: 0,
+            // Viewer: frames drawn on a canvas in place of remoteVideo
+            active: false,
+            drawing: Promise.resolve(),
+            lastFrameNumber: null,
+            keyframeRequested: false,
+            // Both: counters sampled for the stats panel
+            frames: 0,
+            bytes: 0,
+            sampledAt: 0
+        };
+        
         // Mouse state tracking for better control
         this.mouseState = {
             isDown: false,
@@ -30,9 +99,20 @@ class RemoteDesktopApp {
         this.pendingMouseMoves = [];
         this.isProcessingInputs = false;
         
+        // Join requests waiting for the host's decision, shown one at a time
+        this.joinRequests = [];
+        
+        // Control requests waiting for the host's decision, shown one at a time
+        this.controlRequests = [];
+        
+        // Who holds the control floor in the current session
+        this.controllerId = null;
+        this.controllerName = null;
+        
         // Configuration
         this.config = {
-            // Performance optimization: High bandwidth, low latency configuration
+            // Performance optimization: High bandwidth, low latency configuration.
+            // Replaced by the server's list (and its TURN relay) on registration
             iceServers: [
                 { urls: 'stun:stun.l.google.com:19302' },
                 { urls: 'stun:stun1.l.google.com:19302' },
@@ -41,6 +121,7 @@ class RemoteDesktopApp {
                 { urls: 'stun:stun4.l.google.com:19302' }
             ],
             iceCandidatePoolSize: 10,
+            // The media settings below are replaced by the server's on registration
             iceTransportPolicy: 'all', // 'relay' for stability over unreliable networks
             bundlePolicy: 'max-bundle', // Optimized bundle policy
             rtcpMuxPolicy: 'require', // Require RTCP muxing to reduce overhead
@@ -51,6 +132,8 @@ class RemoteDesktopApp {
             scrollSensitivity: 1.5,  // Scroll sensitivity multiplier
             maxBitrate: 25000,       // 25 Mbps for high quality
             codecPreferences: ['VP9', 'VP8', 'H264'],
+            defaultQuality: 'high',
+            fallback: { enabled: true, maxFrameRate: 15, quality: 0.7 },
             enableHwAcceleration: true
         };
         
@@ -118,6 +201,9 @@ class RemoteDesktopApp {
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this.handleKeyboardShortcuts(e));
         
+        // Host: auto-grant the control floor when nobody holds it
+        document.getElementById('autoGrantControl')?.addEventListener('change', (e) => this.setControlPolicy(e.target.checked));
+
         // Remote video events
         this.remoteVideo.addEventListener('loadedmetadata', () => this.handleVideoLoaded());
         
@@ -214,7 +300,9 @@ class RemoteDesktopApp {
     
     // WebSocket connection
     connectWebSocket() {
-        const wsUrl = `ws://${window.location.hostname}:${window.location.port || '80'}`;
+        // Secure pages must use WSS; window.location.host keeps the page's port
+        const scheme = window.location.protocol === 'https:' ? 'wss' : 'ws';
+        const wsUrl = `${scheme}://${window.location.host}`;
         this.debug(`Connecting to WebSocket: ${wsUrl}`);
         
         this.ws = new WebSocket(wsUrl);
@@ -238,19 +326,30 @@ class RemoteDesktopApp {
             this.reconnectInterval = null;
         }
         
-        // Send role registration
+        // Resume the previous client if the server still holds it, otherwise register
+        if (this.resumeToken) {
+            this.sendMessage({
+                type: 'resume',
+                resumeToken: this.resumeToken,
+                protocolVersion: PROTOCOL_VERSION
+            });
+            return;
+        }
+        
         this.sendMessage({
             type: 'register',
-            role: this.role
+            role: this.role,
+            protocolVersion: PROTOCOL_VERSION
         });
     }
     
     handleWebSocketClose() {
+        this.stopHeartbeat();
         this.debug('WebSocket disconnected');
         this.updateStatus('Disconnected from server', 'error');
         
         // Start reconnection attempts
-        if (!this.reconnectInterval) {
+        if (!this.reconnectInterval && !this.kicked) {
             this.reconnectInterval = setInterval(() => {
                 this.debug('Attempting to reconnect...');
                 this.connectWebSocket();
@@ -264,19 +363,68 @@ class RemoteDesktopApp {
     }
     
     async handleWebSocketMessage(event) {
+        this.lastMessageAt = Date.now();
+        
+        // The only binary messages a client receives are frame-stream tiles
+        if (event.data instanceof ArrayBuffer) {
+            this.handleStreamFrame(event.data);
+            return;
+        }
+        
         const data = JSON.parse(event.data);
+        if (data.type === 'pong') return;
+        
         this.debug(`Received: ${data.type}`);
         
         switch (data.type) {
             case 'registered':
                 this.handleRegistered(data);
                 break;
+            case 'resumed':
+                this.handleResumed(data);
+                break;
+            case 'peer-suspended':
+                this.handlePeerSuspended(data);
+                break;
+            case 'peer-resumed':
+                this.handlePeerResumed(data);
+                break;
+            case 'kicked':
+                this.handleKicked(data);
+                break;
             case 'client-joined':
                 this.handleClientJoined(data);
                 break;
+            case 'client-left':
+                this.handleClientLeft(data);
+                break;
             case 'host-available':
                 this.handleHostAvailable(data);
                 break;
+            case 'join-request':
+                this.handleJoinRequest(data);
+                break;
+            case 'join-cancelled':
+                this.handleJoinCancelled(data);
+                break;
+            case 'join-pending':
+                this.handleJoinPending(data);
+                break;
+            case 'pin-updated':
+                this.handlePinUpdated(data);
+                break;
+            case 'pin-failed':
+                this.handlePinFailed(data);
+                break;
+            case 'control-requested':
+                this.handleControlRequested(data);
+                break;
+            case 'control-state':
+                this.handleControlState(data);
+                break;
+            case 'permission-updated':
+                this.handlePermissionUpdated(data);
+                break;
             case 'offer':
                 await this.handleOffer(data);
                 break;
@@ -286,6 +434,15 @@ class RemoteDesktopApp {
             case 'ice-candidate':
                 await this.handleIceCandidate(data);
                 break;
+            case 'stream-start':
+                this.handleStreamStart(data);
+                break;
+            case 'stream-stop':
+                this.hideFrameStream();
+                break;
+            case 'stream-keyframe':
+                this.frameStream.keyframeNeeded = true;
+                break;
             case 'control':
                 this.handleRemoteControl(data);
                 break;
@@ -295,6 +452,9 @@ class RemoteDesktopApp {
             case 'server-shutdown':
                 this.handleServerShutdown();
                 break;
+            case 'error':
+                this.handleServerError(data);
+                break;
         }
     }
     
@@ -304,16 +464,196 @@ class RemoteDesktopApp {
         }
     }
     
+    // Heartbeat: ping a few times per interval and treat a silent interval as
+    // a stalled socket, without waiting for the browser to notice
+    startHeartbeat(intervalMs) {
+        this.stopHeartbeat();
+        this.heartbeatIntervalMs = intervalMs || this.heartbeatIntervalMs;
+        this.lastMessageAt = Date.now();
+        
+        this.heartbeatTimer = setInterval(() => {
+            if (Date.now() - this.lastMessageAt > this.heartbeatIntervalMs) {
+                this.debug('Server stopped responding', 'warning');
+                this.showNotification('Connection to server lost, reconnecting...', 'error');
+                
+                this.ws.onclose = null;
+                this.ws.close();
+                this.handleWebSocketClose();
+                return;
+            }
+            
+            this.sendMessage({ type: 'ping', time: Date.now() });
+        }, this.heartbeatIntervalMs / 3);
+    }
+    
+    stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+    
     // Registration handling
     handleRegistered(data) {
+        this.startHeartbeat(data.heartbeatIntervalMs);
         this.clientId = data.clientId;
+        this.resumeToken = data.resumeToken;
+        this.applyIceServers(data.iceServers);
+        this.applyMediaConfig(data.media);
+        this.limits = data.limits || this.limits;
         this.debug(`Registered with ID: ${this.clientId}`);
         
         if (this.role === 'host') {
-            document.getElementById('sessionId').textContent = this.clientId;
+            this.sessionId = data.sessionId;
+            document.getElementById('sessionId').textContent = this.sessionId;
         }
     }
     
+    // Use the ICE servers the server hands out, including TURN credentials for
+    // its relay; they apply to peer connections created from now on
+    applyIceServers(iceServers) {
+        if (!Array.isArray(iceServers)) return;
+        
+        this.config.iceServers = iceServers;
+        const relayed = iceServers.some(server => [].concat(server.urls).some(url => url.startsWith('turn')));
+        this.debug(`Using ${iceServers.length} ICE server(s)${relayed ? ' with a TURN relay' : ''}`);
+    }
+    
+    // Use the server's transport policy, bitrate cap, codec order and quality
+    // presets; they apply to captures and peer connections started from now on
+    applyMediaConfig(media) {
+        if (!media) return;
+        
+        this.config.iceTransportPolicy = media.iceTransportPolicy;
+        this.config.maxBitrate = media.maxBitrate;
+        this.config.codecPreferences = media.codecPreferences;
+        this.config.defaultQuality = media.defaultQuality;
+        this.config.fallback = media.fallback;
+        this.qualityPresets = { ...media.qualityPresets, auto: null };
+        
+        // Offer the server's presets in the quality picker
+        const qualitySelect = document.getElementById('qualitySelect');
+        if (qualitySelect) {
+            const selected = qualitySelect.value;
+            qualitySelect.innerHTML = '';
+            Object.entries(media.qualityPresets).forEach(([name, preset]) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = `${name.charAt(0).toUpperCase()}${name.slice(1)} (${preset.height}p, ${preset.frameRate} fps)`;
+                qualitySelect.appendChild(option);
+            });
+            const auto = document.createElement('option');
+            auto.value = 'auto';
+            auto.textContent = 'Auto';
+            qualitySelect.appendChild(auto);
+            qualitySelect.value = this.qualityPresets[selected] !== undefined ? selected : media.defaultQuality;
+        }
+        
+        this.debug(`Media settings: ${media.iceTransportPolicy} ICE candidates, ${media.maxBitrate || 'unlimited'} kbps, codecs ${media.codecPreferences.join(', ') || '(browser order)'}`);
+    }
+    
+    // Reconnected within the server's grace window with the same ID and session
+    handleResumed(data) {
+        this.startHeartbeat(data.heartbeatIntervalMs);
+        this.resumeToken = data.resumeToken;
+        this.applyIceServers(data.iceServers);
+        this.applyMediaConfig(data.media);
+        this.limits = data.limits || this.limits;
+        this.debug(`Resumed as client ${data.clientId}`);
+        this.showNotification('Reconnected to the server', 'success');
+        
+        if (this.role === 'host') {
+            const current = new Set(data.viewers.map(viewer => viewer.clientId));
+            this.viewers.forEach((viewer, id) => {
+                if (!current.has(id)) {
+                    this.closePeerConnection(id);
+                    this.stopFrameStream(id, false);
+                    this.viewers.delete(id);
+                }
+            });
+            data.viewers.forEach(viewer => {
+                this.viewers.set(viewer.clientId, {
+                    name: viewer.name,
+                    permission: viewer.permission,
+                    outsideAllowed: viewer.outsideAllowed
+                });
+                // Viewers on the frame stream keep it; frames missed meanwhile
+                // are made up by a keyframe
+                if (this.frameStream.viewers.has(viewer.clientId)) {
+                    if (!viewer.streaming) this.startFrameStream(viewer.clientId);
+                    this.frameStream.keyframeNeeded = true;
+                    return;
+                }
+                if (this.localStream && !this.isPeerAlive(this.peers.get(viewer.clientId))) {
+                    this.createPeerConnection(viewer.clientId);
+                    this.createAndSendOffer(viewer.clientId);
+                }
+            });
+            this.renderViewerList();
+            return;
+        }
+        
+        this.permission = data.permission;
+        this.applyPermission();
+        this.connectedPeerId = data.hostId;
+        if (!data.streaming && this.frameStream.active) {
+            this.hideFrameStream();
+        }
+        
+        // The host re-offers if our media path died, so only a lost session needs handling here
+        if (!data.hostId && !data.pending && this.pc) {
+            this.cleanup();
+            this.updateStatus('Session ended while disconnected', 'error');
+        }
+    }
+    
+    // The resume token expired, so start over as a new client
+    handleResumeFailed() {
+        this.resumeToken = null;
+        this.cleanup();
+        this.viewers.clear();
+        this.renderViewerList();
+        this.joinRequests = [];
+        this.controlRequests = [];
+        this.showNotification('Your previous session expired', 'error');
+        this.sendMessage({
+            type: 'register',
+            role: this.role,
+            protocolVersion: PROTOCOL_VERSION
+        });
+    }
+    
+    // A paired peer lost its signaling socket; media may keep flowing meanwhile
+    handlePeerSuspended(data) {
+        this.debug(`Peer ${data.clientId} lost its connection to the server`, 'warning');
+        const name = this.role === 'host' ? (this.viewers.get(data.clientId)?.name || `Client ${data.clientId}`) : 'The host';
+        this.showNotification(`${name} is reconnecting...`, 'info');
+    }
+    
+    // A paired peer came back; renegotiate only if the media path did not survive
+    handlePeerResumed(data) {
+        this.debug(`Peer ${data.clientId} reconnected`);
+        if (this.role === 'host' && this.localStream && !this.isPeerAlive(this.peers.get(data.clientId))) {
+            this.createPeerConnection(data.clientId);
+            this.createAndSendOffer(data.clientId);
+        }
+    }
+    
+    // An administrator removed us; the server closes the socket right after this
+    handleKicked(data) {
+        this.debug(`Kicked: ${data.reason}`, 'warning');
+        this.kicked = true;
+        this.resumeToken = null;
+        this.cleanup();
+        this.viewers.clear();
+        this.renderViewerList();
+        this.showNotification(`${data.reason}. Reload the page to connect again.`, 'error');
+    }
+    
+    isPeerAlive(pc) {
+        return Boolean(pc) && !['failed', 'closed'].includes(pc.connectionState);
+    }
+    
     // Host-specific methods
     async startScreenShare() {
         try {
@@ -321,7 +661,7 @@ class RemoteDesktopApp {
             this.updateStatus('Starting screen capture with optimized settings...');
             
             // Get quality setting
-            const quality = document.getElementById('qualitySelect')?.value || 'high';
+            const quality = document.getElementById('qualitySelect')?.value || this.config.defaultQuality;
             const constraints = {
                 video: {
                     cursor: document.getElementById('showCursor').checked ? 'always' : 'never',
@@ -382,15 +722,10 @@ class RemoteDesktopApp {
             // Show video area
             this.videoOverlay.classList.add('hidden');
             
-            // Notify server
+            // Notify server - it answers with client-joined for every viewer
+            // already in the session, which starts one offer per viewer
             this.sendMessage({ type: 'host-ready' });
             
-            // If already connected to a peer, create offer
-            if (this.connectedPeerId) {
-                this.createPeerConnection();
-                await this.createAndSendOffer();
-            }
-            
             // Start stats monitoring
             this.startStatsMonitoring();
             
@@ -405,6 +740,8 @@ class RemoteDesktopApp {
     stopScreenShare() {
         this.debug('Stopping screen share');
         
+        this.frameStream.viewers.forEach(id => this.stopFrameStream(id));
+        
         if (this.localStream) {
             this.localStream.getTracks().forEach(track => track.stop());
             this.localStream = null;
@@ -424,29 +761,329 @@ class RemoteDesktopApp {
     handleClientJoined(data) {
         if (this.role !== 'host') return;
         
-        this.debug(`Client ${data.clientId} joined`);
-        this.connectedPeerId = data.clientId;
+        this.debug(`Client ${data.clientId} (${data.name}) joined`);
+        this.viewers.set(data.clientId, {
+            name: data.name,
+            permission: data.permission,
+            outsideAllowed: data.outsideAllowed
+        });
+        if (data.outsideAllowed) {
+            this.showNotification(`${data.name} is connected from outside the allowed networks`, 'error');
+        }
+        this.renderViewerList();
         
         if (this.localStream) {
-            this.createPeerConnection();
-            this.createAndSendOffer();
+            this.createPeerConnection(data.clientId);
+            this.createAndSendOffer(data.clientId);
         }
     }
     
+    handleClientLeft(data) {
+        if (this.role !== 'host') return;
+        
+        this.debug(`Client ${data.clientId} left`);
+        this.closePeerConnection(data.clientId);
+        this.stopFrameStream(data.clientId, false);
+        this.viewers.delete(data.clientId);
+        this.renderViewerList();
+        
+        const index = this.controlRequests.findIndex(request => request.clientId === data.clientId);
+        if (index !== -1) {
+            this.controlRequests.splice(index, 1);
+            if (index === 0) {
+                this.showNextControlRequest();
+            }
+        }
+    }
+    
+    renderViewerList() {
+        const list = document.getElementById('viewerList');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        
+        if (this.viewers.size === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'viewer-empty';
+            empty.textContent = 'No viewers connected';
+            list.appendChild(empty);
+            return;
+        }
+        
+        this.viewers.forEach((viewer, id) => {
+            const item = document.createElement('li');
+            const pc = this.peers.get(id);
+            item.textContent = `${viewer.name} (#${id}) `;
+            item.title = pc ? `Connection: ${pc.connectionState}` : 'Waiting for screen share';
+            
+            if (this.frameStream.viewers.has(id)) {
+                item.title = 'Connection: frames over the WebSocket (WebRTC failed)';
+                const transport = document.createElement('span');
+                transport.className = 'viewer-fallback';
+                transport.textContent = 'via WebSocket ';
+                item.appendChild(transport);
+            }
+            
+            if (viewer.outsideAllowed) {
+                const warning = document.createElement('span');
+                warning.className = 'viewer-outside';
+                warning.textContent = 'outside allowed networks ';
+                item.appendChild(warning);
+            }
+            
+            const permission = document.createElement('select');
+            Object.entries(PERMISSION_LABELS).forEach(([value, label]) => {
+                permission.add(new Option(label, value, false, value === viewer.permission));
+            });
+            permission.addEventListener('change', () => {
+                this.sendMessage({ type: 'set-permission', clientId: id, permission: permission.value });
+            });
+            item.appendChild(permission);
+            
+            if (id === this.controllerId) {
+                const revoke = document.createElement('button');
+                revoke.className = 'btn btn-danger';
+                revoke.textContent = 'Revoke control';
+                revoke.addEventListener('click', () => this.revokeControl());
+                item.append(' - in control ', revoke);
+            }
+            
+            list.appendChild(item);
+        });
+    }
+    
+    connectToHost() {
+        const input = document.getElementById('sessionIdInput');
+        const sessionId = input ? input.value.trim() : '';
+        
+        if (!sessionId) {
+            this.showNotification('Please enter a session code', 'error');
+            return;
+        }
+        
+        const nameInput = document.getElementById('viewerNameInput');
+        const pinInput = document.getElementById('viewerPinInput');
+        
+        this.debug(`Joining session ${sessionId}`);
+        this.sendMessage({
+            type: 'connect-to-host',
+            sessionId: sessionId,
+            name: nameInput ? nameInput.value.trim() : '',
+            pin: pinInput ? pinInput.value : ''
+        });
+    }
+    
+    // Host-side session PIN (an empty value clears it)
+    setSessionPin() {
+        const input = document.getElementById('sessionPinInput');
+        this.sendMessage({
+            type: 'set-pin',
+            pin: input ? input.value.trim() : ''
+        });
+    }
+    
+    handlePinUpdated(data) {
+        this.debug(`Session PIN ${data.pinRequired ? 'set' : 'cleared'}`);
+        this.showNotification(data.pinRequired ? 'Session PIN set' : 'Session PIN cleared', 'success');
+    }
+    
+    handlePinFailed(data) {
+        const who = data.name ? `${data.name} (${data.ip})` : data.ip;
+        const message = data.lockedOut
+            ? `${who} locked out after ${data.attempts} wrong PINs`
+            : `Wrong PIN from ${who} (attempt ${data.attempts})`;
+        
+        this.debug(message, 'warning');
+        this.showNotification(message, 'error');
+    }
+    
+    handleJoinPending(data) {
+        this.debug(`Waiting for host approval to join ${data.sessionId}`);
+        this.overlayMessage.textContent = 'Waiting for the host to accept...';
+    }
+    
+    // Host-side join approval
+    handleJoinRequest(data) {
+        if (this.role !== 'host') return;
+        
+        // Requests still waiting are sent again after a resume
+        if (this.joinRequests.some(request => request.clientId === data.clientId)) return;
+        
+        this.debug(`Join request from ${data.name} (${data.ip})`);
+        this.joinRequests.push(data);
+        
+        if (this.joinRequests.length === 1) {
+            this.showNextJoinRequest();
+        }
+    }
+    
+    handleJoinCancelled(data) {
+        const index = this.joinRequests.findIndex(request => request.clientId === data.clientId);
+        if (index === -1) return;
+        
+        this.joinRequests.splice(index, 1);
+        if (index === 0) {
+            this.showNextJoinRequest();
+        }
+    }
+    
+    // Build a host-side prompt with a title, a few lines of text and action
+    // buttons. A line may be { text, className } to style it.
+    createDialog(titleText, lines, actions) {
+        const dialog = document.createElement('div');
+        dialog.className = 'join-dialog';
+        
+        const content = document.createElement('div');
+        content.className = 'join-dialog-content';
+        
+        const title = document.createElement('h4');
+        title.textContent = titleText;
+        content.appendChild(title);
+        
+        lines.forEach(line => {
+            const paragraph = document.createElement('p');
+            if (typeof line === 'string') {
+                paragraph.textContent = line;
+            } else {
+                paragraph.textContent = line.text;
+                paragraph.className = line.className;
+            }
+            content.appendChild(paragraph);
+        });
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'button-group';
+        
+        actions.forEach(({ label, className, onClick }) => {
+            const button = document.createElement('button');
+            button.className = className;
+            button.textContent = label;
+            button.addEventListener('click', onClick);
+            buttons.appendChild(button);
+        });
+        
+        content.appendChild(buttons);
+        dialog.appendChild(content);
+        document.body.appendChild(dialog);
+        return dialog;
+    }
+    
+    showNextJoinRequest() {
+        if (this.joinDialog) {
+            this.joinDialog.remove();
+            this.joinDialog = null;
+        }
+        
+        const request = this.joinRequests[0];
+        if (!request) return;
+        
+        this.joinDialog = this.createDialog('Incoming connection', [
+            `${request.name} wants to join your session.`,
+            `IP address: ${request.ip}`,
+            ...(request.outsideAllowed
+                ? [{ text: 'This address is outside the networks this server allows.', className: 'dialog-warning' }]
+                : [])
+        ], [
+            ...Object.entries(PERMISSION_LABELS).map(([permission, label], index) => ({
+                label: label,
+                className: index === 0 ? 'btn btn-primary' : 'btn btn-secondary',
+                onClick: () => this.respondToJoinRequest('accept', permission)
+            })),
+            { label: 'Deny', className: 'btn btn-danger', onClick: () => this.respondToJoinRequest('deny') }
+        ]);
+    }
+    
+    respondToJoinRequest(decision, permission) {
+        const request = this.joinRequests.shift();
+        if (!request) return;
+        
+        this.sendMessage({
+            type: 'join-response',
+            clientId: request.clientId,
+            decision: decision,
+            permission: permission
+        });
+        
+        this.debug(`Join request from ${request.name}: ${decision}${permission ? ` (${permission})` : ''}`);
+        this.showNextJoinRequest();
+    }
+    
     handleHostAvailable(data) {
         if (this.role !== 'client') return;
         
-        this.debug(`Host ${data.hostId} is available`);
+        this.debug(`Host ${data.hostId} is available in session ${data.sessionId}`);
+        this.applyIceServers(data.iceServers);
         this.connectedPeerId = data.hostId;
-        document.getElementById('connectedHost').textContent = data.hostId;
+        this.permission = data.permission;
+        this.showNotification(`Admitted with ${PERMISSION_LABELS[data.permission]} permission`, 'info');
+        document.getElementById('connectedHost').textContent = data.sessionId;
         this.overlayMessage.textContent = 'Waiting for host stream...';
     }
     
+    handlePermissionUpdated(data) {
+        if (this.role === 'host') {
+            const viewer = this.viewers.get(data.clientId);
+            if (viewer) {
+                viewer.permission = data.permission;
+                this.renderViewerList();
+            }
+            return;
+        }
+        
+        this.permission = data.permission;
+        this.debug(`Permission changed to ${data.permission}`);
+        this.showNotification(`Your permission changed to ${PERMISSION_LABELS[data.permission]}`, 'info');
+        this.applyPermission();
+    }
+    
+    // Disable the control button and canvas when the viewer may not send input
+    applyPermission() {
+        const allowed = this.permission !== 'view';
+        this.controlBtn.disabled = !allowed || !this.remoteStream;
+        
+        if (!allowed) {
+            if (this.isControlEnabled) {
+                this.setControlEnabled(false);
+            }
+            this.controlCanvas.style.pointerEvents = 'none';
+        }
+    }
+    
+    // Mirror of the server's rule: 'pointer' sends no keys, 'keyboard' no system shortcuts
+    canSendKey(event) {
+        switch (this.permission) {
+            case 'full':
+                return true;
+            case 'keyboard':
+                return !event.metaKey && event.key !== 'Meta' && event.key !== 'OS' && !(event.ctrlKey && event.altKey);
+            default:
+                return false;
+        }
+    }
+    
+    // Viewers ask the server for the control floor; input is captured once it is granted
     toggleRemoteControl() {
-        this.isControlEnabled = !this.isControlEnabled;
+        if (this.role !== 'client') return;
+        
+        if (this.isControlEnabled) {
+            this.sendMessage({ type: 'control-release' });
+            return;
+        }
+        
+        if (this.permission === 'view') {
+            this.showNotification('Your permission level does not allow remote control', 'error');
+            return;
+        }
+        
+        this.sendMessage({ type: 'control-request' });
+        this.updateStatus('Requesting control...');
+    }
+    
+    setControlEnabled(enabled) {
+        this.isControlEnabled = enabled;
         
         if (this.isControlEnabled) {
-            this.controlBtn.textContent = 'Disable Control';
+            this.controlBtn.textContent = 'Release Control';
             this.videoContainer.classList.add('control-active');
             this.controlCanvas.style.pointerEvents = 'auto';
             this.controlCanvas.style.cursor = 'crosshair';
@@ -466,7 +1103,7 @@ class RemoteDesktopApp {
             // Add visual indicator for keyboard focus
             this.showKeyboardStatus(true);
         } else {
-            this.controlBtn.textContent = 'Enable Control';
+            this.controlBtn.textContent = 'Request Control';
             this.videoContainer.classList.remove('control-active');
             this.controlCanvas.style.pointerEvents = 'none'; 
             this.controlCanvas.style.cursor = 'default';
@@ -482,9 +1119,95 @@ class RemoteDesktopApp {
         }
     }
     
+    // Server announces who holds the control floor
+    handleControlState(data) {
+        this.controllerId = data.controllerId;
+        this.controllerName = data.controllerName;
+        
+        if (this.role === 'host') {
+            const autoGrant = document.getElementById('autoGrantControl');
+            if (autoGrant) autoGrant.checked = data.policy === 'auto';
+            this.renderViewerList();
+            return;
+        }
+        
+        const hasControl = data.controllerId !== null && data.controllerId === this.clientId;
+        if (hasControl !== this.isControlEnabled) {
+            this.setControlEnabled(hasControl);
+        } else if (!hasControl && data.controllerName) {
+            this.updateStatus(`${data.controllerName} has control`, 'connected');
+        }
+    }
+    
+    // Host-side control approval
+    handleControlRequested(data) {
+        if (this.role !== 'host') return;
+        
+        this.debug(`Control request from ${data.name}`);
+        if (this.controlRequests.some(request => request.clientId === data.clientId)) return;
+        
+        this.controlRequests.push(data);
+        if (this.controlRequests.length === 1) {
+            this.showNextControlRequest();
+        }
+    }
+    
+    showNextControlRequest() {
+        if (this.controlDialog) {
+            this.controlDialog.remove();
+            this.controlDialog = null;
+        }
+        
+        const request = this.controlRequests[0];
+        if (!request) return;
+        
+        this.controlDialog = this.createDialog('Control request', [
+            `${request.name} wants to control your screen.`,
+            'Granting control takes it away from the current controller.'
+        ], [
+            { label: 'Grant', className: 'btn btn-primary', onClick: () => this.respondToControlRequest(true) },
+            { label: 'Deny', className: 'btn btn-danger', onClick: () => this.respondToControlRequest(false) }
+        ]);
+    }
+    
+    respondToControlRequest(granted) {
+        const request = this.controlRequests.shift();
+        if (!request) return;
+        
+        this.sendMessage({
+            type: granted ? 'control-grant' : 'control-deny',
+            clientId: request.clientId
+        });
+        
+        this.debug(`Control request from ${request.name}: ${granted ? 'granted' : 'denied'}`);
+        this.showNextControlRequest();
+    }
+    
+    revokeControl() {
+        this.sendMessage({ type: 'control-revoke' });
+    }
+    
+    // Host chooses whether a free control floor is granted without asking
+    setControlPolicy(autoGrant) {
+        this.sendMessage({ type: 'set-control-policy', policy: autoGrant ? 'auto' : 'ask' });
+    }
+    
+    // Host-side log of control events relayed by the server
+    handleRemoteControl(data) {
+        if (this.role !== 'host') return;
+        
+        this.debug(`Remote control from client ${data.fromId}: ${data.action}`);
+    }
+    
     // WebRTC methods
-    createPeerConnection() {
-        this.debug('Creating peer connection with optimized settings');
+    
+    // Host keeps one connection per viewer; a viewer only has its host connection
+    getPeerConnection(peerId) {
+        return this.role === 'host' ? this.peers.get(peerId) : this.pc;
+    }
+    
+    createPeerConnection(peerId) {
+        this.debug(`Creating peer connection for ${peerId} with optimized settings`);
         
         // Create optimized configuration object
         const rtcConfig = {
@@ -496,31 +1219,58 @@ class RemoteDesktopApp {
             sdpSemantics: this.config.sdpSemantics
         };
         
-        this.pc = new RTCPeerConnection(rtcConfig);
+        // Replace any stale connection to the same peer
+        this.closePeerConnection(peerId);
         
-        this.pc.onicecandidate = (event) => this.handleLocalIceCandidate(event);
-        this.pc.oniceconnectionstatechange = () => this.handleIceConnectionStateChange();
-        this.pc.ontrack = (event) => this.handleRemoteTrack(event);
-        this.pc.onconnectionstatechange = () => this.handleConnectionStateChange();
+        const pc = new RTCPeerConnection(rtcConfig);
+        
+        pc.onicecandidate = (event) => this.handleLocalIceCandidate(event, peerId);
+        pc.oniceconnectionstatechange = () => this.handleIceConnectionStateChange(pc, peerId);
+        pc.ontrack = (event) => this.handleRemoteTrack(event);
+        pc.onconnectionstatechange = () => this.handleConnectionStateChange(pc, peerId);
+        
+        if (this.role === 'host') {
+            this.peers.set(peerId, pc);
+        } else {
+            this.pc = pc;
+        }
         
         // Add local stream if host
         if (this.role === 'host' && this.localStream) {
             this.debug('Adding local stream to peer connection');
             this.localStream.getTracks().forEach(track => {
                 this.debug(`Adding track: ${track.kind}, enabled: ${track.enabled}`);
-                this.pc.addTrack(track, this.localStream);
+                pc.addTrack(track, this.localStream);
             });
         }
+        
+        return pc;
     }
     
-    async createAndSendOffer() {
+    closePeerConnection(peerId) {
+        const pc = this.getPeerConnection(peerId);
+        if (!pc) return;
+        
+        pc.close();
+        
+        if (this.role === 'host') {
+            this.peers.delete(peerId);
+        } else {
+            this.pc = null;
+        }
+    }
+    
+    async createAndSendOffer(peerId) {
+        const pc = this.getPeerConnection(peerId);
+        if (!pc) return;
+        
         try {
-            this.debug('Creating optimized offer');
+            this.debug(`Creating optimized offer for ${peerId}`);
             
             // Set codec preferences if supported
             if (RTCRtpSender.getCapabilities && this.config.codecPreferences.length > 0) {
                 try {
-                    const transceivers = this.pc.getTransceivers();
+                    const transceivers = pc.getTransceivers();
                     const videoTransceiver = transceivers.find(t => 
                         t.sender && t.sender.track && t.sender.track.kind === 'video'
                     );
@@ -554,7 +1304,7 @@ class RemoteDesktopApp {
                 offerToReceiveAudio: this.role === 'client' && document.getElementById('captureAudio')?.checked
             };
             
-            const offer = await this.pc.createOffer(offerOptions);
+            const offer = await pc.createOffer(offerOptions);
             
             // Performance optimization: Modify SDP for high bandwidth
             let sdp = offer.sdp;
@@ -574,12 +1324,12 @@ class RemoteDesktopApp {
                 sdp: sdp
             });
             
-            await this.pc.setLocalDescription(modifiedOffer);
+            await pc.setLocalDescription(modifiedOffer);
             
             this.sendMessage({
                 type: 'offer',
                 offer: modifiedOffer,
-                targetId: this.connectedPeerId
+                targetId: peerId
             });
             
             this.debug('Optimized offer sent');
@@ -588,6 +1338,43 @@ class RemoteDesktopApp {
         }
     }
     
+    // Viewer answers the host's offer
+    async handleOffer(data) {
+        if (this.role !== 'client') return;
+        
+        try {
+            this.debug(`Received offer from ${data.fromId}`);
+            this.connectedPeerId = data.fromId;
+            
+            const pc = this.createPeerConnection(data.fromId);
+            await pc.setRemoteDescription(new RTCSessionDescription(data.offer));
+            
+            const answer = await pc.createAnswer();
+            await pc.setLocalDescription(answer);
+            
+            this.sendMessage({
+                type: 'answer',
+                answer: answer,
+                targetId: data.fromId
+            });
+        } catch (error) {
+            this.debug(`Error handling offer: ${error}`, 'error');
+        }
+    }
+    
+    // Host applies the answer to the matching viewer connection
+    async handleAnswer(data) {
+        const pc = this.getPeerConnection(data.fromId);
+        if (!pc) return;
+        
+        try {
+            await pc.setRemoteDescription(new RTCSessionDescription(data.answer));
+            this.debug(`Applied answer from ${data.fromId}`);
+        } catch (error) {
+            this.debug(`Error handling answer: ${error}`, 'error');
+        }
+    }
+    
     // Helper method to set max bitrate in SDP
     setMaxBitrate(sdp, bitrate) {
         const lines = sdp.split('\n');
@@ -651,21 +1438,22 @@ class RemoteDesktopApp {
         return lines.join('\n');
     }
     
-    handleLocalIceCandidate(event) {
+    handleLocalIceCandidate(event, peerId) {
         if (event.candidate) {
-            this.debug('Sending ICE candidate');
+            this.debug(`Sending ICE candidate to ${peerId}`);
             this.sendMessage({
                 type: 'ice-candidate',
                 candidate: event.candidate,
-                targetId: this.connectedPeerId
+                targetId: peerId
             });
         }
     }
     
     async handleIceCandidate(data) {
-        if (this.pc) {
+        const pc = this.getPeerConnection(data.fromId);
+        if (pc) {
             try {
-                await this.pc.addIceCandidate(new RTCIceCandidate(data.candidate));
+                await pc.addIceCandidate(new RTCIceCandidate(data.candidate));
                 this.debug('Added ICE candidate');
             } catch (error) {
                 this.debug(`Error adding ICE candidate: ${error}`, 'error');
@@ -687,7 +1475,7 @@ class RemoteDesktopApp {
             
             if (this.role === 'client') {
                 this.updateStatus('Receiving screen share', 'connected');
-                this.controlBtn.disabled = false;
+                this.applyPermission();
                 this.fullscreenBtn.disabled = false;
                 this.videoOverlay.classList.add('hidden');
                 this.showNotification('Connected to host', 'success');
@@ -704,34 +1492,380 @@ class RemoteDesktopApp {
     }
     
     // Connection state handlers
-    handleIceConnectionStateChange() {
-        this.debug(`ICE connection state: ${this.pc.iceConnectionState}`);
+    handleIceConnectionStateChange(pc, peerId) {
+        this.debug(`ICE connection state (${peerId}): ${pc.iceConnectionState}`);
         
-        if (this.pc.iceConnectionState === 'connected' || this.pc.iceConnectionState === 'completed') {
+        if (pc.iceConnectionState === 'connected' || pc.iceConnectionState === 'completed') {
             this.updateStatus('Peer connection established', 'connected');
         }
     }
     
-    handleConnectionStateChange() {
-        this.debug(`Connection state: ${this.pc.connectionState}`);
+    handleConnectionStateChange(pc, peerId) {
+        this.debug(`Connection state (${peerId}): ${pc.connectionState}`);
+        
+        if (this.role === 'host') {
+            this.renderViewerList();
+        }
         
-        if (this.pc.connectionState === 'connected') {
+        if (pc.connectionState === 'connected') {
             this.updateStatus('Peer connection established', 'connected');
-        } else if (this.pc.connectionState === 'failed') {
+        } else if (pc.connectionState === 'failed') {
             this.updateStatus('Peer connection failed', 'error');
+            
+            // Retrying WebRTC would most likely fail again, but the WebSocket works
+            if (this.config.fallback.enabled) {
+                if (this.role === 'host' && this.localStream && this.peers.get(peerId) === pc) {
+                    this.startFrameStream(peerId);
+                } else if (this.role === 'client') {
+                    this.showNotification('Direct connection failed, waiting for frames over the server', 'info');
+                }
+                return;
+            }
+            
             this.showNotification('Connection failed', 'error');
             
-            // Attempt reconnection
+            // Attempt reconnection to this viewer only
             setTimeout(() => {
-                if (this.role === 'host' && this.localStream && this.connectedPeerId) {
-                    this.pc.close();
-                    this.createPeerConnection();
-                    this.createAndSendOffer();
+                if (this.role === 'host' && this.localStream && this.peers.get(peerId) === pc) {
+                    this.createPeerConnection(peerId);
+                    this.createAndSendOffer(peerId);
                 }
             }, 2000);
         }
     }
     
+    // Host: stream the capture to a viewer as image tiles over the WebSocket
+    startFrameStream(peerId) {
+        const stream = this.frameStream;
+        this.closePeerConnection(peerId);
+        stream.viewers.add(peerId);
+        stream.keyframeNeeded = true;
+        
+        this.debug(`WebRTC to viewer ${peerId} failed, streaming frames over the WebSocket`);
+        this.showNotification(`Streaming to ${this.viewers.get(peerId)?.name || `viewer ${peerId}`} over the server`, 'info');
+        this.sendMessage({ type: 'stream-start', targetId: peerId });
+        this.renderViewerList();
+        
+        if (!stream.video) {
+            stream.video = document.createElement('video');
+            stream.video.muted = true;
+            stream.video.playsInline = true;
+            stream.canvas = document.createElement('canvas');
+            stream.context = stream.canvas.getContext('2d', { willReadFrequently: true });
+            stream.tileCanvas = document.createElement('canvas');
+            stream.tileContext = stream.tileCanvas.getContext('2d');
+            
+            // WebP where the browser can encode it, JPEG otherwise
+            const probe = document.createElement('canvas');
+            probe.width = probe.height = 1;
+            stream.format = probe.toDataURL('image/webp').startsWith('data:image/webp') ? 'image/webp' : 'image/jpeg';
+        }
+        if (stream.video.srcObject !== this.localStream) {
+            stream.video.srcObject = this.localStream;
+            stream.video.play().catch(error => this.debug(`Error playing capture for streaming: ${error}`, 'error'));
+        }
+        if (!stream.timer) {
+            stream.intervalMs = 1000 / this.config.fallback.maxFrameRate;
+            this.scheduleStreamFrame(0);
+        }
+    }
+    
+    stopFrameStream(peerId, notify = true) {
+        const stream = this.frameStream;
+        if (!stream.viewers.delete(peerId)) return;
+        
+        if (notify) {
+            this.sendMessage({ type: 'stream-stop', targetId: peerId });
+        }
+        if (stream.viewers.size === 0) {
+            clearTimeout(stream.timer);
+            stream.timer = null;
+            stream.previous = null;
+            if (stream.video) stream.video.srcObject = null;
+        }
+        this.renderViewerList();
+    }
+    
+    scheduleStreamFrame(delayMs) {
+        this.frameStream.timer = setTimeout(() => this.sendStreamFrame(), delayMs);
+    }
+    
+    // One tick of the frame stream. The interval adapts to how much is still
+    // waiting on the socket, and the message count stays below the server's rate limit.
+    async sendStreamFrame() {
+        const stream = this.frameStream;
+        stream.timer = null;
+        if (stream.viewers.size === 0 || !this.localStream) return;
+        
+        // Frames cannot be sent while reconnecting; the viewers need a full picture after
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            stream.keyframeNeeded = true;
+            this.scheduleStreamFrame(STREAM_MAX_INTERVAL_MS);
+            return;
+        }
+        
+        const buffered = this.ws.bufferedAmount;
+        if (buffered > STREAM_HIGH_WATER_BYTES) {
+            stream.intervalMs = Math.min(STREAM_MAX_INTERVAL_MS, stream.intervalMs * 2);
+            this.scheduleStreamFrame(stream.intervalMs);
+            return;
+        }
+        if (buffered < STREAM_LOW_WATER_BYTES) {
+            stream.intervalMs = Math.max(1000 / this.config.fallback.maxFrameRate, stream.intervalMs * 0.8);
+        }
+        
+        const startedAt = performance.now();
+        let messages = 0;
+        try {
+            messages = await this.encodeStreamFrame();
+        } catch (error) {
+            this.debug(`Error encoding frame: ${error}`, 'error');
+        }
+        
+        // Sending twice the messages needs twice the time under the rate limit
+        const pacingMs = (messages * 1000) / (this.limits.streamMessagesPerSecond * 0.8);
+        this.scheduleStreamFrame(Math.max(stream.intervalMs, pacingMs) - (performance.now() - startedAt));
+    }
+    
+    // Encode the tiles that changed since the last frame (all of them for a
+    // keyframe) and send them. Returns the number of messages sent.
+    async encodeStreamFrame() {
+        const stream = this.frameStream;
+        const video = stream.video;
+        if (!video.videoWidth || !video.videoHeight) return 0;
+        
+        const scale = Math.min(1, STREAM_MAX_DIMENSION / Math.max(video.videoWidth, video.videoHeight));
+        const width = Math.round(video.videoWidth * scale);
+        const height = Math.round(video.videoHeight * scale);
+        if (stream.canvas.width !== width || stream.canvas.height !== height) {
+            stream.canvas.width = width;
+            stream.canvas.height = height;
+            stream.previous = null;
+        }
+        
+        stream.context.drawImage(video, 0, 0, width, height);
+        const pixels = new Uint32Array(stream.context.getImageData(0, 0, width, height).data.buffer);
+        const keyframe = stream.keyframeNeeded || !stream.previous;
+        const previous = stream.previous;
+        stream.keyframeNeeded = false;
+        
+        const maxTileBytes = this.limits.maxMessageBytes - STREAM_HEADER_BYTES - STREAM_TILE_HEADER_BYTES;
+        const tiles = [];
+        for (let y = 0; y < height; y += STREAM_TILE_SIZE) {
+            for (let x = 0; x < width; x += STREAM_TILE_SIZE) {
+                const tile = { x, y, width: Math.min(STREAM_TILE_SIZE, width - x), height: Math.min(STREAM_TILE_SIZE, height - y) };
+                if (!keyframe && !this.isTileChanged(pixels, previous, width, tile)) continue;
+                
+                tile.bytes = await this.encodeTile(tile, this.config.fallback.quality);
+                if (tile.bytes.length > maxTileBytes) {
+                    tile.bytes = await this.encodeTile(tile, this.config.fallback.quality / 3);
+                }
+                if (tile.bytes.length > maxTileBytes) {
+                    // Too detailed for one message: keep the old pixels so it is retried
+                    this.copyTile(previous, pixels, width, tile);
+                    continue;
+                }
+                tiles.push(tile);
+            }
+        }
+        stream.previous = pixels;
+        if (tiles.length === 0) return 0;
+        
+        stream.frameNumber++;
+        return this.sendStreamTiles(tiles, keyframe, width, height);
+    }
+    
+    isTileChanged(pixels, previous, width, tile) {
+        for (let row = tile.y; row < tile.y + tile.height; row++) {
+            const start = row * width + tile.x;
+            for (let index = start; index < start + tile.width; index++) {
+                if (pixels[index] !== previous[index]) return true;
+            }
+        }
+        return false;
+    }
+    
+    // Copy a tile's pixels from one picture to another (zeros without a source)
+    copyTile(from, to, width, tile) {
+        for (let row = tile.y; row < tile.y + tile.height; row++) {
+            const start = row * width + tile.x;
+            if (from) {
+                to.set(from.subarray(start, start + tile.width), start);
+            } else {
+                to.fill(0, start, start + tile.width);
+            }
+        }
+    }
+    
+    async encodeTile(tile, quality) {
+        const stream = this.frameStream;
+        stream.tileCanvas.width = tile.width;
+        stream.tileCanvas.height = tile.height;
+        stream.tileContext.drawImage(stream.canvas, tile.x, tile.y, tile.width, tile.height, 0, 0, tile.width, tile.height);
+        
+        const blob = await new Promise(resolve => stream.tileCanvas.toBlob(resolve, stream.format, quality));
+        return new Uint8Array(await blob.arrayBuffer());
+    }
+    
+    // Pack tiles into as few messages as the server's size limit allows
+    sendStreamTiles(tiles, keyframe, width, height) {
+        const stream = this.frameStream;
+        const batches = [[]];
+        let size = STREAM_HEADER_BYTES;
+        tiles.forEach(tile => {
+            const tileSize = STREAM_TILE_HEADER_BYTES + tile.bytes.length;
+            if (size + tileSize > this.limits.maxMessageBytes) {
+                batches.push([]);
+                size = STREAM_HEADER_BYTES;
+            }
+            batches[batches.length - 1].push(tile);
+            size += tileSize;
+        });
+        
+        batches.forEach(batch => {
+            const length = batch.reduce((total, tile) => total + STREAM_TILE_HEADER_BYTES + tile.bytes.length, STREAM_HEADER_BYTES);
+            const buffer = new ArrayBuffer(length);
+            const view = new DataView(buffer);
+            const bytes = new Uint8Array(buffer);
+            
+            view.setUint8(0, STREAM_FRAME_KIND);
+            view.setUint8(1, keyframe ? STREAM_FLAG_KEYFRAME : 0);
+            view.setUint16(2, width);
+            view.setUint16(4, height);
+            view.setUint32(6, stream.frameNumber);
+            view.setUint16(10, batch.length);
+            
+            let offset = STREAM_HEADER_BYTES;
+            batch.forEach(tile => {
+                view.setUint16(offset, tile.x);
+                view.setUint16(offset + 2, tile.y);
+                view.setUint16(offset + 4, tile.width);
+                view.setUint16(offset + 6, tile.height);
+                view.setUint32(offset + 8, tile.bytes.length);
+                bytes.set(tile.bytes, offset + STREAM_TILE_HEADER_BYTES);
+                offset += STREAM_TILE_HEADER_BYTES + tile.bytes.length;
+            });
+            
+            this.ws.send(buffer);
+            stream.bytes += length;
+        });
+        stream.frames++;
+        return batches.length;
+    }
+    
+    // Viewer: the host streams frames because our peer connection failed
+    handleStreamStart(data) {
+        if (this.role !== 'client') return;
+        
+        const stream = this.frameStream;
+        if (this.pc) {
+            this.pc.close();
+            this.pc = null;
+        }
+        this.connectedPeerId = data.fromId;
+        
+        if (!stream.canvas) {
+            stream.canvas = document.createElement('canvas');
+            stream.canvas.id = 'streamCanvas';
+            stream.context = stream.canvas.getContext('2d');
+            this.remoteVideo.after(stream.canvas);
+        }
+        stream.active = true;
+        stream.lastFrameNumber = null;
+        stream.canvas.hidden = false;
+        this.remoteVideo.hidden = true;
+        
+        this.debug('Receiving frames over the WebSocket');
+        this.updateStatus('Receiving screen share over the server', 'connected');
+        this.applyPermission();
+        this.fullscreenBtn.disabled = false;
+        this.videoOverlay.classList.add('hidden');
+        this.showNotification('Connected to host (frames over the server)', 'success');
+        this.resizeCanvas();
+        this.startStatsMonitoring();
+    }
+    
+    hideFrameStream() {
+        const stream = this.frameStream;
+        if (!stream.active) return;
+        
+        stream.active = false;
+        stream.canvas.hidden = true;
+        this.remoteVideo.hidden = false;
+        this.resizeCanvas();
+    }
+    
+    // Viewer: draw one frame-stream message. Tiles are drawn in arrival order,
+    // so decoding is chained.
+    handleStreamFrame(buffer) {
+        const stream = this.frameStream;
+        if (!stream.active || buffer.byteLength < STREAM_HEADER_BYTES) return;
+        
+        const view = new DataView(buffer);
+        if (view.getUint8(0) !== STREAM_FRAME_KIND) return;
+        
+        const width = view.getUint16(2);
+        const height = view.getUint16(4);
+        const frameNumber = view.getUint32(6);
+        const tiles = [];
+        let offset = STREAM_HEADER_BYTES;
+        for (let index = view.getUint16(10); index > 0; index--) {
+            const length = view.getUint32(offset + 8);
+            tiles.push({
+                x: view.getUint16(offset),
+                y: view.getUint16(offset + 2),
+                blob: new Blob([new Uint8Array(buffer, offset + STREAM_TILE_HEADER_BYTES, length)])
+            });
+            offset += STREAM_TILE_HEADER_BYTES + length;
+        }
+        
+        stream.bytes += buffer.byteLength;
+        if (view.getUint8(1) & STREAM_FLAG_KEYFRAME) {
+            stream.keyframeRequested = false;
+        }
+        if (frameNumber !== stream.lastFrameNumber) {
+            stream.frames++;
+            stream.lastFrameNumber = frameNumber;
+        }
+        
+        stream.drawing = stream.drawing.then(async () => {
+            const bitmaps = await Promise.all(tiles.map(tile => createImageBitmap(tile.blob)));
+            if (stream.canvas.width !== width || stream.canvas.height !== height) {
+                stream.canvas.width = width;
+                stream.canvas.height = height;
+                this.resizeCanvas();
+            }
+            bitmaps.forEach((bitmap, index) => {
+                stream.context.drawImage(bitmap, tiles[index].x, tiles[index].y);
+                bitmap.close();
+            });
+        }).catch(error => {
+            // Later tiles only update what changed, so start over from a full picture
+            this.debug(`Error drawing frame: ${error}`, 'error');
+            if (!stream.keyframeRequested) {
+                stream.keyframeRequested = true;
+                this.sendMessage({ type: 'stream-keyframe', targetId: this.connectedPeerId });
+            }
+        });
+    }
+    
+    // Frame rate, bitrate and size of the frame stream since the last sample
+    sampleFrameStreamStats() {
+        const stream = this.frameStream;
+        const now = performance.now();
+        const seconds = stream.sampledAt ? (now - stream.sampledAt) / 1000 : 0;
+        const stats = {
+            fps: seconds ? Math.round(stream.frames / seconds) : 0,
+            bitrate: seconds ? Math.round((stream.bytes * 8) / seconds / 1000) : 0,
+            resolution: stream.canvas ? `${stream.canvas.width}x${stream.canvas.height}` : 'N/A',
+            buffered: this.ws ? Math.round(this.ws.bufferedAmount / 1024) : 0
+        };
+        stream.frames = 0;
+        stream.bytes = 0;
+        stream.sampledAt = now;
+        return stats;
+    }
+    
     // Control handling
     handleMouseMove(event) {
         if (!this.isControlEnabled) return;
@@ -773,16 +1907,16 @@ class RemoteDesktopApp {
             // Performance optimization: Use binary format for mouse moves when possible
             if (this.mouseBinaryEnabled && this.ws && this.ws.readyState === WebSocket.OPEN) {
                 // Pack the x,y coordinates into a binary buffer
-                this.mouseMoveView[0] = latest.x;
-                this.mouseMoveView[1] = latest.y;
+                this.mouseMoveView[0] = clamp(latest.x, 0, 1);
+                this.mouseMoveView[1] = clamp(latest.y, 0, 1);
                 this.ws.send(this.mouseMoveBuffer);
             } else {
                 // Fallback to JSON for browsers that don't support binary websockets
                 this.sendControlCommand('mousemove', {
                     x: latest.x,
                     y: latest.y,
-                    deltaX: latest.deltaX * this.config.controlSensitivity,
-                    deltaY: latest.deltaY * this.config.controlSensitivity,
+                    deltaX: clamp(latest.deltaX * this.config.controlSensitivity, -1, 1),
+                    deltaY: clamp(latest.deltaY * this.config.controlSensitivity, -1, 1),
                     relative: true
                 });
             }
@@ -869,7 +2003,7 @@ class RemoteDesktopApp {
     
     // New keyboard event handlers
     handleKeyDown(event) {
-        if (!this.isControlEnabled) return;
+        if (!this.isControlEnabled || !this.canSendKey(event)) return;
         
         // Show visual feedback
         this.showKeyPress(event.key);
@@ -895,7 +2029,7 @@ class RemoteDesktopApp {
     }
     
     handleKeyUp(event) {
-        if (!this.isControlEnabled) return;
+        if (!this.isControlEnabled || !this.canSendKey(event)) return;
         
         // Always prevent default to avoid unexpected behavior
         event.preventDefault();
@@ -1020,6 +2154,10 @@ class RemoteDesktopApp {
     }
     
     sendControlCommand(action, data) {
+        // The server rejects coordinates outside the video (0-1), so clamp edge drags
+        if (data.x !== undefined) data.x = clamp(data.x, 0, 1);
+        if (data.y !== undefined) data.y = clamp(data.y, 0, 1);
+        
         this.sendMessage({
             type: 'control',
             action: action,
@@ -1074,11 +2212,21 @@ class RemoteDesktopApp {
     }
     
     async updateStats() {
-        if (!this.pc) return;
+        const streaming = this.role === 'host' ? this.frameStream.viewers.size : this.frameStream.active;
+        const frameStream = streaming ? this.sampleFrameStreamStats() : null;
+        
+        // Host shows stats for the first viewer connection
+        const pc = this.role === 'host' ? this.peers.values().next().value : this.pc;
+        if (!pc) {
+            if (frameStream) this.displayStats({ transport: 'WebSocket (fallback)', frameStream });
+            return;
+        }
         
         try {
-            const stats = await this.pc.getStats();
+            const stats = await pc.getStats();
             const statsData = this.processStats(stats);
+            statsData.transport = streaming ? `WebRTC, WebSocket for ${streaming} viewer(s)` : 'WebRTC';
+            statsData.frameStream = frameStream;
             this.displayStats(statsData);
         } catch (error) {
             this.debug(`Error getting stats: ${error}`, 'error');
@@ -1186,16 +2334,25 @@ class RemoteDesktopApp {
         
         statsContainer.style.display = 'block';
         
-        let html = '';
+        let html = `<div>Transport:</div><div>${stats.transport}</div>`;
         
-        if (this.role === 'host' && stats.video.outbound) {
+        if (stats.frameStream && !stats.video) {
+            html += `
+                <div>FPS:</div><div>${stats.frameStream.fps}</div>
+                <div>Resolution:</div><div>${stats.frameStream.resolution}</div>
+                <div>Bitrate:</div><div>${stats.frameStream.bitrate} Kbps</div>
+            `;
+            if (this.role === 'host') {
+                html += `<div>Socket Backlog:</div><div>${stats.frameStream.buffered} KB</div>`;
+            }
+        } else if (this.role === 'host' && stats.video.outbound) {
             html += `
                 <div>FPS:</div><div>${stats.video.outbound.fps || 'N/A'}</div>
                 <div>Resolution:</div><div>${stats.video.outbound.resolution || 'N/A'}</div>
                 <div>Bitrate:</div><div>${stats.video.outbound.bitrate || 0} Kbps</div>
                 <div>Frames Sent:</div><div>${stats.video.outbound.framesSent || 0}</div>
             `;
-        } else if (this.role === 'client' && stats.video.inbound) {
+        } else if (this.role === 'client' && stats.video && stats.video.inbound) {
             html += `
                 <div>FPS:</div><div>${stats.video.inbound.fps || 'N/A'}</div>
                 <div>Resolution:</div><div>${stats.video.inbound.resolution || 'N/A'}</div>
@@ -1243,7 +2400,8 @@ class RemoteDesktopApp {
     
     // Utility methods
     resizeCanvas() {
-        const rect = this.remoteVideo.getBoundingClientRect();
+        const media = this.frameStream.active ? this.frameStream.canvas : this.remoteVideo;
+        const rect = media.getBoundingClientRect();
         this.controlCanvas.width = rect.width;
         this.controlCanvas.height = rect.height;
     }
@@ -1319,6 +2477,12 @@ class RemoteDesktopApp {
             this.pc = null;
         }
         
+        this.peers.forEach(pc => pc.close());
+        this.peers.clear();
+        
+        this.frameStream.viewers.forEach(id => this.stopFrameStream(id, false));
+        this.hideFrameStream();
+        
         if (this.localStream) {
             this.localStream.getTracks().forEach(track => track.stop());
             this.localStream = null;
@@ -1343,6 +2507,24 @@ class RemoteDesktopApp {
         this.showNotification('Host disconnected', 'error');
     }
     
+    handleServerError(data) {
+        this.debug(`Server error [${data.code}]: ${data.message}`, 'error');
+        
+        if (data.code === 'resume-failed') {
+            this.handleResumeFailed();
+            return;
+        }
+        
+        if (data.code === 'unsupported-version') {
+            this.updateStatus('Client out of date', 'error');
+            this.showNotification('This page is out of date for the server. Reload to update it.', 'error');
+        } else if (PROTOCOL_ERROR_CODES.includes(data.code)) {
+            this.showNotification(`Server rejected a message (${data.code}): ${data.message}`, 'error');
+        } else {
+            this.showNotification(data.message, 'error');
+        }
+    }
+    
     handleServerShutdown() {
         this.debug('Server shutting down');
         this.updateStatus('Server shutting down', 'error');
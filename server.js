@@ -1,89 +1,317 @@
 const WebSocket = require('ws');
 const http = require('http');
-const fs = require('fs');
+const https = require('https');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
+const protocol = require('./lib/protocol');
+const tls = require('./lib/tls');
+const staticFiles = require('./lib/static');
+const adminApiModule = require('./lib/admin-api');
+const adminChannelModule = require('./lib/admin-channel');
+const metricsModule = require('./lib/metrics');
+const { createLogger } = require('./lib/logger');
+const configModule = require('./lib/config');
+const auditModule = require('./lib/audit');
+const { createRateLimiter } = require('./lib/rate-limit');
+const { createIpFilter } = require('./lib/ip-filter');
+const { createTurnRelay } = require('./lib/turn');
+const { createHeadlessHost } = require('./lib/headless-host');
+const { createCaptureSource } = require('./lib/capture');
+const { createInputBackend, parseScreenSize } = require('./lib/input');
+const packageInfo = require('./package.json');
 
-// Try to load robotjs - if it fails, we'll work without it
-let robot = null;
+// Effective configuration: defaults < config file < environment < CLI flags
+let config;
+let configSources;
+let configPath;
 try {
-    robot = require('robotjs');
-    console.log('✅ RobotJS loaded successfully');
+    const loaded = configModule.loadConfig();
+    if (loaded.help) {
+        console.log(configModule.usage());
+        process.exit(0);
+    }
+    ({ config, sources: configSources, configPath } = loaded);
 } catch (error) {
-    console.log('⚠️  RobotJS not available - remote control will be simulated');
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+// Pressed keys are redacted from the logs unless logging.logKeys is set
+const logger = createLogger({
+    level: config.logging.level,
+    subsystems: config.logging.subsystems,
+    format: config.logging.format,
+    file: config.logging.file,
+    maxFileBytes: config.logging.maxFileBytes,
+    maxFiles: config.logging.maxFiles,
+    redactKeys: !config.logging.logKeys
+});
+
+const serverLog = logger.child('server');
+const signalingLog = logger.child('signaling');
+const controlLog = logger.child('control');
+const inputLog = logger.child('input');
+const httpLog = logger.child('http');
+const adminLog = logger.child('admin');
+const turnLog = logger.child('turn');
+const headlessLog = logger.child('headless');
+
+// Tamper-evident audit trail of who controlled which machine and when
+let audit = null;
+if (config.audit.enabled && config.audit.file) {
+    try {
+        audit = auditModule.createAuditLog({ file: config.audit.file, log: serverLog });
+        audit.record('server-started', { version: packageInfo.version });
+    } catch (error) {
+        serverLog.error(`Cannot open the audit log: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Load the input backend - if it fails, we'll work without it
+let inputBackend = null;
+if (!config.input.enabled) {
+    inputLog.info('Input injection disabled - remote control will be simulated');
+} else {
+    try {
+        inputBackend = createInputBackend(config.input.backend, {
+            screenSize: config.input.screenSize ? parseScreenSize(config.input.screenSize) : null,
+            onError: (error) => {
+                inputErrorsTotal.inc();
+                inputLog.error('Input backend error', { error });
+            },
+            log: inputLog
+        });
+        inputLog.info(`Input backend '${inputBackend.name}' loaded`);
+    } catch (error) {
+        inputLog.warn(`Input backend '${config.input.backend}' not available - remote control will be simulated: ${error.message}`);
+    }
+}
+
+const PORT = config.port;
+const HOST = config.host;
+
+// Embedded STUN/TURN relay for networks without a usable path between peers;
+// started once the HTTP server listens
+const turnRelay = config.turn.enabled ? createTurnRelay({ ...config.turn, log: turnLog }) : null;
+
+// Unattended host in this process, registered like a page host over a
+// loopback socket; started once the HTTP server listens. The socket goes
+// straight to the connection handler and so bypasses the upgrade checks:
+// access lists, allowed origins and connections per IP.
+const HEADLESS_SESSION_CODE = config.headless.enabled ? normalizeSessionCode(config.headless.sessionCode) : null;
+const HEADLESS_NAME = config.headless.name || os.hostname();
+let headlessHost = null;
+if (config.headless.enabled) {
+    let capture;
+    try {
+        capture = createCaptureSource(config.headless.capture);
+    } catch (error) {
+        headlessLog.error(`Cannot start the headless host: ${error.message}`);
+        process.exit(1);
+    }
+    headlessHost = createHeadlessHost({
+        connect: (socket) => wss.emit('connection', socket, { socket: { remoteAddress: '127.0.0.1' }, headers: { host: 'localhost' } }),
+        capture: capture,
+        pin: config.headless.pin,
+        permission: config.headless.permission,
+        frameRate: config.headless.frameRate,
+        log: headlessLog
+    });
 }
 
-// Use environment variable or default port
-const PORT = process.env.PORT || 9000;
+// HTTPS/WSS mode, needed for screen sharing from anywhere but localhost. Uses
+// tls.cert/tls.key when given, otherwise a self-signed certificate kept in tls.dir.
+const USE_HTTPS = config.tls.enabled;
+const TLS_DIR = config.tls.dir;
+const HTTP_SCHEME = USE_HTTPS ? 'https' : 'http';
+
+// Heartbeat: every socket is pinged each interval and terminated after missing
+// this many pings in a row, so a sleeping host is dropped within seconds
+const HEARTBEAT_INTERVAL_MS = config.heartbeat.intervalMs;
+const HEARTBEAT_MAX_MISSED = config.heartbeat.maxMissed;
+
+// How long a disconnected client keeps its ID, role, room and pairings while
+// it may reconnect with its resume token
+const RESUME_GRACE_MS = config.sessions.resumeGraceMs;
+
+// Bearer token for the admin API; a random one is generated (and printed at
+// startup) when none is configured
+const ADMIN_TOKEN = config.admin.token || crypto.randomBytes(24).toString('hex');
+const ADMIN_TOKEN_GENERATED = !config.admin.token;
+
+const SERVER_STARTED_AT = Date.now();
+
+// Optional bearer token for /metrics; the endpoint is open when this is unset
+const METRICS_TOKEN = config.metrics.token;
+
+// Browser client files; nothing outside this directory is ever served
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const serveStatic = staticFiles.createStaticHandler({ root: PUBLIC_DIR, log: httpLog });
+
+const adminApi = adminApiModule.createAdminApi({
+    token: ADMIN_TOKEN,
+    log: adminLog,
+    actions: {
+        getHealth: adminGetHealth,
+        listSessions: adminListSessions,
+        kickSession: adminKickSession,
+        revokeControl: adminRevokeControl,
+        exportAudit: adminExportAudit,
+        verifyAudit: adminVerifyAudit,
+        listInputActions: adminListInputActions
+    }
+});
 
-// Create HTTP server to serve static files
-const server = http.createServer((req, res) => {
-    // Print request info for debugging
-    console.log(`Received request for: ${req.url} from ${req.socket.remoteAddress}`);
+function handleHttpRequest(req, res) {
+    // Access log, written once the response is complete
+    const startedAt = Date.now();
+    res.on('finish', () => {
+        httpLog.info(`${req.method} ${req.url} ${res.statusCode}`, {
+            ip: req.socket.remoteAddress,
+            durationMs: Date.now() - startedAt
+        });
+    });
     
-    // Handle static file requests
-    let filePath = '.' + req.url;
-    if (filePath === './') {
-        filePath = './index.html';
+    if (isAddressRefused(req, 'http')) {
+        res.writeHead(403, { 'Content-Type': 'text/plain' });
+        res.end('Forbidden');
+        return;
     }
     
-    // Get the file extension
-    const extname = path.extname(filePath);
-    let contentType = 'text/html';
+    if (req.url === '/metrics' || req.url.startsWith('/metrics?')) {
+        handleMetricsRequest(req, res);
+        return;
+    }
     
-    // Set proper content type
-    switch (extname) {
-        case '.js':
-            contentType = 'text/javascript';
-            break;
-        case '.css':
-            contentType = 'text/css';
-            break;
-        case '.json':
-            contentType = 'application/json';
-            break;
-        case '.png':
-            contentType = 'image/png';
-            break;
-        case '.jpg':
-        case '.jpeg':
-            contentType = 'image/jpeg';
-            break;
+    if (req.url === '/api/client-config' || req.url.startsWith('/api/client-config?')) {
+        handleClientConfigRequest(req, res);
+        return;
     }
     
-    // Read the file
-    fs.readFile(filePath, (error, content) => {
-        if (error) {
-            if (error.code === 'ENOENT') {
-                // File not found - handle app.js specially
-                if (filePath === './app.js') {
-                    fs.readFile('./app.js', (err, data) => {
-                        if (err) {
-                            res.writeHead(404);
-                            res.end('app.js not found');
-                            return;
-                        }
-                        res.writeHead(200, { 'Content-Type': 'text/javascript' });
-                        res.end(data, 'utf-8');
-                    });
-                    return;
-                }
-                
-                res.writeHead(404);
-                res.end(`File not found: ${filePath}`);
-            } else {
-                res.writeHead(500);
-                res.end(`Server error: ${error.code}`);
-            }
-        } else {
-            res.writeHead(200, { 'Content-Type': contentType });
-            res.end(content, 'utf-8');
+    if (adminApi.handle(req, res)) return;
+    
+    serveStatic(req, res);
+}
+
+// Load the certificate for HTTPS mode, generating a self-signed one if needed
+function loadTlsCredentials() {
+    try {
+        const credentials = tls.loadCredentials({
+            certPath: config.tls.cert,
+            keyPath: config.tls.key,
+            dir: TLS_DIR,
+            hostnames: ['localhost', os.hostname()],
+            ips: ['127.0.0.1', ...getLocalIPs()]
+        });
+        
+        if (credentials.generated) {
+            serverLog.info(`Generated a self-signed certificate in ${TLS_DIR}`);
         }
-    });
+        return credentials;
+    } catch (error) {
+        serverLog.error(`Could not load the TLS certificate: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Create the HTTP(S) server
+const tlsCredentials = USE_HTTPS ? loadTlsCredentials() : null;
+const server = USE_HTTPS
+    ? https.createServer({ cert: tlsCredentials.cert, key: tlsCredentials.key }, handleHttpRequest)
+    : http.createServer(handleHttpRequest);
+
+// Create WebSocket servers: the admin dashboard channel on its own path and
+// signaling on every other path
+const ADMIN_WS_PATH = '/admin/ws';
+const wss = new WebSocket.Server({ noServer: true, maxPayload: config.limits.maxMessageBytes });
+
+const adminChannel = adminChannelModule.createAdminChannel({
+    token: ADMIN_TOKEN,
+    getSnapshot: getAdminSnapshot,
+    log: adminLog,
+    actions: {
+        'kick-client': dashboardKickClient,
+        'end-session': dashboardEndSession,
+        'revoke-control': dashboardRevokeControl
+    }
 });
 
-// Create WebSocket server
-const wss = new WebSocket.Server({ server });
+// Host name from the request's Host header, falling back to the local address
+function getRequestHost(req) {
+    try {
+        return new URL(`http://${req.headers.host}`).hostname;
+    } catch (error) {
+        const address = (req.socket.localAddress || '127.0.0.1').replace(/^::ffff:/, '');
+        return address.includes(':') ? `[${address}]` : address;
+    }
+}
+
+// Access lists: denied addresses are always refused, and so are addresses
+// outside the allowed set unless access.enforce is off
+const ipFilter = createIpFilter(config.access);
+
+function isAddressRefused(req, kind) {
+    const verdict = ipFilter.check(req.socket.remoteAddress);
+    if (verdict === 'allowed' || (verdict === 'outside' && !config.access.enforce)) return false;
+    
+    const log = kind === 'http' ? httpLog : signalingLog;
+    log.warn(`Refused ${kind === 'http' ? 'request' : 'WebSocket'} from ${req.socket.remoteAddress} (${verdict === 'denied' ? 'denied' : 'not in the allowed set'})`);
+    accessRefusedTotal.inc({ kind });
+    return true;
+}
+
+// With allowedOrigins set, browsers on other sites may not open a socket.
+// The server's own pages are always allowed, and so are non-browser clients,
+// which send no Origin header.
+function isOriginAllowed(req) {
+    const origin = req.headers.origin;
+    if (!origin || config.allowedOrigins.length === 0) return true;
+    if (config.allowedOrigins.includes(origin)) return true;
+    
+    try {
+        return new URL(origin).host === req.headers.host;
+    } catch (error) {
+        return false;
+    }
+}
+
+server.on('upgrade', (req, socket, head) => {
+    if (isAddressRefused(req, 'websocket')) {
+        socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+        return;
+    }
+    
+    if (!isOriginAllowed(req)) {
+        signalingLog.warn(`Rejected WebSocket from origin ${req.headers.origin} (${req.socket.remoteAddress})`);
+        socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+        return;
+    }
+    
+    let pathname = null;
+    try {
+        pathname = new URL(req.url, 'http://localhost').pathname;
+    } catch (error) {
+        // Treat unparseable URLs as signaling connections
+    }
+    
+    if (pathname === ADMIN_WS_PATH) {
+        adminChannel.handleUpgrade(req, socket, head);
+        return;
+    }
+    
+    const ip = req.socket.remoteAddress;
+    const maxPerIp = config.limits.maxConnectionsPerIp;
+    if (maxPerIp > 0 && (connectionsPerIp.get(ip) || 0) >= maxPerIp) {
+        signalingLog.warn(`Rejected WebSocket from ${ip}: ${maxPerIp} connections already open`);
+        floodProtectionTotal.inc({ reason: 'too-many-connections' });
+        socket.end('HTTP/1.1 429 Too Many Requests\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+        return;
+    }
+    
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+});
 
 // Store connected clients
 const clients = new Map();
@@ -93,27 +321,168 @@ let clientIdCounter = 0;
 const hosts = new Map();
 const viewers = new Map();
 
-// Performance optimization: Direct peer references
-const clientPeers = new Map(); // Maps clientId to their peer's client object
+// Store sessions (rooms) by their shareable code
+const sessions = new Map();
+
+// Session code alphabet: no I/O/0/1 so codes can be read out loud and typed safely
+const SESSION_CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const SESSION_CODE_DIGITS = '23456789';
+
+// Resume tokens of registered clients, so a reconnecting socket can reclaim its client
+const resumeTokens = new Map(); // Maps token to client object
+
+// PIN protection: failed attempts per IP and lockout policy
+const pinFailures = new Map(); // Maps IP to { count, lastFailure, lockedUntil }
+const PIN_MAX_ATTEMPTS = config.sessions.pinMaxAttempts;
+const PIN_LOCKOUT_MS = config.sessions.pinLockoutMs;
+
+// Flood protection: open signaling sockets per IP
+const connectionsPerIp = new Map(); // Maps IP to socket count
+
+// Input actions each permission level may send
+const POINTER_ACTIONS = new Set(protocol.POINTER_ACTIONS);
+const KEYBOARD_ACTIONS = new Set(['keydown', 'keyup']);
+
+// Strict pairing: signaling and input are only forwarded between paired clients.
+// A host is paired with each admitted viewer, a viewer only with its host.
+const clientPeers = new Map(); // Maps clientId to a Map of peerId -> peer client object
 
 // Performance optimization: Mouse movement batching
 const mouseState = new Map(); // Track last mouse position for each client
-const MOUSE_THRESHOLD = 2; // Minimum pixel change to process
+const MOUSE_THRESHOLD = config.input.mouseThresholdPx; // Minimum pixel change to process
+const MOUSE_MOVE_INTERVAL_MS = config.input.mouseMoveIntervalMs; // Binary moves closer together are dropped
+const SCROLL = config.input.scroll;
 
 // Performance optimization: Modifier key state caching
 const keyboardState = new Map(); // Track modifier keys state for each client
 
 // Performance optimization: Event priority handling
-const EVENT_PRIORITIES = {
-    'mousemove': 1, // Highest priority (lowest number)
-    'wheel': 2,
-    'mousedown': 3,
-    'mouseup': 3,
-    'click': 4,
-    'rightclick': 4,
-    'keydown': 5,
-    'keyup': 5
-};
+const EVENT_PRIORITIES = config.input.eventPriorities; // Lowest number runs first
+
+// Prometheus metrics served on /metrics
+const metrics = metricsModule.createRegistry();
+
+metrics.gauge({
+    name: 'remote_desktop_clients',
+    help: 'Connected clients by role (unregistered sockets have no role yet)',
+    labelNames: ['role'],
+    collect(gauge) {
+        const counts = { host: 0, client: 0, unregistered: 0 };
+        clients.forEach((client) => {
+            if (!client.suspended) counts[client.role || 'unregistered']++;
+        });
+        Object.entries(counts).forEach(([role, count]) => gauge.set({ role }, count));
+    }
+});
+
+metrics.gauge({
+    name: 'remote_desktop_suspended_clients',
+    help: 'Clients whose socket dropped and that may still resume',
+    collect(gauge) {
+        gauge.set([...clients.values()].filter((client) => client.suspended).length);
+    }
+});
+
+metrics.gauge({
+    name: 'remote_desktop_turn_credentials',
+    help: 'TURN credentials currently valid on the embedded relay',
+    collect(gauge) {
+        gauge.set(turnRelay ? turnRelay.activeCredentials() : 0);
+    }
+});
+
+metrics.gauge({
+    name: 'remote_desktop_sessions',
+    help: 'Active sessions',
+    collect(gauge) {
+        gauge.set(sessions.size);
+    }
+});
+
+const signalingMessagesTotal = metrics.counter({
+    name: 'remote_desktop_signaling_messages_total',
+    help: 'Valid signaling messages received, by type',
+    labelNames: ['type']
+});
+
+const rejectedMessagesTotal = metrics.counter({
+    name: 'remote_desktop_rejected_messages_total',
+    help: 'Messages rejected by protocol validation, by error code',
+    labelNames: ['code']
+});
+
+const controlEventsTotal = metrics.counter({
+    name: 'remote_desktop_control_events_total',
+    help: 'Control events executed on the host, by action',
+    labelNames: ['action']
+});
+
+const controlEventsDroppedTotal = metrics.counter({
+    name: 'remote_desktop_control_events_dropped_total',
+    help: 'Control events dropped, by reason (no-control, not-permitted, throttled, below-threshold, misaddressed)',
+    labelNames: ['reason']
+});
+
+const accessRefusedTotal = metrics.counter({
+    name: 'remote_desktop_access_refused_total',
+    help: 'HTTP requests and WebSocket upgrades refused by the IP access lists, by kind (http, websocket)',
+    labelNames: ['kind']
+});
+
+const streamFramesTotal = metrics.counter({
+    name: 'remote_desktop_stream_frames_total',
+    help: 'Frame-stream messages for viewers on the WebSocket fallback, by result (forwarded, dropped)',
+    labelNames: ['result']
+});
+
+metrics.gauge({
+    name: 'remote_desktop_streaming_viewers',
+    help: 'Viewers receiving frames over the WebSocket instead of WebRTC',
+    collect(gauge) {
+        gauge.set([...clients.values()].filter((client) => client.streaming).length);
+    }
+});
+
+const floodProtectionTotal = metrics.counter({
+    name: 'remote_desktop_flood_protection_total',
+    help: 'Sockets refused or clients disconnected by flood protection, by reason (too-many-connections, rate-limited, queue-full, message-too-large)',
+    labelNames: ['reason']
+});
+
+const inputErrorsTotal = metrics.counter({
+    name: 'remote_desktop_input_errors_total',
+    help: 'Errors from the input backend while executing input'
+});
+
+const controlDurationSeconds = metrics.histogram({
+    name: 'remote_desktop_control_duration_seconds',
+    help: 'Time handleControl takes to forward and execute an input event, by action',
+    labelNames: ['action']
+});
+
+metrics.gauge({
+    name: 'process_resident_memory_bytes',
+    help: 'Resident memory size in bytes',
+    collect(gauge) {
+        gauge.set(process.memoryUsage().rss);
+    }
+});
+
+metrics.gauge({
+    name: 'nodejs_heap_used_bytes',
+    help: 'V8 heap used in bytes',
+    collect(gauge) {
+        gauge.set(process.memoryUsage().heapUsed);
+    }
+});
+
+metrics.gauge({
+    name: 'process_start_time_seconds',
+    help: 'Start time of the process since the Unix epoch in seconds',
+    collect(gauge) {
+        gauge.set(Math.floor(SERVER_STARTED_AT / 1000));
+    }
+});
 
 // Get local IP addresses
 function getLocalIPs() {
@@ -131,27 +500,408 @@ function getLocalIPs() {
     return addresses;
 }
 
+// Generate a random, human-typeable session code (e.g. XKQ-482-PLM)
+function generateSessionCode() {
+    const pick = (alphabet, length) => {
+        let result = '';
+        for (let i = 0; i < length; i++) {
+            result += alphabet[crypto.randomInt(alphabet.length)];
+        }
+        return result;
+    };
+
+    let code;
+    do {
+        code = `${pick(SESSION_CODE_LETTERS, 3)}-${pick(SESSION_CODE_DIGITS, 3)}-${pick(SESSION_CODE_LETTERS, 3)}`;
+    } while (sessions.has(code));
+
+    return code;
+}
+
+// Normalize user input so "xkq 482 plm" and "XKQ482PLM" both match XKQ-482-PLM
+function normalizeSessionCode(input) {
+    const compact = String(input || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (compact.length !== 9) return null;
+
+    return `${compact.slice(0, 3)}-${compact.slice(3, 6)}-${compact.slice(6)}`;
+}
+
+// Create a session (room) owned by a host. The headless host keeps its
+// configured code.
+function createSession(host) {
+    let id = host.headless ? HEADLESS_SESSION_CODE : null;
+    if (id && sessions.has(id)) {
+        signalingLog.warn(`[Client ${host.id}] Session code ${id} is still taken, using a random one`);
+        id = null;
+    }
+    
+    const session = {
+        id: id || generateSessionCode(),
+        // Tells this registration apart from others under the same code in
+        // the audit log
+        instanceId: crypto.randomBytes(4).toString('hex'),
+        host: host,
+        viewers: new Map(),
+        // Viewers waiting for the host to approve their join request
+        pending: new Map(),
+        // SHA-256 of the optional session PIN set by the host
+        pinHash: null,
+        // Viewer currently holding the control floor
+        controllerId: null,
+        // 'ask' forwards control requests to the host, 'auto' grants a free floor
+        controlPolicy: 'ask',
+        createdAt: Date.now()
+    };
+
+    sessions.set(session.id, session);
+    host.session = session;
+
+    return session;
+}
+
+// Remove a viewer from whatever session it is in or waiting for
+function leaveSession(viewer) {
+    const pendingSession = viewer.pendingSession;
+    if (pendingSession) {
+        pendingSession.pending.delete(viewer.id);
+        viewer.pendingSession = null;
+
+        // Let the host dismiss the approval prompt
+        sendToClient(pendingSession.host, {
+            type: 'join-cancelled',
+            clientId: viewer.id
+        });
+    }
+
+    const session = viewer.session;
+    if (!session) return;
+
+    if (session.controllerId === viewer.id) {
+        setController(session, null, 'viewer-left');
+    }
+
+    session.viewers.delete(viewer.id);
+    unpairClient(viewer);
+    revokeTurnCredential(viewer);
+    stopStreaming(viewer);
+    viewer.session = null;
+    viewer.permission = 'view';
+
+    // Let the host tear down the peer connection for this viewer
+    sendToClient(session.host, {
+        type: 'client-left',
+        clientId: viewer.id
+    });
+}
+
+// Close a session and detach all of its viewers
+function endSession(session) {
+    unpairClient(session.host);
+    session.viewers.forEach((viewer) => {
+        stopStreaming(viewer);
+        viewer.session = null;
+    });
+    session.viewers.clear();
+
+    session.pending.forEach((viewer) => {
+        viewer.pendingSession = null;
+    });
+    session.pending.clear();
+
+    sessions.delete(session.id);
+    session.host.session = null;
+}
+
+// Hash a PIN so it is never kept in memory as plain text
+function hashPin(pin) {
+    return crypto.createHash('sha256').update(String(pin)).digest();
+}
+
+// Constant-time comparison of a candidate PIN against a stored hash
+function verifyPin(candidate, pinHash) {
+    return crypto.timingSafeEqual(hashPin(candidate), pinHash);
+}
+
+// Get the active lockout for an IP, if any
+function getPinLockout(ip) {
+    const entry = pinFailures.get(ip);
+    if (!entry) return null;
+
+    const now = Date.now();
+    if (entry.lockedUntil && entry.lockedUntil > now) {
+        return entry;
+    }
+
+    // Forget stale failures once the lockout window has passed
+    if (now - entry.lastFailure > PIN_LOCKOUT_MS) {
+        pinFailures.delete(ip);
+    }
+
+    return null;
+}
+
+// Record a failed PIN attempt and lock the IP out after too many
+function recordPinFailure(ip) {
+    const entry = pinFailures.get(ip) || { count: 0, lastFailure: 0, lockedUntil: 0 };
+    entry.count++;
+    entry.lastFailure = Date.now();
+
+    if (entry.count >= PIN_MAX_ATTEMPTS) {
+        entry.lockedUntil = entry.lastFailure + PIN_LOCKOUT_MS;
+    }
+
+    pinFailures.set(ip, entry);
+    return entry;
+}
+
+// Forget failures from IPs that never checked a PIN again once their lockout
+// window has passed
+function sweepPinFailures() {
+    const now = Date.now();
+    pinFailures.forEach((entry, ip) => {
+        if (entry.lockedUntil <= now && now - entry.lastFailure > PIN_LOCKOUT_MS) {
+            pinFailures.delete(ip);
+        }
+    });
+}
+
+// Build the control floor state shared with everyone in a session
+function getControlState(session) {
+    const controller = session.viewers.get(session.controllerId);
+
+    return {
+        type: 'control-state',
+        controllerId: controller ? controller.id : null,
+        controllerName: controller ? controller.name : null,
+        policy: session.controlPolicy
+    };
+}
+
+// Tell the host and every viewer who currently holds control
+function broadcastControlState(session) {
+    const state = getControlState(session);
+
+    sendToClient(session.host, state);
+    session.viewers.forEach((viewer) => {
+        sendToClient(viewer, state);
+    });
+}
+
+// Write an audit entry about a client (see lib/audit.js); fields may
+// override the client's own sessionId and sessionInstance, e.g. for a session
+// it failed to join
+function recordAudit(event, client, fields = {}) {
+    if (!audit) return;
+    
+    const session = client.session || client.pendingSession;
+    audit.record(event, {
+        sessionId: session ? session.id : undefined,
+        sessionInstance: session ? session.instanceId : undefined,
+        clientId: client.id,
+        role: client.role || undefined,
+        ip: client.ip,
+        ...fields
+    });
+}
+
+// Coarse input activity of a controlling viewer: counts only, never keys
+const ACTIVITY_KINDS = {
+    mousedown: 'clicks',
+    click: 'clicks',
+    rightclick: 'clicks',
+    keydown: 'keys',
+    wheel: 'scrolls',
+    mousemove: 'moves'
+};
+
+function countInputActivity(client, action) {
+    const kind = ACTIVITY_KINDS[action];
+    if (!audit || !kind) return;
+    
+    if (!client.inputActivity) {
+        client.inputActivity = { clicks: 0, keys: 0, scrolls: 0, moves: 0, since: Date.now() };
+    }
+    client.inputActivity[kind]++;
+}
+
+// Audit and reset a client's input counts, if it sent any input
+function flushInputActivity(client) {
+    const activity = client.inputActivity;
+    if (!activity) return;
+    
+    client.inputActivity = null;
+    recordAudit('input-activity', client, {
+        clicks: activity.clicks,
+        keys: activity.keys,
+        scrolls: activity.scrolls,
+        moves: activity.moves,
+        since: new Date(activity.since).toISOString()
+    });
+}
+
+// Hand the control floor to a viewer (or nobody) and announce it. The reason
+// goes to the audit log: auto-granted, granted-by-host, released,
+// revoked-by-host, viewer-left, permission-changed or admin.
+function setController(session, viewer, reason) {
+    const previous = session.viewers.get(session.controllerId);
+    if (previous && previous !== viewer) {
+        releaseHeldKeys(previous);
+        flushInputActivity(previous);
+        recordAudit('control-revoked', previous, { name: previous.name, reason });
+    }
+
+    session.controllerId = viewer ? viewer.id : null;
+    signalingLog.info(`[Session ${session.id}] Control ${viewer ? `granted to ${viewer.id}` : 'released'}`);
+    if (viewer && viewer !== previous) {
+        recordAudit('control-granted', viewer, { name: viewer.name, hostId: session.host.id, permission: viewer.permission, reason });
+    }
+
+    broadcastControlState(session);
+}
+
+// Return the permission level if it is one we know, otherwise null
+function normalizePermission(value) {
+    return protocol.PERMISSION_LEVELS.includes(value) ? value : null;
+}
+
+// Keyboard events only a 'full' viewer may send: the OS/meta key and its
+// shortcuts, plus Ctrl+Alt combinations such as Ctrl+Alt+Delete
+function isSystemKeyEvent(data) {
+    return Boolean(data.metaKey) ||
+        data.key === 'Meta' || data.key === 'OS' ||
+        Boolean(data.ctrlKey && data.altKey);
+}
+
+// Check whether a viewer's permission level allows a control action
+function isActionPermitted(client, data) {
+    switch (client.permission) {
+        case 'pointer':
+            return POINTER_ACTIONS.has(data.action);
+        case 'keyboard':
+            return POINTER_ACTIONS.has(data.action) ||
+                (KEYBOARD_ACTIONS.has(data.action) && !isSystemKeyEvent(data));
+        case 'full':
+            return true;
+        default:
+            return false;
+    }
+}
+
+// Check whether a client currently holds the control floor of its session
+function hasControl(client) {
+    return Boolean(client.session && client.session.controllerId === client.id);
+}
+
+// Get the peers a client is paired with, creating the entry on first use
+function getPeers(client) {
+    if (!clientPeers.has(client.id)) {
+        clientPeers.set(client.id, new Map());
+    }
+    return clientPeers.get(client.id);
+}
+
+// Pair a host with an admitted viewer in both directions
+function pairClients(host, viewer) {
+    getPeers(host).set(viewer.id, viewer);
+    getPeers(viewer).set(host.id, host);
+}
+
+// Remove every pairing a client takes part in
+function unpairClient(client) {
+    const peers = clientPeers.get(client.id);
+    if (!peers) return;
+    
+    peers.forEach((peer) => {
+        const peerPeers = clientPeers.get(peer.id);
+        if (!peerPeers) return;
+        
+        peerPeers.delete(client.id);
+        if (peerPeers.size === 0) {
+            clientPeers.delete(peer.id);
+        }
+    });
+    clientPeers.delete(client.id);
+}
+
 // Handle WebSocket connections
 wss.on('connection', (ws, req) => {
     const clientId = ++clientIdCounter;
     const clientIp = req.socket.remoteAddress;
     
-    console.log(`[Client ${clientId}] Connected from ${clientIp}`);
+    signalingLog.info(`[Client ${clientId}] Connected from ${clientIp}`);
     
-    // Performance optimization: Set binary type for WebSocket
-    ws.binaryType = 'arraybuffer';
+    // Only reachable with access.enforce off; the host is warned about these.
+    // The headless host's loopback socket never went through the access lists.
+    const outsideAllowed = !ws.headless && ipFilter.check(clientIp) !== 'allowed';
+    if (outsideAllowed) {
+        signalingLog.warn(`[Client ${clientId}] ${clientIp} is outside the allowed addresses`);
+    }
+    
+    // The headless host's socket is not a network connection, so it leaves
+    // the per-IP allowance to real local clients
+    if (!ws.headless) {
+        connectionsPerIp.set(clientIp, (connectionsPerIp.get(clientIp) || 0) + 1);
+        ws.once('close', () => {
+            const open = connectionsPerIp.get(clientIp) - 1;
+            if (open > 0) {
+                connectionsPerIp.set(clientIp, open);
+            } else {
+                connectionsPerIp.delete(clientIp);
+            }
+        });
+    }
     
-    // Store client
-    const client = {
+    // Performance optimization: Set binary type for WebSocket
+    ws.binaryType = 'arraybuffer';
+    
+    // Store client (replaced by the reclaimed client if this socket resumes one)
+    let client = {
         id: clientId,
         ws: ws,
         role: null,
         ip: clientIp,
+        // Address outside access.allow / LAN-only, admitted because enforcement is off
+        outsideAllowed: outsideAllowed,
+        // Host name this client reached us by, used in its stun:/turn: URLs
+        serverHost: getRequestHost(req),
+        // TURN credential, issued once the client belongs to a session
+        turnCredential: null,
+        connectedAt: Date.now(),
         ready: false,
+        // Session (room) this client belongs to
+        session: null,
+        // Session this viewer asked to join and is awaiting approval for
+        pendingSession: null,
+        // In-process headless host on a loopback socket, see lib/headless-host.js
+        headless: ws.headless === true,
+        // Display name: a viewer's in the host's approval prompt, the
+        // headless host's on the admin dashboard
+        name: ws.headless === true ? HEADLESS_NAME : null,
+        // Signaling protocol version agreed in register
+        protocolVersion: null,
+        // Input the viewer may send once admitted: 'view', 'pointer', 'keyboard' or 'full'
+        permission: 'view',
+        // Heartbeat pings sent without a pong or message in reply
+        missedHeartbeats: 0,
+        // Token that lets a reconnecting socket reclaim this client
+        resumeToken: null,
+        // Socket dropped; waiting for a resume until resumeTimer fires
+        suspended: false,
+        resumeTimer: null,
         // Performance optimization: Track last event time
         lastEventTime: Date.now(),
         // Performance optimization: Event queue for priority handling
-        eventQueue: []
+        eventQueue: [],
+        // Viewer receiving the host's frame stream instead of WebRTC video, and
+        // the last frame it missed (null when it is not waiting for a keyframe)
+        streaming: false,
+        streamDroppedFrame: null,
+        // Token buckets for this client's messages, see lib/rate-limit.js
+        rateLimiter: createRateLimiter(config.limits),
+        // Messages to and from this client, sampled into per-second rates for the dashboard
+        messagesReceived: 0,
+        messagesSent: 0,
+        messageRates: { inPerSecond: 0, outPerSecond: 0 }
     };
     
     clients.set(clientId, client);
@@ -165,28 +915,91 @@ wss.on('connection', (ws, req) => {
         command: false
     });
     
+    // Any pong or message proves the socket is alive
+    ws.on('pong', () => {
+        client.missedHeartbeats = 0;
+    });
+    
     // Handle messages
     ws.on('message', (message) => {
+        // Frames still buffered after a kick or flood disconnect are ignored
+        if (ws.readyState !== WebSocket.OPEN) return;
+        
+        client.missedHeartbeats = 0;
+        client.messagesReceived++;
+        
+        // Every frame is charged before it is parsed, its type once that is known
+        if (!checkFrameRate(client)) return;
+        
         try {
+            // Binary frames: tiles of a host's frame stream
+            if (message instanceof ArrayBuffer && client.role === 'host') {
+                if (!checkRateLimit(client, 'stream-frame')) return;
+                
+                const { frame, error } = protocol.parseStreamFrame(message);
+                if (error) {
+                    rejectedMessagesTotal.inc({ code: error.code });
+                    sendError(client, error.code, error.message);
+                    return;
+                }
+                
+                signalingMessagesTotal.inc({ type: 'stream-frame' });
+                handleStreamFrame(client, message, frame);
+                return;
+            }
+            
             // Performance optimization: Handle binary messages for mouse movement
             if (message instanceof ArrayBuffer) {
-                if (client.role === 'client' && message.byteLength === 8) {
-                    const view = new Float32Array(message);
-                    handleBinaryMouseMove(client, {
-                        x: view[0],
-                        y: view[1]
-                    });
+                if (!checkRateLimit(client, 'binary-mousemove')) return;
+                
+                const error = client.role === 'client'
+                    ? protocol.validateBinaryMouseMove(message)
+                    : { code: protocol.ERROR_CODES.WRONG_ROLE, message: 'Register before sending binary frames' };
+                if (error) {
+                    rejectedMessagesTotal.inc({ code: error.code });
+                    sendError(client, error.code, error.message);
                     return;
                 }
+                
+                signalingMessagesTotal.inc({ type: 'binary-mousemove' });
+                const view = new Float32Array(message);
+                handleBinaryMouseMove(client, {
+                    x: view[0],
+                    y: view[1]
+                });
+                return;
             }
             
-            const data = JSON.parse(message);
-            console.log(`[Client ${clientId}] Message: ${data.type}`);
+            // Every text frame must parse and match the protocol schema
+            const { data, error } = protocol.parseMessage(message, config.limits.maxMessageBytes);
+            if (!checkRateLimit(client, data && data.type)) return;
+            
+            const violation = error || protocol.validateMessage(data, client.role);
+            if (violation) {
+                rejectedMessagesTotal.inc({ code: violation.code });
+                signalingLog.warn(`[Client ${client.id}] Rejected message: ${violation.message}`, { code: violation.code });
+                sendError(client, violation.code, violation.message);
+                return;
+            }
+            
+            signalingMessagesTotal.inc({ type: data.type });
+            
+            // Application-level heartbeat for browsers, which cannot see ping frames
+            if (data.type === 'ping') {
+                sendToClient(client, { type: 'pong', time: data.time });
+                return;
+            }
+            
+            signalingLog.debug(`[Client ${client.id}] Message: ${data.type}`);
             
             // Performance optimization: Update last event time
             client.lastEventTime = Date.now();
             
             switch(data.type) {
+                case 'resume':
+                    client = handleResume(client, data) || client;
+                    break;
+
                 case 'register':
                     handleRegister(client, data);
                     break;
@@ -203,6 +1016,42 @@ wss.on('connection', (ws, req) => {
                     handleConnectToHost(client, data);
                     break;
                     
+                case 'join-response':
+                    handleJoinResponse(client, data);
+                    break;
+                    
+                case 'set-pin':
+                    handleSetPin(client, data);
+                    break;
+                    
+                case 'control-request':
+                    handleControlRequest(client);
+                    break;
+                    
+                case 'control-release':
+                    handleControlRelease(client);
+                    break;
+                    
+                case 'control-grant':
+                    handleControlGrant(client, data);
+                    break;
+                    
+                case 'control-deny':
+                    handleControlDeny(client, data);
+                    break;
+                    
+                case 'control-revoke':
+                    handleControlRevoke(client);
+                    break;
+                    
+                case 'set-control-policy':
+                    handleSetControlPolicy(client, data);
+                    break;
+                    
+                case 'set-permission':
+                    handleSetPermission(client, data);
+                    break;
+                    
                 case 'offer':
                     handleOffer(client, data);
                     break;
@@ -215,9 +1064,23 @@ wss.on('connection', (ws, req) => {
                     handleIceCandidate(client, data);
                     break;
                     
+                case 'stream-start':
+                case 'stream-stop':
+                    handleStreamSwitch(client, data);
+                    break;
+                    
+                case 'stream-keyframe':
+                    handleStreamKeyframe(client, data);
+                    break;
+                    
                 case 'control':
                     // Performance optimization: Add to queue for priority handling
                     if (EVENT_PRIORITIES[data.action]) {
+                        if (client.eventQueue.length >= config.limits.maxQueueLength) {
+                            disconnectFloodingClient(client, 'queue-full',
+                                `More than ${config.limits.maxQueueLength} control events waiting`);
+                            break;
+                        }
                         client.eventQueue.push(data);
                         processEventQueue(client);
                     } else {
@@ -226,45 +1089,372 @@ wss.on('connection', (ws, req) => {
                     break;
             }
         } catch (error) {
-            console.error(`[Client ${clientId}] Error:`, error);
+            signalingLog.error(`[Client ${client.id}] Error handling message`, { error });
         }
     });
     
     // Handle disconnect
     ws.on('close', () => {
-        console.log(`[Client ${clientId}] Disconnected`);
+        // A resumed connection took this client over, or the client was
+        // already removed (kicked); nothing to clean up
+        if (client.ws !== ws || !clients.has(client.id)) return;
         
-        // Remove from maps
-        if (client.role === 'host') {
-            hosts.delete(clientId);
-            
-            // Notify all viewers
-            viewers.forEach((viewer) => {
+        // Registered clients get a grace window to resume before they are removed
+        if (client.role) {
+            suspendClient(client);
+        } else {
+            signalingLog.info(`[Client ${client.id}] Disconnected`);
+            removeClient(client);
+        }
+    });
+    
+    // Handle errors
+    ws.on('error', (error) => {
+        // ws closes the socket itself (1009) after an oversized frame
+        if (error.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') {
+            disconnectFloodingClient(client, 'message-too-large', error.message);
+            return;
+        }
+        signalingLog.warn(`[Client ${client.id}] WebSocket error: ${error.message}`);
+    });
+});
+
+// ICE servers for a client: the embedded relay first (TURN only once it holds
+// a credential), then the configured iceServers. Configured servers with a
+// username or credential are long-lived secrets, so only hosts and admitted
+// viewers get them, never an anonymous caller.
+function getIceServers(client) {
+    const relay = turnRelay
+        ? turnRelay.iceServers(config.turn.publicHost || client.serverHost, client.turnCredential)
+        : [];
+    const configured = client.session
+        ? config.iceServers
+        : config.iceServers.filter((server) => server.username === undefined && server.credential === undefined);
+    return [...relay, ...configured];
+}
+
+// Limits a client must stay within: frame-stream messages are packed up to
+// the message size and paced below their rate limit
+function getClientLimits() {
+    const streamRate = config.limits.types['stream-frame'] || config.limits.types.default;
+    return {
+        maxMessageBytes: config.limits.maxMessageBytes,
+        streamMessagesPerSecond: streamRate.perSecond
+    };
+}
+
+// Give a host or admitted viewer a TURN credential for its session, replacing
+// any previous one
+function issueTurnCredential(client) {
+    if (!turnRelay) return;
+    
+    revokeTurnCredential(client);
+    const session = client.session;
+    client.turnCredential = turnRelay.issue(session ? `${session.id}.${client.id}` : String(client.id));
+}
+
+function revokeTurnCredential(client) {
+    if (!turnRelay || !client.turnCredential) return;
+    
+    turnRelay.revoke(client.turnCredential.username);
+    client.turnCredential = null;
+}
+
+// Give a registered client a fresh resume token, invalidating the previous one
+function issueResumeToken(client) {
+    if (client.resumeToken) {
+        resumeTokens.delete(client.resumeToken);
+    }
+    
+    client.resumeToken = crypto.randomBytes(24).toString('hex');
+    resumeTokens.set(client.resumeToken, client);
+}
+
+// Hold a disconnected client for the resume grace window
+function suspendClient(client) {
+    signalingLog.info(`[Client ${client.id}] Disconnected, holding for resume (${RESUME_GRACE_MS}ms)`);
+    
+    client.suspended = true;
+    releaseHeldKeys(client);
+    flushInputActivity(client);
+    recordAudit('client-disconnected', client, { resumableForMs: RESUME_GRACE_MS });
+    
+    // Let paired peers know the other side went quiet; media may still be flowing
+    const peers = clientPeers.get(client.id);
+    if (peers) {
+        peers.forEach((peer) => {
+            sendToClient(peer, {
+                type: 'peer-suspended',
+                clientId: client.id
+            });
+        });
+    }
+    
+    client.resumeTimer = setTimeout(() => {
+        signalingLog.info(`[Client ${client.id}] Resume window expired`);
+        removeClient(client, 'resume-expired');
+    }, RESUME_GRACE_MS);
+}
+
+// Remove a client for good: leave or end its session and drop all its state.
+// The reason (disconnected, resume-expired or kicked) goes to the audit log.
+function removeClient(client, reason = 'disconnected') {
+    clearTimeout(client.resumeTimer);
+    
+    if (client.role) {
+        flushInputActivity(client);
+        recordAudit('client-removed', client, { reason });
+    }
+    
+    // Remove from maps
+    if (client.role === 'host') {
+        hosts.delete(client.id);
+
+        // Notify viewers in (or waiting for) this host's session and close it
+        if (client.session) {
+            const session = client.session;
+            [...session.viewers.values(), ...session.pending.values()].forEach((viewer) => {
                 sendToClient(viewer, {
                     type: 'host-disconnected',
-                    hostId: clientId
+                    hostId: client.id,
+                    sessionId: session.id
                 });
             });
-        } else if (client.role === 'client') {
-            viewers.delete(clientId);
+            recordAudit('session-ended', client, { viewers: session.viewers.size });
+            endSession(session);
         }
+    } else if (client.role === 'client') {
+        viewers.delete(client.id);
+        leaveSession(client);
+    }
+    
+    revokeTurnCredential(client);
+    
+    // Performance optimization: Clean up all client-related resources
+    clients.delete(client.id);
+    mouseState.delete(client.id);
+    keyboardState.delete(client.id);
+    resumeTokens.delete(client.resumeToken);
+    
+    // Clean up peer references
+    unpairClient(client);
+}
+
+// Disconnect a client for good: tell it why, remove it without a resume
+// window and close its socket
+function kickClient(client, reason) {
+    signalingLog.info(`[Client ${client.id}] Kicked: ${reason}`);
+    
+    sendToClient(client, {
+        type: 'kicked',
+        reason: reason
+    });
+    recordAudit('client-kicked', client, { reason });
+    removeClient(client, 'kicked');
+    client.ws.close(4001, 'Kicked');
+}
+
+// Charge a frame to the client's limit for all messages, before parsing it.
+// Returns false, after disconnecting the client, when it exceeds the limit.
+function checkFrameRate(client) {
+    return enforceRateLimit(client, client.rateLimiter.checkFrame());
+}
+
+// Charge a message to the limit for its type, like checkFrameRate
+function checkRateLimit(client, type) {
+    return enforceRateLimit(client, client.rateLimiter.check(type));
+}
+
+function enforceRateLimit(client, exceeded) {
+    if (!exceeded) return true;
+    
+    const kind = { messages: 'messages', default: 'messages of other types' }[exceeded] || `'${exceeded}' messages`;
+    disconnectFloodingClient(client, 'rate-limited', `Sent ${kind} faster than allowed`);
+    return false;
+}
+
+// Disconnect a client that floods the server, without a resume window. The
+// offence is logged, audited and counted.
+function disconnectFloodingClient(client, reason, detail) {
+    if (!clients.has(client.id)) return;
+    
+    signalingLog.warn(`[Client ${client.id}] Disconnected for flooding: ${detail}`, { reason, ip: client.ip });
+    floodProtectionTotal.inc({ reason });
+    recordAudit('client-flooding', client, { reason, detail });
+    
+    client.eventQueue.length = 0;
+    sendError(client, reason, detail);
+    removeClient(client, reason);
+    if (client.ws.readyState === WebSocket.OPEN) {
+        client.ws.close(1008, 'Flood protection');
+    }
+}
+
+// Handle a reconnecting socket reclaiming its previous client. Returns the
+// reclaimed client, or null if the token is not valid.
+function handleResume(fresh, data) {
+    if (fresh.role) {
+        sendError(fresh, protocol.ERROR_CODES.INVALID_MESSAGE, `Already registered as ${fresh.role}`);
+        return null;
+    }
+    
+    const version = protocol.negotiateVersion(data.protocolVersion);
+    if (!version) {
+        sendError(fresh, protocol.ERROR_CODES.UNSUPPORTED_VERSION,
+            `Protocol version ${data.protocolVersion} is not supported (server speaks ${protocol.MIN_PROTOCOL_VERSION}-${protocol.PROTOCOL_VERSION})`);
+        return null;
+    }
+    
+    const client = resumeTokens.get(data.resumeToken);
+    if (!client) {
+        sendError(fresh, 'resume-failed', 'Resume token is unknown or has expired');
+        return null;
+    }
+    
+    // Drop the placeholder created for this socket and move the socket over
+    clients.delete(fresh.id);
+    mouseState.delete(fresh.id);
+    keyboardState.delete(fresh.id);
+    
+    const staleWs = client.ws;
+    client.ws = fresh.ws;
+    client.ip = fresh.ip;
+    client.protocolVersion = version;
+    client.missedHeartbeats = 0;
+    client.suspended = false;
+    clearTimeout(client.resumeTimer);
+    client.resumeTimer = null;
+    
+    // The old socket may still look open if the server had not noticed the drop yet
+    if (staleWs !== fresh.ws) {
+        staleWs.terminate();
+    }
+    
+    issueResumeToken(client);
+    signalingLog.info(`[Client ${client.id}] Resumed as ${client.role} from ${client.ip}`);
+    recordAudit('client-resumed', client);
+    
+    const session = client.session || client.pendingSession;
+    const reply = {
+        type: 'resumed',
+        clientId: client.id,
+        role: client.role,
+        protocolVersion: version,
+        heartbeatIntervalMs: HEARTBEAT_INTERVAL_MS,
+        resumeToken: client.resumeToken,
+        sessionId: session ? session.id : null,
+        iceServers: getIceServers(client),
+        media: config.media,
+        limits: getClientLimits()
+    };
+    
+    if (client.role === 'host' && client.session) {
+        reply.viewers = [...client.session.viewers.values()].map((viewer) => ({
+            clientId: viewer.id,
+            name: viewer.name,
+            permission: viewer.permission,
+            outsideAllowed: viewer.outsideAllowed,
+            streaming: viewer.streaming
+        }));
+    } else if (client.role === 'client') {
+        reply.pending = Boolean(client.pendingSession);
+        reply.hostId = client.session ? client.session.host.id : null;
+        reply.permission = client.permission;
+        reply.streaming = client.streaming;
+    }
+    
+    sendToClient(client, reply);
+    
+    // Frames sent while the viewer was away were dropped
+    if (client.streaming && client.streamDroppedFrame !== null) {
+        requestKeyframe(client);
+    }
+    
+    if (client.session) {
+        sendToClient(client, getControlState(client.session));
         
-        // Performance optimization: Clean up all client-related resources
-        clients.delete(clientId);
-        mouseState.delete(clientId);
-        keyboardState.delete(clientId);
+        // Join requests that arrived while the host was away
+        if (client.role === 'host') {
+            client.session.pending.forEach((viewer) => {
+                sendToClient(client, {
+                    type: 'join-request',
+                    clientId: viewer.id,
+                    name: viewer.name,
+                    ip: viewer.ip,
+                    outsideAllowed: viewer.outsideAllowed
+                });
+            });
+        }
+    }
+    
+    // Peers decide whether their peer connection survived or needs renegotiating
+    const peers = clientPeers.get(client.id);
+    if (peers) {
+        peers.forEach((peer) => {
+            sendToClient(peer, {
+                type: 'peer-resumed',
+                clientId: client.id
+            });
+        });
+    }
+    
+    return client;
+}
+
+// Ping every socket; terminate those that stopped answering. Terminating fires
+// the normal close handler, so peers are told right away that the client went quiet.
+function checkHeartbeats() {
+    clients.forEach((client) => {
+        if (client.suspended) return;
         
-        // Clean up peer references
-        if (clientPeers.has(clientId)) {
-            clientPeers.delete(clientId);
+        if (client.missedHeartbeats >= HEARTBEAT_MAX_MISSED) {
+            signalingLog.warn(`[Client ${client.id}] Missed ${client.missedHeartbeats} heartbeats, terminating`);
+            client.ws.terminate();
+            return;
+        }
+        
+        client.missedHeartbeats++;
+        try {
+            client.ws.ping();
+        } catch (error) {
+            signalingLog.warn(`[Client ${client.id}] Heartbeat ping failed: ${error.message}`);
         }
     });
+}
+
+const heartbeatTimer = setInterval(checkHeartbeats, HEARTBEAT_INTERVAL_MS);
+wss.on('close', () => clearInterval(heartbeatTimer));
+
+// Turn the message counters into per-second rates once per sample period
+const RATE_SAMPLE_MS = 1000;
+let lastRateSample = Date.now();
+
+function sampleMessageRates() {
+    const now = Date.now();
+    const seconds = Math.max((now - lastRateSample) / 1000, 0.001);
+    lastRateSample = now;
     
-    // Handle errors
-    ws.on('error', (error) => {
-        console.error(`[Client ${clientId}] WebSocket error:`, error);
+    clients.forEach((client) => {
+        client.messageRates = {
+            inPerSecond: Math.round(client.messagesReceived / seconds * 10) / 10,
+            outPerSecond: Math.round(client.messagesSent / seconds * 10) / 10
+        };
+        client.messagesReceived = 0;
+        client.messagesSent = 0;
     });
-});
+}
+
+const rateTimer = setInterval(sampleMessageRates, RATE_SAMPLE_MS);
+wss.on('close', () => clearInterval(rateTimer));
+
+// Input counts of controlling viewers are audited in periodic summaries
+const activityTimer = setInterval(() => clients.forEach(flushInputActivity), config.audit.activityIntervalMs);
+wss.on('close', () => clearInterval(activityTimer));
+
+// Expired PIN failures are swept once a minute
+const PIN_SWEEP_MS = 60 * 1000;
+const pinSweepTimer = setInterval(sweepPinFailures, PIN_SWEEP_MS);
+wss.on('close', () => clearInterval(pinSweepTimer));
 
 // Process event queue based on priority
 function processEventQueue(client) {
@@ -287,257 +1477,671 @@ function processEventQueue(client) {
 
 // Handle binary mouse move data
 function handleBinaryMouseMove(client, data) {
-    // Only process if client role is correct
     if (client.role !== 'client') return;
     
+    const host = resolveTarget(client);
+    if (!host) {
+        controlEventsDroppedTotal.inc({ reason: 'misaddressed' });
+        rejectMisaddressed(client, 'mousemove');
+        return;
+    }
+    
+    // Only the viewer holding the control floor, with pointer rights, may move the mouse
+    if (!hasControl(client)) {
+        controlEventsDroppedTotal.inc({ reason: 'no-control' });
+        return;
+    }
+    if (!isActionPermitted(client, { action: 'mousemove' })) {
+        controlEventsDroppedTotal.inc({ reason: 'not-permitted' });
+        return;
+    }
+
     // Performance optimization: UDP-style delivery (drop if too frequent)
     const now = Date.now();
     const lastState = mouseState.get(client.id);
     
-    // Drop events that come too quickly (5ms threshold)
-    if (now - lastState.lastUpdate < 5) return;
+    // Drop events that come too quickly
+    if (now - lastState.lastUpdate < MOUSE_MOVE_INTERVAL_MS) {
+        controlEventsDroppedTotal.inc({ reason: 'throttled' });
+        return;
+    }
     
     // Performance optimization: Skip if movement is below threshold
-    const screenSize = robot ? robot.getScreenSize() : { width: 1920, height: 1080 };
+    const screenSize = inputBackend ? inputBackend.getScreenSize() : { width: 1920, height: 1080 };
     const newX = Math.round(data.x * screenSize.width);
     const newY = Math.round(data.y * screenSize.height);
     
     const deltaX = Math.abs(newX - lastState.x);
     const deltaY = Math.abs(newY - lastState.y);
     
-    if (deltaX < MOUSE_THRESHOLD && deltaY < MOUSE_THRESHOLD) return;
+    if (deltaX < MOUSE_THRESHOLD && deltaY < MOUSE_THRESHOLD) {
+        controlEventsDroppedTotal.inc({ reason: 'below-threshold' });
+        return;
+    }
+    
+    // Update state
+    mouseState.set(client.id, {
+        x: newX,
+        y: newY,
+        lastUpdate: now
+    });
+    
+    // Create minimal control data for forwarding
+    const minimalData = {
+        action: 'mousemove',
+        x: data.x,
+        y: data.y
+    };
+    
+    // Forward to the paired host with minimal data
+    sendToClient(host, {
+        type: 'control',
+        ...minimalData,
+        fromId: client.id
+    });
+    
+    // If an input backend is available, perform the action
+    if (inputBackend) {
+        try {
+            inputBackend.moveMouse(newX, newY);
+        } catch (error) {
+            inputErrorsTotal.inc();
+            inputLog.error('Input backend error', { error });
+        }
+    }
+    controlEventsTotal.inc({ action: 'mousemove' });
+    countInputActivity(client, 'mousemove');
+}
+
+// Send message to specific client
+function sendToClient(client, data) {
+    if (client.ws.readyState === WebSocket.OPEN) {
+        client.ws.send(JSON.stringify(data));
+        client.messagesSent++;
+    }
+}
+
+// Send an error reply to a client
+function sendError(client, code, message) {
+    sendToClient(client, {
+        type: 'error',
+        code: code,
+        message: message
+    });
+}
+
+// Handle registration
+function handleRegister(client, data) {
+    const version = protocol.negotiateVersion(data.protocolVersion);
+    if (!version) {
+        sendError(client, protocol.ERROR_CODES.UNSUPPORTED_VERSION,
+            `Protocol version ${data.protocolVersion} is not supported (server speaks ${protocol.MIN_PROTOCOL_VERSION}-${protocol.PROTOCOL_VERSION})`);
+        return;
+    }
+    
+    if (client.role && client.role !== data.role) {
+        sendError(client, protocol.ERROR_CODES.INVALID_MESSAGE, `Already registered as ${client.role}`);
+        return;
+    }
+    
+    const maxSessions = config.sessions.maxSessions;
+    if (data.role === 'host' && !client.session && maxSessions > 0 && sessions.size >= maxSessions) {
+        signalingLog.warn(`[Client ${client.id}] Refused as host: ${sessions.size} sessions already open`);
+        sendError(client, 'server-full', 'The server has reached its session limit; try again later');
+        return;
+    }
+    
+    client.role = data.role;
+    client.protocolVersion = version;
+    issueResumeToken(client);
+    
+    if (data.role === 'host') {
+        hosts.set(client.id, client);
+        if (!client.session) {
+            createSession(client);
+        }
+        issueTurnCredential(client);
+        signalingLog.info(`[Client ${client.id}] Registered as HOST for session ${client.session.id}`);
+    } else if (data.role === 'client') {
+        viewers.set(client.id, client);
+        signalingLog.info(`[Client ${client.id}] Registered as CLIENT`);
+    }
+    recordAudit('client-registered', client);
+    
+    // Send confirmation
+    sendToClient(client, {
+        type: 'registered',
+        clientId: client.id,
+        role: client.role,
+        protocolVersion: version,
+        heartbeatIntervalMs: HEARTBEAT_INTERVAL_MS,
+        resumeToken: client.resumeToken,
+        resumeGraceMs: RESUME_GRACE_MS,
+        sessionId: client.session ? client.session.id : null,
+        iceServers: getIceServers(client),
+        media: config.media,
+        limits: getClientLimits()
+    });
+}
+
+// Handle host ready
+function handleHostReady(host) {
+    if (host.role !== 'host' || !host.session) return;
+    
+    host.ready = true;
+    signalingLog.info(`[Host ${host.id}] Ready to share session ${host.session.id}`);
+    
+    // Notify viewers that already joined this session
+    host.session.viewers.forEach((viewer) => {
+        sendToClient(viewer, {
+            type: 'host-available',
+            hostId: host.id,
+            sessionId: host.session.id,
+            permission: viewer.permission,
+            iceServers: getIceServers(viewer)
+        });
+        
+        // Tell host about the viewer
+        sendToClient(host, {
+            type: 'client-joined',
+            clientId: viewer.id,
+            name: viewer.name,
+            permission: viewer.permission,
+            outsideAllowed: viewer.outsideAllowed
+        });
+    });
+}
+
+// Handle host stopped
+function handleHostStopped(host) {
+    if (host.role !== 'host' || !host.session) return;
+    
+    host.ready = false;
+    signalingLog.info(`[Host ${host.id}] Stopped sharing`);
+    
+    // Notify viewers in this session
+    host.session.viewers.forEach((viewer) => {
+        stopStreaming(viewer);
+        sendToClient(viewer, {
+            type: 'host-stopped',
+            hostId: host.id
+        });
+    });
+}
+
+// Handle connect to host
+function handleConnectToHost(client, data) {
+    const sessionId = normalizeSessionCode(data.sessionId);
+    signalingLog.info(`[Client ${client.id}] Trying to join session: ${sessionId}`);
+    
+    const lockout = getPinLockout(client.ip);
+    if (lockout) {
+        const retryAfter = Math.ceil((lockout.lockedUntil - Date.now()) / 1000);
+        signalingLog.info(`[Client ${client.id}] ${client.ip} is locked out for ${retryAfter}s`);
+        recordAudit('join-refused', client, { sessionId, reason: 'locked-out' });
+        sendError(client, 'locked-out', `Too many failed PIN attempts. Try again in ${retryAfter} seconds`);
+        return;
+    }
+    
+    const session = sessionId ? sessions.get(sessionId) : null;
+    if (client.role !== 'client' || !session || !session.host.ready) {
+        signalingLog.info(`[Client ${client.id}] Session not found or host not ready`);
+        recordAudit('join-refused', client, { sessionId, reason: 'session-not-found' });
+        sendError(client, 'session-not-found', 'Session not found or host not ready');
+        return;
+    }
+    
+    if (session.pinHash) {
+        if (typeof data.pin !== 'string' || !data.pin) {
+            sendError(client, 'pin-required', 'This session requires a PIN');
+            return;
+        }
+        
+        if (!verifyPin(data.pin, session.pinHash)) {
+            const failure = recordPinFailure(client.ip);
+            const lockedOut = failure.lockedUntil > Date.now();
+            signalingLog.info(`[Client ${client.id}] Wrong PIN for session ${session.id} (${failure.count} failures from ${client.ip})`);
+            recordAudit('join-refused', client, { sessionId: session.id, sessionInstance: session.instanceId, reason: lockedOut ? 'locked-out' : 'invalid-pin', attempts: failure.count });
+            
+            // Report the failed attempt to the host UI
+            sendToClient(session.host, {
+                type: 'pin-failed',
+                ip: client.ip,
+                name: typeof data.name === 'string' ? data.name.trim().slice(0, 64) : '',
+                attempts: failure.count,
+                lockedOut: lockedOut
+            });
+            
+            if (lockedOut) {
+                sendError(client, 'locked-out', `Too many failed PIN attempts. Try again in ${Math.ceil(PIN_LOCKOUT_MS / 1000)} seconds`);
+            } else {
+                sendError(client, 'invalid-pin', `Incorrect PIN (${PIN_MAX_ATTEMPTS - failure.count} attempts left)`);
+            }
+            return;
+        }
+        
+        pinFailures.delete(client.ip);
+    }
+    
+    if (client.session === session) {
+        signalingLog.info(`[Client ${client.id}] Already in session ${session.id}`);
+        return;
+    }
+    
+    const maxViewers = config.sessions.maxViewersPerSession;
+    if (maxViewers > 0 && session.viewers.size + session.pending.size >= maxViewers && !session.pending.has(client.id)) {
+        signalingLog.info(`[Client ${client.id}] Session ${session.id} is full`);
+        recordAudit('join-refused', client, { sessionId: session.id, sessionInstance: session.instanceId, reason: 'session-full' });
+        sendError(client, 'session-full', 'This session has reached its viewer limit');
+        return;
+    }
+    
+    // Leave any previous session or pending request before asking again
+    leaveSession(client);
+    
+    client.name = typeof data.name === 'string' && data.name.trim()
+        ? data.name.trim().slice(0, 64)
+        : `Viewer ${client.id}`;
+    client.pendingSession = session;
+    session.pending.set(client.id, client);
+    
+    signalingLog.info(`[Client ${client.id}] Waiting for host ${session.host.id} to approve`);
+    recordAudit('join-requested', client, {
+        name: client.name,
+        hostId: session.host.id,
+        pin: Boolean(session.pinHash),
+        outsideAllowed: client.outsideAllowed || undefined
+    });
+    
+    // Ask the host for consent; nothing flows until it answers
+    sendToClient(session.host, {
+        type: 'join-request',
+        clientId: client.id,
+        name: client.name,
+        ip: client.ip,
+        outsideAllowed: client.outsideAllowed
+    });
+    
+    sendToClient(client, {
+        type: 'join-pending',
+        sessionId: session.id
+    });
+}
+
+// Handle the host setting or clearing the session PIN
+function handleSetPin(host, data) {
+    if (host.role !== 'host' || !host.session) return;
+    
+    const pin = typeof data.pin === 'string' ? data.pin.trim() : '';
+    if (pin && (pin.length < 4 || pin.length > 32)) {
+        sendError(host, 'invalid-pin-format', 'PIN must be between 4 and 32 characters');
+        return;
+    }
+    
+    host.session.pinHash = pin ? hashPin(pin) : null;
+    signalingLog.info(`[Host ${host.id}] PIN ${pin ? 'set' : 'cleared'} for session ${host.session.id}`);
+    
+    sendToClient(host, {
+        type: 'pin-updated',
+        pinRequired: Boolean(pin)
+    });
+}
+
+// Handle the host's answer to a join request
+function handleJoinResponse(host, data) {
+    const session = host.session;
+    if (host.role !== 'host' || !session) return;
+    
+    const viewer = session.pending.get(parseInt(data.clientId));
+    if (!viewer) {
+        signalingLog.info(`[Host ${host.id}] No pending join request from ${data.clientId}`);
+        return;
+    }
+    
+    session.pending.delete(viewer.id);
+    viewer.pendingSession = null;
+    
+    // 'accept-view-only' is kept as shorthand for accepting with the 'view' level
+    const permission = data.decision === 'accept-view-only' ? 'view' : normalizePermission(data.permission || 'full');
+    
+    if ((data.decision !== 'accept' && data.decision !== 'accept-view-only') || !permission) {
+        signalingLog.info(`[Host ${host.id}] Denied viewer ${viewer.id}`);
+        recordAudit('viewer-denied', viewer, { sessionId: session.id, sessionInstance: session.instanceId, name: viewer.name, hostId: host.id });
+        sendError(viewer, 'join-denied', 'The host denied your request to join this session');
+        return;
+    }
+    
+    // Admit the viewer into this session's room
+    session.viewers.set(viewer.id, viewer);
+    viewer.session = session;
+    viewer.permission = permission;
+    pairClients(host, viewer);
+    issueTurnCredential(viewer);
+    
+    signalingLog.info(`[Host ${host.id}] Accepted viewer ${viewer.id} with '${permission}' permission`);
+    recordAudit('viewer-admitted', viewer, { name: viewer.name, hostId: host.id, permission });
+    
+    // Tell client about host
+    sendToClient(viewer, {
+        type: 'host-available',
+        hostId: host.id,
+        sessionId: session.id,
+        permission: viewer.permission,
+        iceServers: getIceServers(viewer)
+    });
+    sendToClient(viewer, getControlState(session));
+    
+    // Tell host about client
+    sendToClient(host, {
+        type: 'client-joined',
+        clientId: viewer.id,
+        name: viewer.name,
+        permission: viewer.permission,
+        outsideAllowed: viewer.outsideAllowed
+    });
+}
+
+// Handle a viewer asking for the control floor
+function handleControlRequest(viewer) {
+    const session = viewer.session;
+    if (viewer.role !== 'client' || !session) return;
+    
+    if (viewer.permission === 'view') {
+        sendError(viewer, 'not-permitted', 'Your permission level does not allow remote control');
+        return;
+    }
+    
+    if (session.controllerId === viewer.id) {
+        sendToClient(viewer, getControlState(session));
+        return;
+    }
+    
+    // Auto-grant policy hands a free floor over without asking
+    if (session.controlPolicy === 'auto' && !session.controllerId) {
+        setController(session, viewer, 'auto-granted');
+        return;
+    }
+    
+    signalingLog.info(`[Client ${viewer.id}] Requesting control of session ${session.id}`);
+    sendToClient(session.host, {
+        type: 'control-requested',
+        clientId: viewer.id,
+        name: viewer.name
+    });
+}
+
+// Handle a viewer giving the control floor back
+function handleControlRelease(viewer) {
+    if (!hasControl(viewer)) return;
+    
+    setController(viewer.session, null, 'released');
+}
+
+// Handle the host granting control to a viewer
+function handleControlGrant(host, data) {
+    const session = host.session;
+    if (host.role !== 'host' || !session) return;
+    
+    const viewer = session.viewers.get(parseInt(data.clientId));
+    if (!viewer || viewer.permission === 'view') {
+        sendError(host, 'invalid-target', 'Viewer is not in this session or has view permission only');
+        return;
+    }
+    
+    setController(session, viewer, 'granted-by-host');
+}
+
+// Handle the host declining a control request
+function handleControlDeny(host, data) {
+    const session = host.session;
+    if (host.role !== 'host' || !session) return;
+    
+    const viewer = session.viewers.get(parseInt(data.clientId));
+    if (viewer) {
+        sendError(viewer, 'control-denied', 'The host declined your control request');
+    }
+}
+
+// Handle the host taking control back from whoever holds it
+function handleControlRevoke(host) {
+    const session = host.session;
+    if (host.role !== 'host' || !session || !session.controllerId) return;
+    
+    setController(session, null, 'revoked-by-host');
+}
+
+// Handle the host changing a viewer's permission level
+function handleSetPermission(host, data) {
+    const session = host.session;
+    if (host.role !== 'host' || !session) return;
+    
+    const viewer = session.viewers.get(parseInt(data.clientId));
+    const permission = normalizePermission(data.permission);
+    if (!viewer || !permission) {
+        sendError(host, 'invalid-permission', 'Unknown viewer or permission level');
+        return;
+    }
     
-    // Update state
-    mouseState.set(client.id, {
-        x: newX,
-        y: newY,
-        lastUpdate: now
-    });
+    viewer.permission = permission;
+    signalingLog.info(`[Host ${host.id}] Viewer ${viewer.id} permission set to '${permission}'`);
+    recordAudit('permission-changed', viewer, { hostId: host.id, permission });
     
-    // Create minimal control data for forwarding
-    const minimalData = {
-        action: 'mousemove',
-        x: data.x,
-        y: data.y
-    };
+    // A viewer that can no longer send input loses the floor; one that lost
+    // system keys must not keep holding modifiers pressed under the old level
+    if (permission === 'view' && session.controllerId === viewer.id) {
+        setController(session, null, 'permission-changed');
+    } else if (permission !== 'full') {
+        releaseHeldKeys(viewer);
+    }
     
-    // Forward to all hosts with minimal data
-    hosts.forEach((host) => {
-        sendToClient(host, {
-            type: 'control',
-            ...minimalData,
-            fromId: client.id
-        });
+    sendToClient(viewer, {
+        type: 'permission-updated',
+        permission: permission
     });
+    sendToClient(host, {
+        type: 'permission-updated',
+        clientId: viewer.id,
+        permission: permission
+    });
+}
+
+// Handle the host switching between asking and auto-granting control
+function handleSetControlPolicy(host, data) {
+    const session = host.session;
+    if (host.role !== 'host' || !session) return;
     
-    // If robotjs is available, perform the action
-    if (robot) {
-        try {
-            robot.moveMouse(newX, newY);
-        } catch (error) {
-            console.error(`RobotJS error: ${error.message}`, error);
-        }
+    if (data.policy !== 'ask' && data.policy !== 'auto') {
+        sendError(host, 'invalid-policy', 'Control policy must be "ask" or "auto"');
+        return;
     }
+    
+    session.controlPolicy = data.policy;
+    broadcastControlState(session);
 }
 
-// Send message to specific client
-function sendToClient(client, data) {
-    if (client.ws.readyState === WebSocket.OPEN) {
-        client.ws.send(JSON.stringify(data));
+// Resolve the peer a signaling or input message is addressed to, restricted to paired peers
+function resolveTarget(client, targetId) {
+    const peers = clientPeers.get(client.id);
+    if (!peers) return null;
+    
+    // Without an explicit target the sender must have exactly one peer
+    if (targetId === undefined || targetId === null) {
+        return peers.size === 1 ? peers.values().next().value : null;
     }
+    
+    return peers.get(parseInt(targetId)) || null;
 }
 
-// Handle registration
-function handleRegister(client, data) {
-    client.role = data.role;
+// Reject a message addressed to a client the sender is not paired with
+function rejectMisaddressed(client, type, targetId) {
+    signalingLog.warn(`[Client ${client.id}] Rejected ${type} to unpaired target ${targetId === undefined ? '(none)' : targetId}`);
+    sendError(client, 'invalid-target', `Cannot send ${type}: target is not paired with you`);
+}
+
+// Switch a viewer whose peer connection failed to the host's frame stream
+// over the WebSocket (stream-start), or back to WebRTC (stream-stop)
+function handleStreamSwitch(host, data) {
+    const viewer = resolveTarget(host, data.targetId);
+    if (!viewer) {
+        rejectMisaddressed(host, data.type, data.targetId);
+        return;
+    }
     
-    if (data.role === 'host') {
-        hosts.set(client.id, client);
-        console.log(`[Client ${client.id}] Registered as HOST`);
-    } else if (data.role === 'client') {
-        viewers.set(client.id, client);
-        console.log(`[Client ${client.id}] Registered as CLIENT`);
-        
-        // Check if any host is ready
-        hosts.forEach((host) => {
-            if (host.ready) {
-                sendToClient(client, {
-                    type: 'host-available',
-                    hostId: host.id
-                });
-                
-                // Tell host about the viewer
-                sendToClient(host, {
-                    type: 'client-joined',
-                    clientId: client.id
-                });
-            }
-        });
+    if (data.type === 'stream-start') {
+        signalingLog.info(`[Client ${host.id}] Streaming frames to viewer ${viewer.id} over the WebSocket`);
+        viewer.streaming = true;
+        // Nothing is drawn until the first keyframe
+        viewer.streamDroppedFrame = -1;
+    } else {
+        signalingLog.info(`[Client ${host.id}] Stopped streaming frames to viewer ${viewer.id}`);
+        stopStreaming(viewer);
     }
     
-    // Send confirmation
-    sendToClient(client, {
-        type: 'registered',
-        clientId: client.id,
-        role: client.role
-    });
+    sendToClient(viewer, { type: data.type, fromId: host.id });
 }
 
-// Handle host ready
-function handleHostReady(host) {
-    host.ready = true;
-    console.log(`[Host ${host.id}] Ready to share`);
-    
-    // Notify all viewers
-    viewers.forEach((viewer) => {
-        sendToClient(viewer, {
-            type: 'host-available',
-            hostId: host.id
-        });
-        
-        // Tell host about the viewer
-        sendToClient(host, {
-            type: 'client-joined',
-            clientId: viewer.id
-        });
-    });
+function stopStreaming(viewer) {
+    viewer.streaming = false;
+    viewer.streamDroppedFrame = null;
 }
 
-// Handle host stopped
-function handleHostStopped(host) {
-    host.ready = false;
-    console.log(`[Host ${host.id}] Stopped sharing`);
-    
-    // Notify all viewers
-    viewers.forEach((viewer) => {
-        sendToClient(viewer, {
-            type: 'host-stopped',
-            hostId: host.id
-        });
-    });
+// Ask the host for a full picture for one viewer
+function requestKeyframe(viewer) {
+    const host = viewer.session && viewer.session.host;
+    if (host) {
+        sendToClient(host, { type: 'stream-keyframe', clientId: viewer.id });
+    }
 }
 
-// Handle connect to host
-function handleConnectToHost(client, data) {
-    console.log(`[Client ${client.id}] Trying to connect to host: ${data.hostId}`);
+// A viewer lost its picture, e.g. after resizing its canvas
+function handleStreamKeyframe(viewer, data) {
+    const host = resolveTarget(viewer, data.targetId);
+    if (!host) {
+        rejectMisaddressed(viewer, 'stream-keyframe', data.targetId);
+        return;
+    }
+    if (viewer.streaming) requestKeyframe(viewer);
+}
+
+// Forward a host's frame-stream message to each viewer streaming from it.
+// Tiles only update what changed, so a viewer whose socket is backed up (or
+// gone) skips messages until a later keyframe instead of drawing partial
+// updates over a stale picture.
+function handleStreamFrame(host, message, frame) {
+    const session = host.session;
+    if (!session) return;
     
-    const host = clients.get(parseInt(data.hostId));
-    if (host && host.role === 'host' && host.ready) {
-        console.log(`[Client ${client.id}] Host found and ready`);
+    session.viewers.forEach((viewer) => {
+        if (!viewer.streaming) return;
         
-        // Tell client about host
-        sendToClient(client, {
-            type: 'host-available',
-            hostId: host.id
-        });
+        const open = viewer.ws.readyState === WebSocket.OPEN;
+        const waiting = viewer.streamDroppedFrame !== null;
+        const recovers = frame.keyframe && (!waiting || frame.frameNumber > viewer.streamDroppedFrame);
         
-        // Tell host about client
-        sendToClient(host, {
-            type: 'client-joined',
-            clientId: client.id
-        });
-    } else {
-        console.log(`[Client ${client.id}] Host not found or not ready`);
-        sendToClient(client, {
-            type: 'error',
-            message: 'Host not found or not ready'
-        });
-    }
+        if (!open || viewer.ws.bufferedAmount > config.limits.streamBufferBytes || (waiting && !recovers)) {
+            streamFramesTotal.inc({ result: 'dropped' });
+            // Ask again when the keyframe the viewer waited for was dropped too;
+            // a suspended viewer asks once it resumes
+            if (open && (!waiting || recovers)) {
+                signalingLog.debug(`[Client ${viewer.id}] Frame stream backed up, dropping until a keyframe`);
+                requestKeyframe(viewer);
+            }
+            viewer.streamDroppedFrame = frame.frameNumber;
+            return;
+        }
+        
+        viewer.streamDroppedFrame = null;
+        viewer.ws.send(message);
+        viewer.messagesSent++;
+        streamFramesTotal.inc({ result: 'forwarded' });
+    });
 }
 
 // Handle WebRTC offer
 function handleOffer(client, data) {
-    const targetId = data.targetId || findPeerForClient(client.id);
-    console.log(`[Client ${client.id}] Sending offer to ${targetId}`);
-    
-    const target = clients.get(parseInt(targetId));
-    if (target && target.ws.readyState === WebSocket.OPEN) {
-        // Performance optimization: Store direct peer reference
-        clientPeers.set(client.id, target);
-        clientPeers.set(target.id, client);
-        
+    const target = resolveTarget(client, data.targetId);
+    if (!target) {
+        rejectMisaddressed(client, 'offer', data.targetId);
+        return;
+    }
+    
+    signalingLog.debug(`[Client ${client.id}] Sending offer to ${target.id}`);
+    
+    if (target.ws.readyState === WebSocket.OPEN) {
         sendToClient(target, {
             type: 'offer',
             offer: data.offer,
             fromId: client.id
         });
     } else {
-        console.log(`[Client ${client.id}] Target ${targetId} not found or not connected`);
-    }
-}
-
-// Helper to find a peer for a client
-function findPeerForClient(clientId) {
-    const client = clients.get(clientId);
-    if (!client) return null;
-    
-    if (client.role === 'host') {
-        // Find the first viewer
-        for (const [id, viewer] of viewers) {
-            return id;
-        }
-    } else {
-        // Find the first host
-        for (const [id, host] of hosts) {
-            if (host.ready) {
-                return id;
-            }
-        }
+        signalingLog.info(`[Client ${client.id}] Target ${target.id} is not connected`);
     }
-    
-    return null;
 }
 
 // Handle WebRTC answer
 function handleAnswer(client, data) {
-    const targetId = data.targetId || findPeerForClient(client.id);
-    console.log(`[Client ${client.id}] Sending answer to ${targetId}`);
+    const target = resolveTarget(client, data.targetId);
+    if (!target) {
+        rejectMisaddressed(client, 'answer', data.targetId);
+        return;
+    }
     
-    const target = clients.get(parseInt(targetId));
-    if (target && target.ws.readyState === WebSocket.OPEN) {
+    signalingLog.debug(`[Client ${client.id}] Sending answer to ${target.id}`);
+    
+    if (target.ws.readyState === WebSocket.OPEN) {
         sendToClient(target, {
             type: 'answer',
             answer: data.answer,
             fromId: client.id
         });
     } else {
-        console.log(`[Client ${client.id}] Target ${targetId} not found or not connected`);
+        signalingLog.info(`[Client ${client.id}] Target ${target.id} is not connected`);
     }
 }
 
 // Handle ICE candidate
 function handleIceCandidate(client, data) {
-    console.log(`[Client ${client.id}] Forwarding ICE candidate`);
-    
-    // Forward to specific target if provided
-    if (data.targetId) {
-        const target = clients.get(parseInt(data.targetId));
-        if (target && target.ws.readyState === WebSocket.OPEN) {
-            sendToClient(target, {
-                type: 'ice-candidate',
-                candidate: data.candidate,
-                fromId: client.id
-            });
-        }
-    } else {
-        // Broadcast to all clients with different role
-        clients.forEach((otherClient) => {
-            if (otherClient.id !== client.id && otherClient.role !== client.role) {
-                sendToClient(otherClient, {
-                    type: 'ice-candidate',
-                    candidate: data.candidate,
-                    fromId: client.id
-                });
-            }
-        });
+    // Candidates are never broadcast: without a targetId the sender must have a single peer
+    const target = resolveTarget(client, data.targetId);
+    if (!target) {
+        rejectMisaddressed(client, 'ice-candidate', data.targetId);
+        return;
     }
+    
+    signalingLog.debug(`[Client ${client.id}] Forwarding ICE candidate to ${target.id}`);
+    sendToClient(target, {
+        type: 'ice-candidate',
+        candidate: data.candidate,
+        fromId: client.id
+    });
 }
 
 // Handle remote control
 function handleControl(client, data) {
     if (client.role !== 'client') return;
     
-    console.log(`[Client ${client.id}] Control: ${data.action}`);
+    const host = resolveTarget(client, data.targetId);
+    if (!host) {
+        controlEventsDroppedTotal.inc({ reason: 'misaddressed' });
+        rejectMisaddressed(client, 'control', data.targetId);
+        return;
+    }
+    
+    if (!hasControl(client)) {
+        controlEventsDroppedTotal.inc({ reason: 'no-control' });
+        return;
+    }
+    
+    if (!isActionPermitted(client, data)) {
+        controlEventsDroppedTotal.inc({ reason: 'not-permitted' });
+        controlLog.info(`[Client ${client.id}] Dropped ${data.action}: not allowed with '${client.permission}' permission`);
+        return;
+    }
+    
+    controlLog.debug(`[Client ${client.id}] Control: ${data.action}`);
+    const endTimer = controlDurationSeconds.startTimer();
+    // Set when a mouse move is too small to execute
+    let belowThreshold = false;
     
     // Performance optimization: Create minimal data object for forwarding
     const minimalData = {
@@ -584,21 +2188,15 @@ function handleControl(client, data) {
             if (data.altKey) minimalData.altKey = true;
             if (data.metaKey) minimalData.metaKey = true;
             break;
-            
-        default:
-            // For unknown actions, forward the original data
-            Object.assign(minimalData, data);
     }
     
-    // Forward to all hosts
-    hosts.forEach((host) => {
-        sendToClient(host, minimalData);
-    });
+    // Forward to the paired host only
+    sendToClient(host, minimalData);
     
-    // If robotjs is available, perform the action
-    if (robot) {
+    // If an input backend is available, perform the action
+    if (inputBackend) {
         try {
-            const screenSize = robot.getScreenSize();
+            const screenSize = inputBackend.getScreenSize();
             // Map button values: 0 = left, 1 = middle, 2 = right
             const buttonMap = ['left', 'middle', 'right'];
             
@@ -607,7 +2205,7 @@ function handleControl(client, data) {
                     // Performance optimization: Skip redundant mouse movements
                     if (data.relative && typeof data.deltaX === 'number' && typeof data.deltaY === 'number') {
                         // Get current mouse position
-                        const currentPos = robot.getMousePos();
+                        const currentPos = inputBackend.getMousePos();
                         // Calculate new position using deltas
                         const moveX = currentPos.x + Math.round(data.deltaX * screenSize.width);
                         const moveY = currentPos.y + Math.round(data.deltaY * screenSize.height);
@@ -620,7 +2218,9 @@ function handleControl(client, data) {
                             // Ensure within screen bounds
                             const boundedX = Math.max(0, Math.min(screenSize.width - 1, moveX));
                             const boundedY = Math.max(0, Math.min(screenSize.height - 1, moveY));
-                            robot.moveMouse(boundedX, boundedY);
+                            inputBackend.moveMouse(boundedX, boundedY);
+                        } else {
+                            belowThreshold = true;
                         }
                     } else {
                         // Use absolute positioning
@@ -628,12 +2228,14 @@ function handleControl(client, data) {
                         const y = Math.round(data.y * screenSize.height);
                         
                         // Get current mouse position and check if movement is significant
-                        const currentPos = robot.getMousePos();
+                        const currentPos = inputBackend.getMousePos();
                         const deltaX = Math.abs(x - currentPos.x);
                         const deltaY = Math.abs(y - currentPos.y);
                         
                         if (deltaX >= MOUSE_THRESHOLD || deltaY >= MOUSE_THRESHOLD) {
-                            robot.moveMouse(x, y);
+                            inputBackend.moveMouse(x, y);
+                        } else {
+                            belowThreshold = true;
                         }
                     }
                     break;
@@ -641,35 +2243,38 @@ function handleControl(client, data) {
                 case 'mousedown':
                     const downX = Math.round(data.x * screenSize.width);
                     const downY = Math.round(data.y * screenSize.height);
-                    robot.moveMouse(downX, downY);
+                    inputBackend.moveMouse(downX, downY);
                     
                     const button = buttonMap[data.button] || 'left';
-                    console.log(`[Control] Mouse down: ${downX},${downY} button: ${button}`);
-                    robot.mouseToggle('down', button);
+                    controlLog.debug(`[Control] Mouse down: ${downX},${downY} button: ${button}`);
+                    inputBackend.mouseToggle('down', button);
                     break;
                     
                 case 'mouseup':
                     const upX = Math.round(data.x * screenSize.width);
                     const upY = Math.round(data.y * screenSize.height);
-                    robot.moveMouse(upX, upY);
+                    inputBackend.moveMouse(upX, upY);
                     
                     const upButton = buttonMap[data.button] || 'left';
-                    console.log(`[Control] Mouse up: ${upX},${upY} button: ${upButton}`);
-                    robot.mouseToggle('up', upButton);
+                    controlLog.debug(`[Control] Mouse up: ${upX},${upY} button: ${upButton}`);
+                    inputBackend.mouseToggle('up', upButton);
                     break;
                 
                 case 'click':
                     const clickX = Math.round(data.x * screenSize.width);
                     const clickY = Math.round(data.y * screenSize.height);
-                    robot.moveMouse(clickX, clickY);
-                    robot.mouseClick(buttonMap[data.button] || 'left');
+                    inputBackend.moveMouse(clickX, clickY);
+                    const clickButton = buttonMap[data.button] || 'left';
+                    inputBackend.mouseToggle('down', clickButton);
+                    inputBackend.mouseToggle('up', clickButton);
                     break;
                 
                 case 'rightclick':
                     const rclickX = Math.round(data.x * screenSize.width);
                     const rclickY = Math.round(data.y * screenSize.height);
-                    robot.moveMouse(rclickX, rclickY);
-                    robot.mouseClick('right');
+                    inputBackend.moveMouse(rclickX, rclickY);
+                    inputBackend.mouseToggle('down', 'right');
+                    inputBackend.mouseToggle('up', 'right');
                     break;
                     
                 case 'wheel':
@@ -677,68 +2282,85 @@ function handleControl(client, data) {
                     // Ensure mouse is at the right position
                     const scrollX = Math.round(data.x * screenSize.width);
                     const scrollY = Math.round(data.y * screenSize.height);
-                    robot.moveMouse(scrollX, scrollY);
+                    inputBackend.moveMouse(scrollX, scrollY);
                     
-                    // Normalize scroll amounts - invert deltaY to match natural scroll direction
+                    // Convert deltas to wheel notches, the unit of every input backend
                     // Use mode to determine the scale factor (0=pixels, 1=lines, 2=pages)
                     let vScroll = 0, hScroll = 0;
-                    const scaleFactor = data.mode === 1 ? 15 : data.mode === 2 ? 50 : 1;
+                    const scaleFactor = data.mode === 1 ? SCROLL.lineScale : data.mode === 2 ? SCROLL.pageScale : SCROLL.pixelScale;
                     
                     if (data.deltaY) {
-                        // Note: robotjs expects positive values to scroll down
-                        vScroll = Math.sign(data.deltaY) * Math.min(Math.abs(data.deltaY / scaleFactor), 100);
+                        // Note: input backends expect positive values to scroll down
+                        vScroll = Math.sign(data.deltaY) * Math.min(Math.abs(data.deltaY / scaleFactor), SCROLL.maxStep);
                     }
                     
                     if (data.deltaX) {
-                        // Note: robotjs expects positive values to scroll right
-                        hScroll = Math.sign(data.deltaX) * Math.min(Math.abs(data.deltaX / scaleFactor), 100);
+                        // Note: input backends expect positive values to scroll right
+                        hScroll = Math.sign(data.deltaX) * Math.min(Math.abs(data.deltaX / scaleFactor), SCROLL.maxStep);
                     }
                     
-                    console.log(`[Control] Scroll: v=${vScroll}, h=${hScroll}`);
-                    robot.scrollMouse(hScroll, vScroll);
+                    controlLog.debug(`[Control] Scroll: v=${vScroll}, h=${hScroll}`);
+                    inputBackend.scrollMouse(hScroll, vScroll);
                     break;
                 
                 // Performance optimization: Cached modifier state for keyboard events
                 case 'keydown':
-                    console.log(`[Keyboard] DOWN: ${data.key} (${data.code})`);
+                    controlLog.debug('[Keyboard] Key down', { key: data.key, keyCode: data.code });
                     handleKeyboardEvent(client, data, true);
                     break;
                     
                 case 'keyup':
-                    console.log(`[Keyboard] UP: ${data.key} (${data.code})`);
+                    controlLog.debug('[Keyboard] Key up', { key: data.key, keyCode: data.code });
                     handleKeyboardEvent(client, data, false);
                     break;
             }
         } catch (error) {
-            console.error(`RobotJS error: ${error.message}`, error);
+            inputErrorsTotal.inc();
+            inputLog.error('Input backend error', { error });
         }
     } else {
         if (data.action === 'keydown' || data.action === 'keyup') {
-            console.log(`[NO ROBOTJS] ${data.action} ${data.key} (${data.code}). Install RobotJS for keyboard control.`);
+            inputLog.debug(`[Simulated] ${data.action} not executed without an input backend`, { key: data.key, keyCode: data.code });
         }
     }
+    
+    endTimer({ action: data.action });
+    if (belowThreshold) {
+        controlEventsDroppedTotal.inc({ reason: 'below-threshold' });
+    } else {
+        controlEventsTotal.inc({ action: data.action });
+        countInputActivity(client, data.action);
+    }
 }
 
 // Helper function to handle keyboard events
 function handleKeyboardEvent(client, data, isDown) {
-    if (!robot) {
-        console.log(`[Warning] RobotJS not available - cannot process keyboard events`);
+    if (!inputBackend) {
+        inputLog.debug('No input backend - cannot process keyboard events');
         return;
     }
     
     try {
         const action = isDown ? 'down' : 'up';
         
-        // Map common key codes to robotjs-compatible key strings
-        const key = mapKeyToRobotJS(data.key, data.code);
+        // Characters without a key on a US keyboard (é, €, emoji) are typed
+        // as text when pressed
+        if (isTypedCharacter(data.key)) {
+            if (isDown) {
+                inputBackend.typeString(data.key);
+                inputLog.debug('[Input] Typed character', { key: data.key });
+            }
+            return;
+        }
+        
+        // Map common key codes to input backend key names
+        const key = mapKeyToInputKey(data.key, data.code);
         
         if (!key) {
-            console.log(`[Control] Unsupported key: ${data.key} (${data.code})`);
+            controlLog.info('[Control] Unsupported key', { key: data.key, keyCode: data.code });
             return;
         }
         
-        console.log(`[Control] Key ${action}: ${key}`);
-        
         // Performance optimization: Use cached state for modifier keys
         const clientKeyState = keyboardState.get(client.id);
         
@@ -747,8 +2369,8 @@ function handleKeyboardEvent(client, data, isDown) {
             // Update cached state
             clientKeyState[key] = isDown;
             
-            robot.keyToggle(key, action);
-            console.log(`[RobotJS] Toggled modifier: ${key} ${action}`);
+            inputBackend.keyToggle(key, action);
+            inputLog.debug(`[Input] Toggled modifier: ${key} ${action}`);
             return;
         }
         
@@ -765,38 +2387,63 @@ function handleKeyboardEvent(client, data, isDown) {
             modifiers.forEach(mod => {
                 if (!clientKeyState[mod]) {
                     clientKeyState[mod] = true;
-                    robot.keyToggle(mod, 'down');
-                    console.log(`[RobotJS] Modifier down: ${mod}`);
+                    inputBackend.keyToggle(mod, 'down');
+                    inputLog.debug(`[Input] Modifier down: ${mod}`);
                 }
             });
             
             // Press main key
-            robot.keyToggle(key, 'down');
-            console.log(`[RobotJS] Key down: ${key}`);
+            inputBackend.keyToggle(key, 'down');
+            inputLog.debug('[Input] Key down', { key });
         }
         // For key up, release the key then toggle off modifiers
         else {
             // Release main key
-            robot.keyToggle(key, 'up');
-            console.log(`[RobotJS] Key up: ${key}`);
+            inputBackend.keyToggle(key, 'up');
+            inputLog.debug('[Input] Key up', { key });
             
             // Only release modifiers that are no longer needed
             Object.keys(clientKeyState).forEach(mod => {
                 if (clientKeyState[mod] && !modifiers.includes(mod)) {
                     clientKeyState[mod] = false;
-                    robot.keyToggle(mod, 'up');
-                    console.log(`[RobotJS] Modifier up: ${mod}`);
+                    inputBackend.keyToggle(mod, 'up');
+                    inputLog.debug(`[Input] Modifier up: ${mod}`);
                 }
             });
         }
     } catch (error) {
-        console.error(`Keyboard control error for ${data.key}: ${error.message}`);
-        console.error(error);
+        inputErrorsTotal.inc();
+        inputLog.error('Keyboard control error', { key: data.key, error });
     }
 }
 
-// Map browser key codes/values to robotjs-compatible key strings
-function mapKeyToRobotJS(key, code) {
+// Release any modifier keys a client left pressed, e.g. when it loses control
+function releaseHeldKeys(client) {
+    const clientKeyState = keyboardState.get(client.id);
+    if (!clientKeyState) return;
+    
+    Object.keys(clientKeyState).forEach(mod => {
+        if (!clientKeyState[mod]) return;
+        
+        clientKeyState[mod] = false;
+        if (inputBackend) {
+            try {
+                inputBackend.keyToggle(mod, 'up');
+            } catch (error) {
+                inputErrorsTotal.inc();
+                inputLog.error('Input backend error', { error });
+            }
+        }
+    });
+}
+
+// Whether a key value is a single character outside printable ASCII
+function isTypedCharacter(key) {
+    return typeof key === 'string' && [...key].length === 1 && !/^[\x20-\x7e]$/.test(key);
+}
+
+// Map browser key codes/values to input backend key names (RobotJS's)
+function mapKeyToInputKey(key, code) {
     // Special keys mapping
     const specialKeys = {
         'Backspace': 'backspace',
@@ -841,6 +2488,246 @@ function mapKeyToRobotJS(key, code) {
     return null;
 }
 
+// Serve the Prometheus metrics, behind METRICS_TOKEN when it is set
+function handleMetricsRequest(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { 'Allow': 'GET, HEAD', 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Method not allowed');
+        return;
+    }
+    
+    if (METRICS_TOKEN) {
+        const match = /^Bearer\s+(\S+)$/i.exec(req.headers['authorization'] || '');
+        if (!match || !adminApiModule.isTokenValid(match[1], METRICS_TOKEN)) {
+            res.writeHead(401, { 'WWW-Authenticate': 'Bearer realm="metrics"', 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Unauthorized');
+            return;
+        }
+    }
+    
+    const body = metrics.render();
+    res.writeHead(200, {
+        'Content-Type': metricsModule.CONTENT_TYPE,
+        'Content-Length': Buffer.byteLength(body),
+        'Cache-Control': 'no-store'
+    });
+    res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+// Public ICE and media settings for clients, the same as a registered client
+// receives except for TURN credentials, which are only handed out per client
+function handleClientConfigRequest(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { 'Allow': 'GET, HEAD', 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Method not allowed');
+        return;
+    }
+    
+    const body = JSON.stringify({
+        iceServers: getIceServers({ serverHost: getRequestHost(req), turnCredential: null, session: null }),
+        ...config.media
+    });
+    res.writeHead(200, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body),
+        'Cache-Control': 'no-store'
+    });
+    res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+// Admin API actions (see lib/admin-api.js). Each returns a JSON-ready object,
+// or null when the session does not exist.
+
+function describeClient(client) {
+    return {
+        clientId: client.id,
+        role: client.role,
+        name: client.name,
+        ip: client.ip,
+        outsideAllowed: client.outsideAllowed,
+        protocolVersion: client.protocolVersion,
+        connectedAt: new Date(client.connectedAt).toISOString(),
+        uptimeSeconds: Math.round((Date.now() - client.connectedAt) / 1000),
+        suspended: client.suspended,
+        headless: client.headless,
+        streaming: client.streaming,
+        messageRates: client.messageRates
+    };
+}
+
+function describeSession(session) {
+    const pairedViewers = clientPeers.get(session.host.id) || new Map();
+    
+    return {
+        sessionId: session.id,
+        createdAt: new Date(session.createdAt).toISOString(),
+        uptimeSeconds: Math.round((Date.now() - session.createdAt) / 1000),
+        pinProtected: Boolean(session.pinHash),
+        controlPolicy: session.controlPolicy,
+        controllerId: session.controllerId,
+        host: { ...describeClient(session.host), ready: session.host.ready },
+        viewers: [...session.viewers.values()].map((viewer) => ({
+            ...describeClient(viewer),
+            permission: viewer.permission
+        })),
+        pending: [...session.pending.values()].map(describeClient),
+        pairings: [...pairedViewers.keys()].map((viewerId) => ({ hostId: session.host.id, viewerId }))
+    };
+}
+
+function adminGetHealth() {
+    const memory = process.memoryUsage();
+    
+    return {
+        status: 'ok',
+        version: packageInfo.version,
+        protocolVersion: protocol.PROTOCOL_VERSION,
+        startedAt: new Date(SERVER_STARTED_AT).toISOString(),
+        uptimeSeconds: Math.round((Date.now() - SERVER_STARTED_AT) / 1000),
+        https: USE_HTTPS,
+        input: inputBackend ? inputBackend.name : 'simulated',
+        turnRelay: turnRelay ? 'enabled' : 'disabled',
+        clients: clients.size,
+        hosts: hosts.size,
+        viewers: viewers.size,
+        sessions: sessions.size,
+        memory: {
+            rssBytes: memory.rss,
+            heapUsedBytes: memory.heapUsed
+        }
+    };
+}
+
+function adminListSessions() {
+    // Connected clients outside any session: viewers that have not joined yet
+    // and sockets that never registered
+    const idleClients = [...clients.values()]
+        .filter((client) => !client.session && !client.pendingSession)
+        .map(describeClient);
+    
+    return {
+        sessions: [...sessions.values()].map(describeSession),
+        idleClients: idleClients
+    };
+}
+
+// Kick one viewer (body { clientId }) or, without a body, everyone in the session
+function adminKickSession(sessionId, body) {
+    const session = sessions.get(normalizeSessionCode(sessionId));
+    if (!session) return null;
+    
+    const reason = 'Removed from the session by the server administrator';
+    
+    if (body.clientId !== undefined) {
+        const clientId = parseInt(body.clientId);
+        const viewer = session.viewers.get(clientId) || session.pending.get(clientId);
+        if (!viewer) {
+            return { error: 'client-not-found', message: `Client ${body.clientId} is not in session ${session.id}` };
+        }
+        
+        kickClient(viewer, reason);
+        return { sessionId: session.id, kicked: [viewer.id] };
+    }
+    
+    // Viewers first, so they get only `kicked` and not `host-disconnected` as well
+    const members = [...session.viewers.values(), ...session.pending.values(), session.host];
+    members.forEach((member) => kickClient(member, reason));
+    
+    return { sessionId: session.id, kicked: members.map((member) => member.id) };
+}
+
+function adminRevokeControl(sessionId) {
+    const session = sessions.get(normalizeSessionCode(sessionId));
+    if (!session) return null;
+    
+    const previousControllerId = session.controllerId;
+    if (previousControllerId) {
+        setController(session, null, 'admin');
+    }
+    
+    return { sessionId: session.id, revokedFrom: previousControllerId };
+}
+
+const AUDIT_DISABLED = { error: 'audit-disabled', status: 409, message: 'The audit log is disabled on this server' };
+
+// A session's audit trail, also after the session ended; CSV with ?format=csv.
+// A code hosted more than once needs ?instance= to pick the registration.
+async function adminExportAudit(sessionId, query) {
+    if (!audit) return AUDIT_DISABLED;
+    
+    const id = normalizeSessionCode(sessionId);
+    const [verification, entries] = await Promise.all([
+        auditModule.verifyAuditLog(config.audit.file),
+        auditModule.readSessionEntries(config.audit.file, id, query.instance || null)
+    ]);
+    if (entries.length === 0) return null;
+    
+    const instances = auditModule.listSessionInstances(entries);
+    if (!query.instance && instances.length > 1) {
+        return {
+            error: 'ambiguous-session',
+            status: 409,
+            message: `Session ${id} was hosted ${instances.length} times; add ?instance= with one of ${instances.map((instance) => `${instance.sessionInstance} (${instance.from} to ${instance.to})`).join(', ')}`
+        };
+    }
+    
+    if (query.format === 'csv') {
+        return { text: auditModule.toCsv(entries), contentType: 'text/csv; charset=utf-8' };
+    }
+    return { sessionId: id, chainValid: verification.valid, entries };
+}
+
+// Check the whole audit log's hash chain
+async function adminVerifyAudit() {
+    if (!audit) return AUDIT_DISABLED;
+    
+    return auditModule.verifyAuditLog(config.audit.file);
+}
+
+// The input the mock backend executed, oldest first, for tests driving the
+// server from outside
+function adminListInputActions() {
+    if (!inputBackend || inputBackend.name !== 'mock') {
+        return { error: 'no-mock-input', status: 409, message: 'Only the mock input backend records input' };
+    }
+    return { actions: inputBackend.actions };
+}
+
+// Admin dashboard channel (see lib/admin-channel.js): the full state pushed to
+// every dashboard, and actions that return { ok, message }
+function getAdminSnapshot() {
+    return {
+        health: adminGetHealth(),
+        ...adminListSessions()
+    };
+}
+
+function dashboardKickClient(clientId) {
+    const client = clients.get(clientId);
+    if (!client) {
+        return { ok: false, message: `No client ${clientId}` };
+    }
+    
+    kickClient(client, 'Disconnected by the server administrator');
+    return { ok: true, message: `Kicked client ${clientId}` };
+}
+
+function dashboardEndSession(sessionId) {
+    const result = adminKickSession(sessionId, {});
+    if (!result) {
+        return { ok: false, message: `No session ${sessionId}` };
+    }
+    return { ok: true, message: `Ended session ${result.sessionId}` };
+}
+
+function dashboardRevokeControl(sessionId) {
+    const result = adminRevokeControl(sessionId);
+    if (!result) {
+        return { ok: false, message: `No session ${sessionId}` };
+    }
+    return { ok: true, message: result.revokedFrom ? `Revoked control from client ${result.revokedFrom}` : 'Nobody held control' };
+}
+
 // Function to test network interfaces
 function testNetworkInterfaces() {
     const interfaces = os.networkInterfaces();
@@ -854,41 +2741,81 @@ function testNetworkInterfaces() {
 }
 
 // Start server
-server.listen(PORT, '0.0.0.0', () => {
+server.listen(PORT, HOST, () => {
     console.log('\n==========================================');
     console.log('   Remote Desktop Server');
     console.log('==========================================\n');
     
-    console.log(`Server running on port ${PORT}`);
-    console.log(`Local access: http://localhost:${PORT}`);
+    console.log(`Server running on ${HOST}:${PORT} (${USE_HTTPS ? 'HTTPS/WSS' : 'HTTP/WS'})`);
+    console.log(`Local access: ${HTTP_SCHEME}://localhost:${PORT}`);
     
     const ips = getLocalIPs();
-    if (ips.length > 0) {
+    if (HOST !== '0.0.0.0' && HOST !== '::') {
+        console.log(`\nOnly reachable on ${HOST}; bind 0.0.0.0 (--host) to accept other devices.`);
+    } else if (ips.length > 0) {
         console.log('\nNetwork access:');
         ips.forEach(ip => {
-            console.log(`  http://${ip}:${PORT}`);
+            console.log(`  ${HTTP_SCHEME}://${ip}:${PORT}`);
         });
     } else {
         console.log('\nWARNING: No network interfaces detected! This might prevent access from other devices.');
     }
     
+    if (tlsCredentials && tlsCredentials.selfSigned) {
+        console.log('\n🔐 Self-signed certificate: browsers will warn once per device.');
+        console.log(`   Check the SHA-256 fingerprint before accepting it:\n   ${tlsCredentials.fingerprint}`);
+    }
+    
     // Test and show detailed network interface info
     testNetworkInterfaces();
     
+    if (turnRelay) {
+        turnRelay.start();
+        console.log(`\n🔁 STUN/TURN relay: UDP port ${config.turn.port}, relaying on ports ${config.turn.minPort}-${config.turn.maxPort}`);
+        console.log('   Open these UDP ports in the firewall for peers on other subnets.');
+    }
+    
+    if (headlessHost) {
+        headlessHost.start();
+        console.log(`\n🖥️  Headless host "${HEADLESS_NAME}": session ${HEADLESS_SESSION_CODE || '(random code, see the log)'}, ${config.headless.capture} capture at ${config.headless.frameRate} fps`);
+        if (!config.headless.pin) {
+            console.log('   ⚠️  No headless.pin set: anyone who knows the session code can watch.');
+        }
+    }
+    
+    console.log(`\n⚙️  Effective configuration${configPath ? ` (config file: ${configPath})` : ''}:`);
+    configModule.describeConfig(config, configSources).forEach((line) => console.log(`  ${line}`));
+    
     console.log('\n📋 Instructions:');
     console.log('1. Open the URL in browser on both computers');
     console.log('2. Host: Click "Host" then "Start Screen Share"');
-    console.log('3. Client: Click "Client" and wait for connection');
+    console.log('3. Client: Click "Client" and enter the host\'s session code');
     console.log('4. Client: Click "Enable Control" to control the host\n');
     
     console.log('ℹ️ Network Tips:');
     console.log('- Make sure your firewall allows incoming connections to port ' + PORT);
     console.log('- Both devices must be on the same network');
     console.log('- Try accessing the specific IP addresses shown above');
+    if (!USE_HTTPS) {
+        console.log('- Browsers only allow screen sharing over HTTPS or on localhost; use --https (HTTPS=1) to host from another machine');
+    }
+    
+    console.log(`\n🔑 Admin dashboard: ${HTTP_SCHEME}://localhost:${PORT}/admin`);
+    console.log(`   Admin API: ${HTTP_SCHEME}://localhost:${PORT}/api/health (Authorization: Bearer <token>)`);
+    if (ADMIN_TOKEN_GENERATED) {
+        console.log(`   Generated admin token (set ADMIN_TOKEN or admin.token to choose one): ${ADMIN_TOKEN}`);
+    }
+    console.log(`📈 Metrics: ${HTTP_SCHEME}://localhost:${PORT}/metrics${METRICS_TOKEN ? ' (Authorization: Bearer <METRICS_TOKEN>)' : ''}`);
     
-    if (!robot) {
-        console.log('\n⚠️  Note: RobotJS not installed - remote control simulated');
-        console.log('   Run: npm install robotjs');
+    if (!config.input.enabled) {
+        console.log('\n⚠️  Note: input injection disabled - remote control simulated');
+    } else if (!inputBackend) {
+        console.log(`\n⚠️  Note: input backend '${config.input.backend}' not available - remote control simulated`);
+        if (config.input.backend === 'robotjs') {
+            console.log('   Run: npm install robotjs');
+        }
+    } else if (inputBackend.name === 'mock') {
+        console.log('\n⚠️  Note: mock input backend - remote input is recorded, not executed');
     }
     
     console.log('\nPress Ctrl+C to stop\n');
@@ -896,7 +2823,7 @@ server.listen(PORT, '0.0.0.0', () => {
 
 // Graceful shutdown
 process.on('SIGINT', () => {
-    console.log('\nShutting down...');
+    serverLog.info('Shutting down...');
     
     // Notify all clients
     clients.forEach((client) => {
@@ -905,10 +2832,23 @@ process.on('SIGINT', () => {
         });
     });
     
+    adminChannel.close();
+    if (headlessHost) {
+        headlessHost.stop();
+    }
+    if (turnRelay) {
+        turnRelay.stop();
+    }
+    if (audit) {
+        clients.forEach(flushInputActivity);
+        audit.record('server-stopped');
+        audit.close();
+        audit = null;
+    }
     wss.close(() => {
         server.close(() => {
-            console.log('Server stopped');
-            process.exit(0);
+            serverLog.info('Server stopped');
+            logger.close(() => process.exit(0));
         });
     });
 });
\ No newline at end of file
@@ -0,0 +1,150 @@
+// Audit log: the hash chain, finding edited, removed and reordered entries,
+// exports by session registration and the verify/export command
+
+const assert = require('assert');
+const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const audit = require('../lib/audit');
+const { runTests } = require('./helpers');
+
+const TOOL = path.join(__dirname, '..', 'tools', 'audit.js');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+const file = path.join(dir, 'logs', 'audit.jsonl');
+const log = { error: (msg, fields) => { throw fields.error || new Error(msg); } };
+
+function readLines(target = file) {
+    return fs.readFileSync(target, 'utf8').split('\n').filter(Boolean);
+}
+
+// A copy of the log with its lines changed by edit(lines)
+function tampered(name, edit) {
+    const target = path.join(dir, name);
+    fs.writeFileSync(target, edit(readLines()).join('\n') + '\n');
+    return target;
+}
+
+function runTool(args) {
+    const result = spawnSync(process.execPath, [TOOL, ...args], { encoding: 'utf8' });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+runTests(__filename, [
+    ['chains every entry to the one before it', async () => {
+        const auditLog = audit.createAuditLog({ file, log });
+        auditLog.record('client-registered', { sessionId: 'ABC-234-DEF', sessionInstance: 'aa11', clientId: 1, role: 'host' });
+        auditLog.record('viewer-admitted', { sessionId: 'ABC-234-DEF', sessionInstance: 'aa11', clientId: 2, name: 'Alice, "Ops"', ip: null });
+        auditLog.close();
+
+        const [first, second] = readLines().map((line) => JSON.parse(line));
+        assert.strictEqual(first.seq, 1);
+        assert.strictEqual(first.prevHash, audit.GENESIS_HASH);
+        assert.strictEqual(second.seq, 2);
+        assert.strictEqual(second.prevHash, first.hash);
+        assert.ok(!('ip' in second), 'null fields are left out');
+
+        const result = await audit.verifyAuditLog(file);
+        assert.deepStrictEqual(result, { valid: true, entries: 2, lastHash: second.hash });
+    }],
+
+    ['continues the chain after a restart', async () => {
+        const auditLog = audit.createAuditLog({ file, log });
+        auditLog.record('client-registered', { sessionId: 'ABC-234-DEF', sessionInstance: 'bb22', clientId: 3, role: 'host' });
+        auditLog.record('join-refused', { sessionId: 'ABC-234-DEF', clientId: 4, reason: 'session-not-found' });
+        auditLog.close();
+
+        const result = await audit.verifyAuditLog(file);
+        assert.strictEqual(result.valid, true);
+        assert.strictEqual(result.entries, 4);
+        assert.strictEqual(JSON.parse(readLines()[2]).seq, 3);
+    }],
+
+    ['refuses to continue a log that ends with a damaged entry', async () => {
+        const target = tampered('cut.jsonl', (lines) => [...lines.slice(0, -1), lines[lines.length - 1].slice(0, 40)]);
+        assert.throws(() => audit.createAuditLog({ file: target, log }), /ends with a damaged entry/);
+    }],
+
+    ['finds edited, removed and reordered entries', async () => {
+        const edited = tampered('edited.jsonl', (lines) => {
+            lines[1] = lines[1].replace('"clientId":2', '"clientId":9');
+            return lines;
+        });
+        assert.deepStrictEqual(await audit.verifyAuditLog(edited),
+            { valid: false, entries: 1, line: 2, seq: 2, problem: 'hash does not match the entry contents' });
+
+        const rehashed = tampered('rehashed.jsonl', (lines) => {
+            const { hash, ...body } = JSON.parse(lines[1]);
+            body.clientId = 9;
+            lines[1] = JSON.stringify({ ...body, hash: crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex') });
+            return lines;
+        });
+        const rehashedResult = await audit.verifyAuditLog(rehashed);
+        assert.strictEqual(rehashedResult.line, 3);
+        assert.strictEqual(rehashedResult.problem, 'prevHash does not match the previous entry');
+
+        const removed = tampered('removed.jsonl', (lines) => [lines[0], ...lines.slice(2)]);
+        assert.strictEqual((await audit.verifyAuditLog(removed)).problem, 'expected seq 2, found 3');
+
+        const reordered = tampered('reordered.jsonl', (lines) => [lines[1], lines[0], ...lines.slice(2)]);
+        assert.strictEqual((await audit.verifyAuditLog(reordered)).problem, 'expected seq 1, found 2');
+
+        const garbage = tampered('garbage.jsonl', (lines) => [lines[0], 'not json', ...lines.slice(1)]);
+        assert.deepStrictEqual(await audit.verifyAuditLog(garbage), { valid: false, entries: 1, line: 2, seq: undefined, problem: 'not valid JSON' });
+    }],
+
+    ['fails verification when the log file is missing', async () => {
+        assert.deepStrictEqual(await audit.verifyAuditLog(path.join(dir, 'deleted.jsonl')),
+            { valid: false, entries: 0, problem: 'log file not found' });
+    }],
+
+    ['tells registrations of one session code apart', async () => {
+        const all = await audit.readSessionEntries(file, 'ABC-234-DEF');
+        assert.strictEqual(all.length, 4);
+        assert.deepStrictEqual(audit.listSessionInstances(all).map((instance) => [instance.sessionInstance, instance.entries]),
+            [['aa11', 2], ['bb22', 1]]);
+
+        const second = await audit.readSessionEntries(file, 'ABC-234-DEF', 'bb22');
+        assert.deepStrictEqual(second.map((entry) => entry.seq), [3]);
+        assert.deepStrictEqual(await audit.readSessionEntries(file, 'XYZ-234-DEF'), []);
+    }],
+
+    ['exports CSV with quoted cells and the other fields as details', async () => {
+        const csv = audit.toCsv(await audit.readSessionEntries(file, 'ABC-234-DEF', 'aa11')).split('\n');
+        assert.strictEqual(csv[0], 'seq,time,event,sessionId,sessionInstance,clientId,ip,name,role,details,hash');
+        assert.ok(csv[2].includes(',"Alice, ""Ops""",'), csv[2]);
+        assert.ok(csv[1].includes(',host,,'), 'a row without details');
+        assert.ok(!csv.join('\n').includes('prevHash'));
+    }],
+
+    ['exits non-zero when verify finds a problem', async () => {
+        const ok = runTool(['verify', '--file', file]);
+        assert.strictEqual(ok.status, 0, ok.stderr);
+        assert.match(ok.stdout, /^OK: 4 entries/);
+
+        const edited = runTool(['verify', '--file', path.join(dir, 'edited.jsonl')]);
+        assert.strictEqual(edited.status, 1);
+        assert.match(edited.stderr, /TAMPERED: .* line 2 \(seq 2\)/);
+
+        const missing = runTool(['verify', '--file', path.join(dir, 'deleted.jsonl')]);
+        assert.strictEqual(missing.status, 1);
+        assert.match(missing.stderr, /FAILED: .*: log file not found/);
+    }],
+
+    ['asks which registration to export when a code was hosted twice', async () => {
+        const ambiguous = runTool(['export', 'abc234def', '--file', file]);
+        assert.strictEqual(ambiguous.status, 2);
+        assert.match(ambiguous.stderr, /hosted 2 times/);
+        assert.match(ambiguous.stderr, /aa11/);
+
+        const exported = runTool(['export', 'ABC-234-DEF', '--instance', 'aa11', '--file', file]);
+        assert.strictEqual(exported.status, 0, exported.stderr);
+        const result = JSON.parse(exported.stdout);
+        assert.strictEqual(result.chainValid, true);
+        assert.deepStrictEqual(result.entries.map((entry) => entry.seq), [1, 2]);
+    }]
+], async () => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
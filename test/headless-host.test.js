@@ -0,0 +1,121 @@
+// The headless host against the test-pattern capture source and the mock
+// input backend: registration, admission, streaming, the control floor and
+// registering again after an administrator ends its session
+
+const assert = require('assert');
+const { startServer, connect, register, waitForController, request, recordedInput, sleep, runTests } = require('./helpers');
+
+const PORT = 19481;
+const TOKEN = 'test-admin-token';
+const SESSION = 'LAB-204-PCX';
+
+const SERVER_ENV = {
+    PORT,
+    ADMIN_TOKEN: TOKEN,
+    HEADLESS: '1',
+    HEADLESS_CAPTURE: 'test-pattern',
+    HEADLESS_SESSION: 'lab 204 pcx',
+    HEADLESS_PIN: '2468',
+    HEADLESS_PERMISSION: 'full',
+    HEADLESS_FPS: '10',
+    INPUT_BACKEND: 'mock',
+    SCREEN_SIZE: '1000x500'
+};
+
+let server;
+let firstHostId;
+const clients = [];
+
+async function joinAsViewer(name) {
+    const viewer = await connect(PORT);
+    clients.push(viewer);
+    const registered = await register(viewer, 'client');
+    viewer.send({ type: 'connect-to-host', sessionId: 'LAB204PCX', pin: '2468', name });
+    const available = await viewer.waitFor('host-available');
+    return { viewer, clientId: registered.clientId, available };
+}
+
+async function headlessSession() {
+    const response = await request(PORT, '/api/sessions', { token: TOKEN });
+    return JSON.parse(response.body).sessions.find((session) => session.sessionId === SESSION);
+}
+
+runTests(__filename, [
+    ['refuses to start with control permission but no PIN', async () => {
+        const { HEADLESS_PIN, ...withoutPin } = SERVER_ENV;
+        await assert.rejects(startServer({ ...withoutPin, HEADLESS_PERMISSION: 'keyboard' }), /'keyboard' needs a headless.pin/);
+    }],
+
+    ['registers under its fixed session code', async () => {
+        server = await startServer(SERVER_ENV);
+        await sleep(200);
+        const session = await headlessSession();
+        assert.ok(session, 'session listed');
+        assert.strictEqual(session.host.headless, true);
+        firstHostId = session.host.clientId;
+    }],
+
+    ['asks for the PIN and admits viewers with the configured permission', async () => {
+        const viewer = await connect(PORT);
+        clients.push(viewer);
+        await register(viewer, 'client');
+        viewer.send({ type: 'connect-to-host', sessionId: 'LAB204PCX', pin: '1111' });
+        assert.strictEqual((await viewer.waitFor('error')).code, 'invalid-pin');
+
+        const { available } = await joinAsViewer('Alice');
+        assert.strictEqual(available.permission, 'full');
+        assert.strictEqual(available.sessionId, SESSION);
+    }],
+
+    ['streams PNG tiles, starting with a keyframe', async () => {
+        const { viewer } = await joinAsViewer('Bob');
+        await viewer.waitFor('stream-start');
+        const frame = (await viewer.waitFor('__binary')).data;
+        assert.strictEqual(frame.readUInt8(0), 1, 'frame kind');
+        assert.strictEqual(frame.readUInt8(1) & 1, 1, 'keyframe flag');
+        assert.strictEqual(frame.readUInt16BE(2), 640);
+        assert.strictEqual(frame.readUInt16BE(4), 360);
+        const firstTile = frame.subarray(12 + 12, 12 + 12 + 8);
+        assert.deepStrictEqual([...firstTile], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    }],
+
+    ['grants control to the first viewer to ask and executes its input', async () => {
+        const first = await joinAsViewer('Carol');
+        first.viewer.send({ type: 'control-request' });
+        await waitForController(first.viewer, first.clientId);
+
+        const second = await joinAsViewer('Dave');
+        second.viewer.send({ type: 'control-request' });
+        assert.strictEqual((await second.viewer.waitFor('error')).code, 'control-denied');
+
+        first.viewer.send({ type: 'control', action: 'mousemove', x: 0.25, y: 0.5 });
+        await sleep(200);
+        assert.deepStrictEqual(await recordedInput(server, TOKEN), [{ action: 'moveMouse', x: 250, y: 250 }]);
+    }],
+
+    ['registers again under the same code after an administrator ends its session', async () => {
+        const kicked = await request(PORT, `/api/sessions/${SESSION}/kick`, { method: 'POST', token: TOKEN, body: {} });
+        assert.strictEqual(kicked.status, 200, kicked.body);
+        assert.strictEqual(await headlessSession(), undefined);
+
+        await sleep(5500);
+        const session = await headlessSession();
+        assert.ok(session, 'session listed again');
+        assert.notStrictEqual(session.host.clientId, firstHostId);
+        const { available } = await joinAsViewer('Erin');
+        assert.strictEqual(available.sessionId, SESSION);
+    }],
+
+    ['leaves the connections allowed per IP to local viewers', async () => {
+        clients.splice(0).forEach((client) => client.close());
+        await server.stop();
+        server = await startServer({ ...SERVER_ENV, MAX_CONNECTIONS_PER_IP: '1' });
+        await sleep(200);
+
+        const { available } = await joinAsViewer('Frank');
+        assert.strictEqual(available.sessionId, SESSION);
+    }]
+], async () => {
+    clients.forEach((client) => client.close());
+    if (server) await server.stop();
+});
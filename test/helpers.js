@@ -0,0 +1,177 @@
+// Shared helpers for the tests: run server.js in a child process and talk to
+// it like a browser client would
+
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+const WebSocket = require('ws');
+
+const ROOT = path.join(__dirname, '..');
+const START_TIMEOUT_MS = 10000;
+const WAIT_TIMEOUT_MS = 3000;
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Start the server with the given environment on top of quiet test
+// defaults. Resolves once it listens, to { port, output(), stop() }; rejects
+// with the output if it exits first.
+function startServer(env = {}, args = []) {
+    const port = env.PORT;
+    const child = spawn(process.execPath, ['server.js', ...args], {
+        cwd: ROOT,
+        env: { ...process.env, AUDIT_ENABLED: '0', LOG_FORMAT: 'json', ...env }
+    });
+
+    let output = '';
+    const server = {
+        port,
+        output: () => output,
+        stop() {
+            if (child.exitCode !== null) return Promise.resolve();
+            return new Promise((resolve) => {
+                child.once('exit', resolve);
+                child.kill();
+            });
+        }
+    };
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error(`Server did not start:\n${output}`));
+        }, START_TIMEOUT_MS);
+
+        const collect = (data) => {
+            output += data;
+            if (output.includes('Press Ctrl+C')) {
+                clearTimeout(timer);
+                resolve(server);
+            }
+        };
+        child.stdout.on('data', collect);
+        child.stderr.on('data', collect);
+        child.on('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with ${code}:\n${output}`));
+        });
+    });
+}
+
+// Open a WebSocket client. waitFor(type) resolves to the next message of that
+// type, taking it out of the queue; binary messages have the type '__binary'.
+function connect(port) {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}`);
+    const messages = [];
+    const waiters = [];
+
+    ws.on('message', (data, isBinary) => {
+        messages.push(isBinary ? { type: '__binary', data } : JSON.parse(data.toString()));
+        waiters.slice().forEach((check) => check());
+    });
+
+    const client = {
+        ws,
+        messages,
+        send(message) {
+            ws.send(Buffer.isBuffer(message) ? message : JSON.stringify(message));
+        },
+        waitFor(type, timeoutMs = WAIT_TIMEOUT_MS) {
+            return new Promise((resolve, reject) => {
+                const check = () => {
+                    const index = messages.findIndex((message) => message.type === type);
+                    if (index === -1) return false;
+                    waiters.splice(waiters.indexOf(check), 1);
+                    clearTimeout(timer);
+                    resolve(messages.splice(index, 1)[0]);
+                    return true;
+                };
+                const timer = setTimeout(() => {
+                    waiters.splice(waiters.indexOf(check), 1);
+                    reject(new Error(`No '${type}' message; got ${messages.map((message) => message.type).join(', ') || 'nothing'}`));
+                }, timeoutMs);
+                waiters.push(check);
+                check();
+            });
+        },
+        close() {
+            ws.close();
+        }
+    };
+
+    return new Promise((resolve, reject) => {
+        ws.once('open', () => resolve(client));
+        ws.once('error', reject);
+    });
+}
+
+// Register a client in the given role and resolve to its 'registered' reply
+async function register(client, role) {
+    client.send({ type: 'register', role, protocolVersion: 1 });
+    return client.waitFor('registered');
+}
+
+// Wait until the session's control floor belongs to the given client
+async function waitForController(client, clientId) {
+    let state = await client.waitFor('control-state');
+    while (state.controllerId !== clientId) {
+        state = await client.waitFor('control-state');
+    }
+}
+
+// GET or POST an admin API or metrics URL; resolves to { status, body }
+function request(port, urlPath, { method = 'GET', token = null, body = null } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, path: urlPath, method, headers }, (res) => {
+            let text = '';
+            res.on('data', (chunk) => { text += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: text }));
+        });
+        req.on('error', reject);
+        req.end(body ? JSON.stringify(body) : undefined);
+    });
+}
+
+// The actions the mock input backend recorded so far, oldest first (start the
+// server with INPUT_BACKEND=mock and an ADMIN_TOKEN)
+async function recordedInput(server, token) {
+    const response = await request(server.port, '/api/input/actions', { token });
+    if (response.status !== 200) {
+        throw new Error(`Cannot read the recorded input: ${response.status} ${response.body}`);
+    }
+    return JSON.parse(response.body).actions;
+}
+
+// Run named async test cases in order and exit with the result; cleanup runs
+// after the last one whatever happened
+async function runTests(file, tests, cleanup = async () => {}) {
+    let failed = 0;
+    for (const [name, run] of tests) {
+        try {
+            await run();
+            console.log(`  ok   ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`  FAIL ${name}\n${error.stack}`);
+        }
+    }
+    await cleanup();
+
+    console.log(`${path.basename(file)}: ${tests.length - failed} of ${tests.length} passed`);
+    process.exit(failed ? 1 : 0);
+}
+
+module.exports = {
+    sleep,
+    runTests,
+    startServer,
+    connect,
+    register,
+    waitForController,
+    request,
+    recordedInput
+};
@@ -0,0 +1,213 @@
+// Control messages through server.js into the mock input backend: moves,
+// clicks, keys and scrolling from the viewer holding the control floor, and
+// the input dropped for viewers without the floor or the permission. Also
+// what the command-line backends report when a command fails.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createXdotoolBackend } = require('../lib/input');
+const { startServer, connect, register, waitForController, request, recordedInput, sleep, runTests } = require('./helpers');
+
+const PORT = 19482;
+const TOKEN = 'test-admin-token';
+
+const SERVER_ENV = {
+    PORT,
+    INPUT_BACKEND: 'mock',
+    SCREEN_SIZE: '1000x500',
+    MOUSE_MOVE_INTERVAL_MS: '0',
+    ADMIN_TOKEN: TOKEN
+};
+
+// Time for the server to execute a message
+const SETTLE_MS = 200;
+
+let server;
+let host;
+let sessionId;
+const viewers = {};
+const clients = [];
+
+// Admit a viewer with the given permission, the way a host page would
+async function admit(name, permission) {
+    const viewer = await connect(PORT);
+    clients.push(viewer);
+    const { clientId } = await register(viewer, 'client');
+    viewer.send({ type: 'connect-to-host', sessionId, name });
+
+    const joinRequest = await host.waitFor('join-request');
+    host.send({ type: 'join-response', clientId: joinRequest.clientId, decision: 'accept', permission });
+    await viewer.waitFor('host-available');
+    return { viewer, clientId };
+}
+
+async function giveFloor({ viewer, clientId }) {
+    host.send({ type: 'control-grant', clientId });
+    await waitForController(viewer, clientId);
+}
+
+// The actions the mock executed while sending the given messages
+async function inputFrom(viewer, messages) {
+    const before = (await recordedInput(server, TOKEN)).length;
+    messages.forEach((message) => viewer.send(message));
+    await sleep(SETTLE_MS);
+    return (await recordedInput(server, TOKEN)).slice(before);
+}
+
+function control(action, fields = {}) {
+    return { type: 'control', action, ...fields };
+}
+
+// An xdotool that knows the display but fails every input command, echoing
+// its arguments like the real one does for unknown keys
+function installFailingXdotool() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'input-test-'));
+    fs.writeFileSync(path.join(dir, 'xdotool'), [
+        '#!/bin/sh',
+        'case "$1" in',
+        '  getdisplaygeometry) echo "1000 500";;',
+        '  getmouselocation) printf "X=0\\nY=0\\n";;',
+        '  *) echo "cannot run $*" >&2; exit 1;;',
+        'esac'
+    ].join('\n') + '\n', { mode: 0o755 });
+    process.env.PATH = dir + path.delimiter + process.env.PATH;
+    return dir;
+}
+
+runTests(__filename, [
+    ['admits viewers to a host page session', async () => {
+        server = await startServer(SERVER_ENV);
+        host = await connect(PORT);
+        clients.push(host);
+        sessionId = (await register(host, 'host')).sessionId;
+        host.send({ type: 'host-ready' });
+        await sleep(SETTLE_MS);
+
+        viewers.full = await admit('Alice', 'full');
+        viewers.pointer = await admit('Bob', 'pointer');
+        viewers.view = await admit('Carol', 'view');
+        await giveFloor(viewers.full);
+    }],
+
+    ['moves the mouse from JSON and binary moves', async () => {
+        const actions = await inputFrom(viewers.full.viewer, [
+            control('mousemove', { x: 0.25, y: 0.5 }),
+            Buffer.from(new Float32Array([0.5, 0.2]).buffer)
+        ]);
+        assert.deepStrictEqual(actions, [
+            { action: 'moveMouse', x: 250, y: 250 },
+            { action: 'moveMouse', x: 500, y: 100 }
+        ]);
+    }],
+
+    ['clicks with the given button where it was asked to', async () => {
+        const actions = await inputFrom(viewers.full.viewer, [
+            control('click', { x: 0.1, y: 0.1 }),
+            control('rightclick', { x: 0.2, y: 0.2 }),
+            control('mousedown', { x: 0.2, y: 0.2, button: 1 }),
+            control('mouseup', { x: 0.2, y: 0.2, button: 1 })
+        ]);
+        assert.deepStrictEqual(actions, [
+            { action: 'moveMouse', x: 100, y: 50 },
+            { action: 'mouseToggle', direction: 'down', button: 'left' },
+            { action: 'mouseToggle', direction: 'up', button: 'left' },
+            { action: 'moveMouse', x: 200, y: 100 },
+            { action: 'mouseToggle', direction: 'down', button: 'right' },
+            { action: 'mouseToggle', direction: 'up', button: 'right' },
+            { action: 'moveMouse', x: 200, y: 100 },
+            { action: 'mouseToggle', direction: 'down', button: 'middle' },
+            { action: 'moveMouse', x: 200, y: 100 },
+            { action: 'mouseToggle', direction: 'up', button: 'middle' }
+        ]);
+    }],
+
+    ['presses keys with their modifiers and types characters without a key', async () => {
+        const actions = await inputFrom(viewers.full.viewer, [
+            control('keydown', { key: 'A', code: 'KeyA', shiftKey: true }),
+            control('keyup', { key: 'a', code: 'KeyA' }),
+            control('keydown', { key: 'é', code: 'Quote' }),
+            control('keyup', { key: 'é', code: 'Quote' })
+        ]);
+        assert.deepStrictEqual(actions, [
+            { action: 'keyToggle', key: 'shift', direction: 'down' },
+            { action: 'keyToggle', key: 'a', direction: 'down' },
+            { action: 'keyToggle', key: 'a', direction: 'up' },
+            { action: 'keyToggle', key: 'shift', direction: 'up' },
+            { action: 'typeString', text: 'é' }
+        ]);
+    }],
+
+    ['scrolls by wheel notches, capped per event', async () => {
+        const actions = await inputFrom(viewers.full.viewer, [
+            control('wheel', { x: 0.5, y: 0.5, deltaY: 250, mode: 0 }),
+            control('wheel', { x: 0.5, y: 0.5, deltaX: 2000, deltaY: -3, mode: 1 })
+        ]);
+        assert.deepStrictEqual(actions, [
+            { action: 'moveMouse', x: 500, y: 250 },
+            { action: 'scrollMouse', x: 0, y: 2.5 },
+            { action: 'moveMouse', x: 500, y: 250 },
+            { action: 'scrollMouse', x: 5, y: -1 }
+        ]);
+    }],
+
+    ['drops keys from a viewer with pointer permission only', async () => {
+        await giveFloor(viewers.pointer);
+        const actions = await inputFrom(viewers.pointer.viewer, [
+            control('keydown', { key: 'a', code: 'KeyA' }),
+            control('click', { x: 0.3, y: 0.3 })
+        ]);
+        assert.deepStrictEqual(actions, [
+            { action: 'moveMouse', x: 300, y: 150 },
+            { action: 'mouseToggle', direction: 'down', button: 'left' },
+            { action: 'mouseToggle', direction: 'up', button: 'left' }
+        ]);
+    }],
+
+    ['drops input from viewers without the control floor', async () => {
+        const actions = await inputFrom(viewers.full.viewer, [
+            control('click', { x: 0.4, y: 0.4 }),
+            Buffer.from(new Float32Array([0.9, 0.9]).buffer)
+        ]);
+        assert.deepStrictEqual(actions, []);
+    }],
+
+    ['never hands the floor to a viewer with view permission', async () => {
+        const { viewer, clientId } = viewers.view;
+        viewer.send({ type: 'control-request' });
+        assert.strictEqual((await viewer.waitFor('error')).code, 'not-permitted');
+        host.send({ type: 'control-grant', clientId });
+        assert.strictEqual((await host.waitFor('error')).code, 'invalid-target');
+
+        const actions = await inputFrom(viewer, [control('mousemove', { x: 0.9, y: 0.9 })]);
+        assert.deepStrictEqual(actions, []);
+    }],
+
+    ['counts the dropped input by reason', async () => {
+        const metrics = (await request(PORT, '/metrics')).body;
+        assert.match(metrics, /remote_desktop_control_events_dropped_total\{reason="not-permitted"\} 1\n/);
+        assert.match(metrics, /remote_desktop_control_events_dropped_total\{reason="no-control"\} 3\n/);
+    }],
+
+    ['keeps pressed keys and typed text out of input errors', async () => {
+        const dir = installFailingXdotool();
+        try {
+            const errors = [];
+            const backend = createXdotoolBackend({ onError: (error) => errors.push(error.message) });
+            backend.typeString('hunter2');
+            backend.keyToggle('q', 'down');
+            assert.throws(() => backend.keyToggle('secret', 'down'), (error) => !error.message.includes('secret'));
+
+            for (let waited = 0; errors.length < 2 && waited < 3000; waited += 50) {
+                await sleep(50);
+            }
+            assert.deepStrictEqual(errors, ['xdotool type failed: exit status 1', 'xdotool keydown failed: exit status 1']);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }]
+], async () => {
+    clients.forEach((client) => client.close());
+    if (server) await server.stop();
+});
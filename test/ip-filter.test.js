@@ -0,0 +1,77 @@
+// IP allow and deny lists: parsing addresses and CIDR ranges, matching on
+// prefix bits, IPv4-mapped IPv6 addresses and LAN-only mode
+
+const assert = require('assert');
+const { parseAddress, parseRule, createIpFilter } = require('../lib/ip-filter');
+const { runTests } = require('./helpers');
+
+function checkAll(filter, addresses) {
+    return addresses.map((address) => filter.check(address));
+}
+
+runTests(__filename, [
+    ['parses IPv4, IPv6 and IPv4-mapped addresses', async () => {
+        assert.deepStrictEqual([...parseAddress('192.168.1.20')], [192, 168, 1, 20]);
+        assert.deepStrictEqual([...parseAddress('::ffff:192.168.1.20')], [192, 168, 1, 20]);
+        assert.deepStrictEqual([...parseAddress('::ffff:c0a8:114')], [192, 168, 1, 20]);
+        assert.strictEqual(parseAddress('fe80::1%eth0').toString('hex'), 'fe800000000000000000000000000001');
+        assert.strictEqual(parseAddress('2001:db8::8a2e:370:7334').toString('hex'), '20010db80000000000008a2e03707334');
+        assert.strictEqual(parseAddress('::1').toString('hex'), '00000000000000000000000000000001');
+        for (const invalid of ['', 'localhost', '256.1.1.1', '1.2.3', '::g', null, undefined, 1234]) {
+            assert.strictEqual(parseAddress(invalid), null, String(invalid));
+        }
+    }],
+
+    ['parses rules and refuses anything that is not an address or range', async () => {
+        assert.strictEqual(parseRule('10.0.0.0/8').prefix, 8);
+        assert.strictEqual(parseRule('10.1.2.3').prefix, 32);
+        assert.strictEqual(parseRule('fd00::/8').prefix, 8);
+        assert.strictEqual(parseRule(' ::ffff:10.0.0.0/104 ').prefix, 8);
+        for (const invalid of ['10.0.0.0/33', '10.0.0.0/-1', '10.0.0.0/8/8', '10.0.0.0/', '10.0.0.0/0x8', 'fd00::/129', '::ffff:10.0.0.0/95', 'example.com', '*']) {
+            assert.throws(() => parseRule(invalid), /is not an IP address or CIDR range/, invalid);
+        }
+    }],
+
+    ['matches ranges on their prefix bits only', async () => {
+        const filter = createIpFilter({ allow: ['192.168.4.0/22', '10.1.2.3', 'fd00:1::/32'] });
+        assert.deepStrictEqual(checkAll(filter, [
+            '192.168.4.1', '192.168.7.255', '192.168.8.0', '192.168.3.255',
+            '10.1.2.3', '10.1.2.4',
+            'fd00:1:ffff::1', 'fd00:2::1'
+        ]), [
+            'allowed', 'allowed', 'outside', 'outside',
+            'allowed', 'outside',
+            'allowed', 'outside'
+        ]);
+    }],
+
+    ['matches IPv4 clients on an IPv6 socket against IPv4 rules', async () => {
+        const filter = createIpFilter({ allow: ['10.0.0.0/8'], deny: ['::ffff:10.9.0.0/112'] });
+        assert.deepStrictEqual(checkAll(filter, ['::ffff:10.1.1.1', '::ffff:11.1.1.1', '10.9.0.5', '::ffff:10.9.0.5']),
+            ['allowed', 'outside', 'denied', 'denied']);
+    }],
+
+    ['lets deny rules win over allow rules', async () => {
+        const filter = createIpFilter({ allow: ['10.0.0.0/8'], deny: ['10.0.5.0/24'] });
+        assert.deepStrictEqual(checkAll(filter, ['10.0.4.1', '10.0.5.1']), ['allowed', 'denied']);
+    }],
+
+    ['allows everything but denied addresses without allow rules', async () => {
+        assert.strictEqual(createIpFilter({}).check('203.0.113.9'), 'allowed');
+        assert.strictEqual(createIpFilter({}).check('not an address'), 'allowed');
+
+        const filter = createIpFilter({ deny: ['203.0.113.0/24'] });
+        assert.deepStrictEqual(checkAll(filter, ['203.0.113.9', '198.51.100.1', 'not an address']),
+            ['denied', 'allowed', 'outside']);
+    }],
+
+    ['allows loopback, private and link-local addresses in LAN-only mode', async () => {
+        const filter = createIpFilter({ lanOnly: true });
+        assert.deepStrictEqual(checkAll(filter, [
+            '127.0.0.1', '::1', '::ffff:127.0.0.1', '10.20.30.40', '172.16.0.1', '172.31.255.255', '192.168.1.1',
+            '169.254.10.10', 'fd12:3456::1', 'fe80::1%eth0'
+        ]), new Array(10).fill('allowed'));
+        assert.deepStrictEqual(checkAll(filter, ['172.32.0.1', '8.8.8.8', '2001:4860::8888', '::ffff:8.8.8.8']),
+            new Array(4).fill('outside'));
+    }]
+]);
@@ -0,0 +1,112 @@
+// Signaling protocol: parsing text frames, validating messages against their
+// schema and role, binary mouse moves and version negotiation
+
+const assert = require('assert');
+const protocol = require('../lib/protocol');
+const { runTests } = require('./helpers');
+
+const { ERROR_CODES } = protocol;
+
+function validate(data, role) {
+    const error = protocol.validateMessage(data, role);
+    return error && error.code;
+}
+
+function binaryMove(x, y) {
+    return new Float32Array([x, y]).buffer;
+}
+
+runTests(__filename, [
+    ['parses a JSON object with a string type', async () => {
+        assert.deepStrictEqual(protocol.parseMessage('{"type":"ping","time":5}'), { data: { type: 'ping', time: 5 } });
+    }],
+
+    ['refuses text frames that are not a typed JSON object', async () => {
+        for (const raw of ['{"type":', '[1,2]', 'null', '"ping"', '{"type":3}', '{}']) {
+            assert.strictEqual(protocol.parseMessage(raw).error.code, ERROR_CODES.MALFORMED_MESSAGE, raw);
+        }
+    }],
+
+    ['refuses frames over the size limit before parsing them', async () => {
+        const raw = JSON.stringify({ type: 'ping', padding: 'x'.repeat(100) });
+        assert.strictEqual(protocol.parseMessage(raw, 64).error.code, ERROR_CODES.MESSAGE_TOO_LARGE);
+        assert.strictEqual(protocol.parseMessage(Buffer.from(raw), 64).error.code, ERROR_CODES.MESSAGE_TOO_LARGE);
+        assert.ok(protocol.parseMessage(raw, 1024).data);
+    }],
+
+    ['knows every message type and nothing else', async () => {
+        assert.strictEqual(validate({ type: 'ping' }, null), null);
+        assert.strictEqual(validate({ type: 'shutdown' }, 'host'), ERROR_CODES.UNKNOWN_TYPE);
+        assert.strictEqual(validate({ type: '__proto__' }, 'host'), ERROR_CODES.UNKNOWN_TYPE);
+        assert.strictEqual(validate({ type: 'constructor' }, 'host'), ERROR_CODES.UNKNOWN_TYPE);
+    }],
+
+    ['lets only registered clients in the right role send a message', async () => {
+        assert.strictEqual(validate({ type: 'host-ready' }, null), ERROR_CODES.NOT_REGISTERED);
+        assert.strictEqual(validate({ type: 'host-ready' }, 'client'), ERROR_CODES.WRONG_ROLE);
+        assert.strictEqual(validate({ type: 'host-ready' }, 'host'), null);
+        assert.strictEqual(validate({ type: 'control', action: 'click', x: 0, y: 0 }, 'host'), ERROR_CODES.WRONG_ROLE);
+        assert.strictEqual(validate({ type: 'control-grant', clientId: 2 }, 'client'), ERROR_CODES.WRONG_ROLE);
+    }],
+
+    ['checks required fields, types, ranges, lengths and enums', async () => {
+        const invalid = [
+            { type: 'register', role: 'host' },
+            { type: 'register', role: 'admin', protocolVersion: 1 },
+            { type: 'register', role: 'host', protocolVersion: 1.5 },
+            { type: 'register', role: 'host', protocolVersion: '1' },
+            { type: 'connect-to-host', sessionId: 'x'.repeat(33) },
+            { type: 'connect-to-host', sessionId: 'ABC-234-DEF', pin: 1234 },
+            { type: 'join-response', clientId: 0, decision: 'accept' },
+            { type: 'join-response', clientId: 2, decision: 'accept', permission: 'root' }
+        ];
+        for (const data of invalid) {
+            assert.strictEqual(validate(data, data.type === 'connect-to-host' ? 'client' : 'host'), ERROR_CODES.INVALID_MESSAGE, JSON.stringify(data));
+        }
+        assert.strictEqual(validate({ type: 'register', role: 'client', protocolVersion: 1 }, null), null);
+        assert.strictEqual(validate({ type: 'join-response', clientId: 2, decision: 'accept', permission: 'pointer' }, 'host'), null);
+    }],
+
+    ['checks nested objects and nullable fields', async () => {
+        const offer = (value) => validate({ type: 'offer', targetId: 2, offer: value }, 'host');
+        assert.strictEqual(offer({ type: 'offer', sdp: 'v=0' }), null);
+        assert.strictEqual(offer({ type: 'answer', sdp: 'v=0' }), ERROR_CODES.INVALID_MESSAGE);
+        assert.strictEqual(offer({ type: 'offer', sdp: 'x'.repeat(32 * 1024 + 1) }), ERROR_CODES.INVALID_MESSAGE);
+        assert.strictEqual(offer(['offer']), ERROR_CODES.INVALID_MESSAGE);
+        assert.strictEqual(offer(null), ERROR_CODES.INVALID_MESSAGE);
+
+        const candidate = (value) => validate({ type: 'ice-candidate', candidate: value }, 'client');
+        assert.strictEqual(candidate(null), null);
+        assert.strictEqual(candidate({ candidate: 'candidate:1 1 udp', sdpMid: null, sdpMLineIndex: 0 }), null);
+        assert.strictEqual(candidate({ candidate: 'candidate:1', sdpMLineIndex: 65 }), ERROR_CODES.INVALID_MESSAGE);
+        assert.strictEqual(candidate(undefined), ERROR_CODES.INVALID_MESSAGE);
+    }],
+
+    ['checks control events beyond their single fields', async () => {
+        const control = (fields) => validate({ type: 'control', ...fields }, 'client');
+        assert.strictEqual(control({ action: 'mousemove', x: 0.5, y: 0.5 }), null);
+        assert.strictEqual(control({ action: 'mousemove', x: 0.5 }), ERROR_CODES.INVALID_MESSAGE);
+        assert.strictEqual(control({ action: 'mousemove', x: 1.5, y: 0.5 }), ERROR_CODES.INVALID_MESSAGE);
+        assert.strictEqual(control({ action: 'mousemove', x: 0, y: 0, relative: true, deltaX: 0.1 }), ERROR_CODES.INVALID_MESSAGE);
+        assert.strictEqual(control({ action: 'mousemove', x: 0, y: 0, relative: true, deltaX: 0.1, deltaY: -2 }), ERROR_CODES.INVALID_MESSAGE);
+        assert.strictEqual(control({ action: 'mousemove', x: 0, y: 0, relative: true, deltaX: 0.1, deltaY: -0.1 }), null);
+        assert.strictEqual(control({ action: 'keydown' }), ERROR_CODES.INVALID_MESSAGE);
+        assert.strictEqual(control({ action: 'keydown', key: 'a' }), null);
+        assert.strictEqual(control({ action: 'keydown', key: 'a'.repeat(33) }), ERROR_CODES.INVALID_MESSAGE);
+        assert.strictEqual(control({ action: 'wheel', x: 0, y: 0, deltaY: 1e6 }), ERROR_CODES.INVALID_MESSAGE);
+        assert.strictEqual(control({ action: 'paste', x: 0, y: 0 }), ERROR_CODES.INVALID_MESSAGE);
+    }],
+
+    ['accepts binary mouse moves of two coordinates between 0 and 1', async () => {
+        assert.strictEqual(protocol.validateBinaryMouseMove(binaryMove(0, 1)), null);
+        assert.strictEqual(protocol.validateBinaryMouseMove(binaryMove(0.5, 1.01)).code, ERROR_CODES.INVALID_MESSAGE);
+        assert.strictEqual(protocol.validateBinaryMouseMove(binaryMove(NaN, 0.5)).code, ERROR_CODES.INVALID_MESSAGE);
+        assert.strictEqual(protocol.validateBinaryMouseMove(new ArrayBuffer(12)).code, ERROR_CODES.INVALID_MESSAGE);
+    }],
+
+    ['agrees on the highest version both sides speak', async () => {
+        assert.strictEqual(protocol.negotiateVersion(protocol.PROTOCOL_VERSION), protocol.PROTOCOL_VERSION);
+        assert.strictEqual(protocol.negotiateVersion(protocol.PROTOCOL_VERSION + 5), protocol.PROTOCOL_VERSION);
+        assert.strictEqual(protocol.negotiateVersion(protocol.MIN_PROTOCOL_VERSION - 1), null);
+    }]
+]);
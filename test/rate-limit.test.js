@@ -0,0 +1,104 @@
+// Flood protection: token buckets, per-type limits and the server dropping a
+// client that sends frames faster than allowed, parseable or not
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTokenBucket, createRateLimiter } = require('../lib/rate-limit');
+const { startServer, connect, register, runTests } = require('./helpers');
+
+const PORT = 19483;
+
+// A clock the test moves by hand
+function createClock() {
+    let time = 1000;
+    return {
+        now: () => time,
+        advance(ms) {
+            time += ms;
+        }
+    };
+}
+
+function takeAll(bucket, count) {
+    let taken = 0;
+    for (let index = 0; index < count; index++) {
+        if (bucket.take()) taken++;
+    }
+    return taken;
+}
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limit-test-'));
+const configFile = path.join(configDir, 'config.json');
+fs.writeFileSync(configFile, JSON.stringify({
+    limits: { messages: { perSecond: 1, burst: 10 } }
+}));
+
+let server;
+const clients = [];
+
+runTests(__filename, [
+    ['allows a burst, then refills at the sustained rate', async () => {
+        const clock = createClock();
+        const bucket = createTokenBucket({ perSecond: 10, burst: 5, now: clock.now });
+        assert.strictEqual(takeAll(bucket, 8), 5);
+
+        clock.advance(250);
+        assert.strictEqual(takeAll(bucket, 8), 2);
+
+        clock.advance(60 * 1000);
+        assert.strictEqual(takeAll(bucket, 8), 5, 'never more than the burst');
+        assert.strictEqual(bucket.take(), false);
+    }],
+
+    ['keeps a bucket per message type and one for all frames', async () => {
+        const clock = createClock();
+        const limiter = createRateLimiter({
+            messages: { perSecond: 1, burst: 6 },
+            types: { default: { perSecond: 1, burst: 2 }, control: { perSecond: 1, burst: 3 } },
+            now: clock.now
+        });
+
+        assert.deepStrictEqual(['control', 'control', 'control', 'control'].map((type) => limiter.check(type)),
+            [null, null, null, 'control']);
+        assert.strictEqual(limiter.check('offer'), null, 'control does not use up other types');
+
+        for (let index = 0; index < 6; index++) {
+            assert.strictEqual(limiter.checkFrame(), null);
+        }
+        assert.strictEqual(limiter.checkFrame(), 'messages');
+    }],
+
+    ['charges every unknown type to the default bucket', async () => {
+        const limiter = createRateLimiter({
+            messages: { perSecond: 100, burst: 100 },
+            types: { default: { perSecond: 1, burst: 3 } },
+            now: createClock().now
+        });
+        assert.deepStrictEqual(['made-up', 'another', undefined, '__proto__'].map((type) => limiter.check(type)),
+            [null, null, null, 'default']);
+        assert.strictEqual(limiter.check('constructor'), 'default');
+    }],
+
+    ['disconnects a client flooding frames the server cannot parse', async () => {
+        server = await startServer({ PORT }, ['--config', configFile]);
+        const client = await connect(PORT);
+        clients.push(client);
+        await register(client, 'client');
+
+        const closed = new Promise((resolve) => client.ws.once('close', resolve));
+        for (let index = 0; index < 20; index++) {
+            client.ws.send('{"type":');
+        }
+
+        assert.strictEqual((await client.waitFor('error')).code, 'malformed-message');
+        assert.strictEqual(await closed, 1008);
+        assert.ok(client.messages.some((message) => message.code === 'rate-limited'), 'told why');
+        assert.match(server.output(), /Disconnected for flooding: Sent messages faster than allowed/);
+    }]
+], async () => {
+    clients.forEach((client) => client.close());
+    if (server) await server.stop();
+    fs.rmSync(configDir, { recursive: true, force: true });
+});
@@ -0,0 +1,22 @@
+// Run every test/*.test.js file in its own process, one after another
+//
+//   npm test
+//   node test/run.js protocol     only files whose name contains "protocol"
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const filter = process.argv[2] || '';
+const files = fs.readdirSync(__dirname)
+    .filter((name) => name.endsWith('.test.js') && name.includes(filter))
+    .sort();
+
+let failed = 0;
+files.forEach((name) => {
+    const result = spawnSync(process.execPath, [path.join(__dirname, name)], { stdio: 'inherit' });
+    if (result.status !== 0) failed++;
+});
+
+console.log(`\n${files.length - failed} of ${files.length} test files passed`);
+process.exit(failed ? 1 : 0);
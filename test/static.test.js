@@ -0,0 +1,133 @@
+// Static file serving: paths that leave the public root, dotfiles, MIME
+// types, conditional requests and compression
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const zlib = require('zlib');
+const { createStaticHandler } = require('../lib/static');
+const { runTests } = require('./helpers');
+
+// <tmp>/public is served; <tmp>/public-secret and <tmp>/secret.txt must not be
+const base = fs.mkdtempSync(path.join(os.tmpdir(), 'static-test-'));
+const root = path.join(base, 'public');
+const SCRIPT = `console.log(${JSON.stringify('x'.repeat(4000))});\n`;
+
+function write(relative, content) {
+    const file = path.join(base, relative);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+}
+
+write('public/index.html', '<!doctype html><title>client</title>');
+write('public/app.js', SCRIPT);
+write('public/logo.png', Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+write('public/docs/index.html', 'docs');
+write('public/.env', 'ADMIN_TOKEN=secret');
+write('public/.git/config', '[core]');
+write('public/docs/.hidden', 'hidden');
+write('public-secret/key.txt', 'outside');
+write('secret.txt', 'outside');
+
+const errors = [];
+const log = { error: (msg) => errors.push(msg), warn: (msg) => errors.push(msg) };
+const server = http.createServer(createStaticHandler({ root, log }));
+let port;
+
+// Send a request with the path exactly as given; resolves to
+// { status, headers, body } with the body as a Buffer
+function get(urlPath, { method = 'GET', headers = {} } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, path: urlPath, method, headers }, (res) => {
+            const chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+runTests(__filename, [
+    ['serves files and directory index pages below the root', async () => {
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        port = server.address().port;
+
+        const index = await get('/');
+        assert.strictEqual(index.status, 200);
+        assert.strictEqual(index.headers['content-type'], 'text/html; charset=utf-8');
+        assert.strictEqual(index.body.toString(), '<!doctype html><title>client</title>');
+        assert.strictEqual((await get('/docs/')).body.toString(), 'docs');
+        assert.strictEqual((await get('/logo.png')).headers['content-type'], 'image/png');
+        assert.strictEqual((await get('/missing.js')).status, 404);
+    }],
+
+    ['never serves a path outside the root', async () => {
+        const escapes = [
+            '/../secret.txt',
+            '/%2e%2e/secret.txt',
+            '/docs/%2e%2e/%2e%2e/secret.txt',
+            '/..%2fsecret.txt',
+            '/%2e%2e%2fsecret.txt',
+            '/..%5csecret.txt',
+            '/%5c..%5csecret.txt',
+            '/../public-secret/key.txt',
+            '/..%2fpublic-secret%2fkey.txt',
+            '/app.js%00.png',
+            '/%E0%A4%A'
+        ];
+        for (const urlPath of escapes) {
+            const response = await get(urlPath);
+            assert.ok(response.status === 404 || response.status === 400, `${urlPath} answered ${response.status}`);
+            assert.ok(!response.body.toString().includes('outside'), urlPath);
+        }
+    }],
+
+    ['hides dotfiles and dot-directories', async () => {
+        for (const urlPath of ['/.env', '/%2eenv', '/.git/config', '/docs/.hidden', '/docs/%2Ehidden']) {
+            assert.strictEqual((await get(urlPath)).status, 404, urlPath);
+        }
+    }],
+
+    ['serves only GET and HEAD', async () => {
+        const post = await get('/app.js', { method: 'POST' });
+        assert.strictEqual(post.status, 405);
+        assert.strictEqual(post.headers.allow, 'GET, HEAD');
+
+        const head = await get('/app.js', { method: 'HEAD' });
+        assert.strictEqual(head.status, 200);
+        assert.strictEqual(head.body.length, 0);
+        assert.strictEqual(head.headers['content-length'], String(Buffer.byteLength(SCRIPT)));
+    }],
+
+    ['answers conditional requests with 304', async () => {
+        const first = await get('/app.js');
+        assert.strictEqual(first.headers['cache-control'], 'no-cache');
+        assert.strictEqual((await get('/app.js', { headers: { 'If-None-Match': first.headers.etag } })).status, 304);
+        assert.strictEqual((await get('/app.js', { headers: { 'If-None-Match': 'W/"0-0"' } })).status, 200);
+        assert.strictEqual((await get('/app.js', { headers: { 'If-Modified-Since': first.headers['last-modified'] } })).status, 304);
+        assert.strictEqual((await get('/logo.png')).headers['cache-control'], 'public, max-age=86400');
+    }],
+
+    ['compresses text with brotli or gzip as the client accepts', async () => {
+        const brotli = await get('/app.js', { headers: { 'Accept-Encoding': 'gzip, br' } });
+        assert.strictEqual(brotli.headers['content-encoding'], 'br');
+        assert.strictEqual(zlib.brotliDecompressSync(brotli.body).toString(), SCRIPT);
+
+        const gzip = await get('/app.js', { headers: { 'Accept-Encoding': 'gzip, br;q=0' } });
+        assert.strictEqual(gzip.headers['content-encoding'], 'gzip');
+        assert.strictEqual(zlib.gunzipSync(gzip.body).toString(), SCRIPT);
+
+        const identity = await get('/app.js', { headers: { 'Accept-Encoding': 'br;q=0, gzip;q=0' } });
+        assert.strictEqual(identity.headers['content-encoding'], undefined);
+        assert.strictEqual(identity.body.toString(), SCRIPT);
+
+        assert.strictEqual((await get('/index.html', { headers: { 'Accept-Encoding': 'br' } })).headers['content-encoding'], undefined);
+        assert.deepStrictEqual(errors, []);
+    }]
+], async () => {
+    server.close();
+    fs.rmSync(base, { recursive: true, force: true });
+});
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+// Verify the audit log or export one session's audit trail
+//
+//   node tools/audit.js verify [--file audit.jsonl]
+//   node tools/audit.js export <session-code> [--instance id] [--format json|csv] [--file audit.jsonl]
+//
+// A session code hosted more than once (the headless host keeps its code)
+// needs --instance to pick one registration; export lists them.
+//
+// Without --file the log configured for the server is used, so --config and
+// the AUDIT_FILE variable work as they do for server.js.
+
+const { loadConfig } = require('../lib/config');
+const { verifyAuditLog, readSessionEntries, listSessionInstances, toCsv } = require('../lib/audit');
+
+const USAGE = `Usage:
+  node tools/audit.js verify [--file path] [--config path]
+  node tools/audit.js export <session-code> [--instance id] [--format json|csv] [--file path] [--config path]`;
+
+function fail(message) {
+    console.error(message);
+    process.exit(2);
+}
+
+function parseArgs(argv) {
+    const args = { command: argv[0], positional: [], file: null, format: 'json', instance: null, configArgs: [] };
+
+    for (let index = 1; index < argv.length; index++) {
+        const arg = argv[index];
+        const value = () => {
+            if (index + 1 >= argv.length) fail(`Missing value for ${arg}`);
+            return argv[++index];
+        };
+
+        if (arg === '--file') {
+            args.file = value();
+        } else if (arg === '--instance') {
+            args.instance = value();
+        } else if (arg === '--format') {
+            args.format = value();
+        } else if (arg === '--config') {
+            args.configArgs = ['--config', value()];
+        } else if (arg.startsWith('--')) {
+            fail(`Unknown option ${arg}\n${USAGE}`);
+        } else {
+            args.positional.push(arg);
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    let file = args.file;
+    if (!file) {
+        try {
+            file = loadConfig({ argv: args.configArgs }).config.audit.file;
+        } catch (error) {
+            fail(error.message);
+        }
+    }
+
+    if (args.command === 'verify') {
+        const result = await verifyAuditLog(file);
+        if (result.valid) {
+            console.log(`OK: ${result.entries} entries in ${file}`);
+            console.log(`Last hash: ${result.lastHash}`);
+            return;
+        }
+        if (result.line === undefined) {
+            console.error(`FAILED: ${file}: ${result.problem}`);
+            process.exit(1);
+        }
+        console.error(`TAMPERED: ${file} line ${result.line}${result.seq !== undefined ? ` (seq ${result.seq})` : ''}: ${result.problem}`);
+        console.error(`The ${result.entries} entries before it are intact.`);
+        process.exit(1);
+    }
+
+    if (args.command === 'export') {
+        // Accept codes typed without dashes, like the browser client does
+        const compact = String(args.positional[0] || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        if (compact.length !== 9) fail(USAGE);
+        const sessionId = `${compact.slice(0, 3)}-${compact.slice(3, 6)}-${compact.slice(6)}`;
+        if (args.format !== 'json' && args.format !== 'csv') fail('--format must be json or csv');
+
+        const [verification, entries] = await Promise.all([
+            verifyAuditLog(file),
+            readSessionEntries(file, sessionId, args.instance)
+        ]);
+        if (!verification.valid) {
+            console.error(`Warning: the audit log fails verification${verification.line !== undefined ? ` at line ${verification.line}` : ''}: ${verification.problem}`);
+        }
+        if (entries.length === 0) {
+            fail(`No audit entries for session ${sessionId}${args.instance ? ` instance ${args.instance}` : ''} in ${file}`);
+        }
+        const instances = listSessionInstances(entries);
+        if (!args.instance && instances.length > 1) {
+            fail([
+                `Session ${sessionId} was hosted ${instances.length} times; pick one with --instance:`,
+                ...instances.map((instance) => `  ${instance.sessionInstance}  ${instance.from} to ${instance.to} (${instance.entries} entries)`)
+            ].join('\n'));
+        }
+
+        process.stdout.write(args.format === 'csv'
+            ? toCsv(entries)
+            : JSON.stringify({ sessionId, sessionInstance: args.instance || undefined, chainValid: verification.valid, entries }, null, 2) + '\n');
+        return;
+    }
+
+    fail(USAGE);
+}
+
+main().catch((error) => fail(error.message));